@@ -5,11 +5,20 @@ import chalk from 'chalk';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import { addProfile, listProfiles, setActiveProfile, getActiveProfile, getActiveProfileName, deleteProfile, editProfile, queryAvailableOpusModels, queryAvailableSonnetModels } from './lib/profile.js';
+import { addProfile, getConfigDir, listProfiles, setActiveProfile, getActiveProfile, getActiveProfileName, deleteProfile, editProfile, getProfileFormat, PROFILE_FORMATS, queryAvailableOpusModels, queryAvailableSonnetModels } from './lib/profile.js';
+import { compileAliasPattern } from './lib/model-aliases.js';
 import { getMcpServices, addMcpService, removeMcpService, checkPortInUse } from './lib/mcp-manager.js';
 import { installCCG, checkCCGInstallation } from './lib/ccg.js';
-import { runClaude } from './lib/runner.js';
+import { runClaude, runClaudeHeadless, HEADLESS_OUTPUT_FORMATS } from './lib/runner.js';
+import { replayRecording } from './lib/adapter-replay.js';
+import { DEFAULT_DAEMON_PORT, getDaemonLogPath, getProxyDaemonStatus, runProxyDaemon, startProxyDaemon, stopProxyDaemon } from './lib/adapter-daemon.js';
+import { DEFAULT_MOCK_PORT, startMockUpstream } from './lib/mock-upstream.js';
+import { BUDGET_METRICS, BUDGET_PERIODS, describeBudget } from './lib/budgets.js';
+import { AUTO_RESUME_CONTINUE, describeAutoResumePolicy, normalizeAutoResumePolicy, superviseClaude } from './lib/session-supervisor.js';
+import { readUsage, summarizeUsage, usageToCsv, USAGE_PERIODS, USAGE_DIMENSIONS } from './lib/usage-ledger.js';
 import { exportSession } from './lib/session-utils.js';
+import { findOrphanedSessions, listSessions, recoverSession } from './lib/session-journal.js';
+import { loadProjectConfig } from './lib/project-config.js';
 import { checkDockerAvailable, ensureYoloImage, runYoloDocker, runYoloTempDir, showDiff, mergeBack, discardSandbox } from './lib/yolo.js';
 import { toggleYolo, showYoloStatus, isYoloActive } from './lib/yolo-toggle.js';
 import axios from 'axios';
@@ -774,6 +783,9 @@ const manageProfiles = async (sessionProfileName) => {
         choices: [
             { name: colors.text(`${symbols.bullet} ${t('profile.addNew')}`), value: 'add' },
             { name: profiles.length === 0 ? colors.textMuted(`${symbols.bulletInactive} ${t('profile.edit')}`) : colors.text(`${symbols.bullet} ${t('profile.edit')}`), value: 'edit', disabled: profiles.length === 0 },
+            { name: profiles.length === 0 ? colors.textMuted(`${symbols.bulletInactive} ${t('profile.modelAliases')}`) : colors.text(`${symbols.bullet} ${t('profile.modelAliases')}`), value: 'aliases', disabled: profiles.length === 0 },
+            { name: profiles.length === 0 ? colors.textMuted(`${symbols.bulletInactive} ${t('profile.budgets')}`) : colors.text(`${symbols.bullet} ${t('profile.budgets')}`), value: 'budgets', disabled: profiles.length === 0 },
+            { name: profiles.length === 0 ? colors.textMuted(`${symbols.bulletInactive} ${t('profile.autoResume')}`) : colors.text(`${symbols.bullet} ${t('profile.autoResume')}`), value: 'autoResume', disabled: profiles.length === 0 },
             { name: profiles.length === 0 ? colors.textMuted(`${symbols.bulletInactive} ${t('profile.switch')}`) : colors.text(`${symbols.bullet} ${t('profile.switch')}`), value: 'switch', disabled: profiles.length === 0 },
             { name: profiles.length === 0 ? colors.textMuted(`${symbols.bulletInactive} ${t('profile.testConn')}`) : colors.text(`${symbols.bullet} ${t('profile.testConn')}`), value: 'test', disabled: profiles.length === 0 },
             { name: profiles.length === 0 ? colors.textMuted(`${symbols.bulletInactive} ${t('profile.delete')}`) : colors.text(`${symbols.bullet} ${t('profile.delete')}`), value: 'delete', disabled: profiles.length === 0 },
@@ -872,6 +884,13 @@ const manageProfiles = async (sessionProfileName) => {
                 mask: '*',
                 validate: input => input.trim() ? true : t('profile.keyEmpty')
             },
+            {
+                type: 'list',
+                name: 'format',
+                message: colors.textDim(t('profile.endpointFormat')),
+                choices: [{ name: t('profile.autoDetect'), value: 'auto' }, ...PROFILE_FORMATS],
+                default: 'auto',
+            },
             {
                 type: 'input',
                 name: 'model',
@@ -881,6 +900,9 @@ const manageProfiles = async (sessionProfileName) => {
         ]);
         try {
             const profileData = { name: answers.name, url: answers.url, key: answers.key };
+            if (answers.format !== 'auto') {
+                profileData.format = answers.format;
+            }
             if (answers.model && answers.model.trim()) {
                 profileData.model = answers.model.trim();
             }
@@ -896,15 +918,7 @@ const manageProfiles = async (sessionProfileName) => {
         }
         return await manageProfiles();
     } else if (action === 'edit') {
-        const { name } = await inquirer.prompt([{
-            type: 'list',
-            name: 'name',
-            message: colors.primaryBold(t('profile.selectToEdit')),
-            choices: profiles.map(p => ({
-                name: `${p.isActive ? symbols.selected : symbols.unselected} ${p.name} ${colors.textMuted(`(${p.url})`)}`,
-                value: p.name
-            }))
-        }]);
+        const name = await promptProfile(profiles, colors.primaryBold(t('profile.selectToEdit')));
         const currentProfile = profiles.find(p => p.name === name);
         console.log(colors.textDim(`\n  ${t('profile.editHint')}\n`));
         const updates = await inquirer.prompt([
@@ -924,15 +938,35 @@ const manageProfiles = async (sessionProfileName) => {
                 message: colors.textDim(`${t('profile.apiKey')} ${colors.textMuted('(leave empty to keep current)')}`),
                 mask: '*',
             },
+            {
+                type: 'list',
+                name: 'format',
+                message: colors.textDim(t('profile.endpointFormat')),
+                choices: PROFILE_FORMATS,
+                default: getProfileFormat(currentProfile),
+            },
             {
                 type: 'input',
                 name: 'model',
                 message: colors.textDim(`Preferred Opus Model ${colors.textMuted(`(current: ${currentProfile.model || 'auto-detect'}, empty=auto)`)}`),
                 default: currentProfile.model || '',
+            },
+            {
+                type: 'confirm',
+                name: 'passthrough',
+                message: colors.textDim(t('profile.usePassthrough')),
+                default: !!currentProfile.passthrough,
+                when: answers => answers.format === 'anthropic',
             }
         ]);
         try {
-            await editProfile(name, { url: updates.url || undefined, key: updates.key || undefined, model: updates.model !== undefined ? updates.model.trim() : undefined });
+            await editProfile(name, {
+                url: updates.url || undefined,
+                key: updates.key || undefined,
+                format: updates.format !== getProfileFormat(currentProfile) ? updates.format : undefined,
+                model: updates.model !== undefined ? updates.model.trim() : undefined,
+                passthrough: updates.passthrough,
+            });
             console.log(colors.success(`\n${symbols.success} ${t('profile.editSuccess')}\n`));
             await new Promise(resolve => setTimeout(resolve, 1500));
         } catch (e) {
@@ -940,16 +974,20 @@ const manageProfiles = async (sessionProfileName) => {
             await new Promise(resolve => setTimeout(resolve, 2000));
         }
         return await manageProfiles(name);
+    } else if (action === 'aliases') {
+        const name = await promptProfile(profiles);
+        await manageModelAliases(name);
+        return await manageProfiles(name);
+    } else if (action === 'budgets') {
+        const name = await promptProfile(profiles);
+        await manageBudgets(name);
+        return await manageProfiles(name);
+    } else if (action === 'autoResume') {
+        const name = await promptProfile(profiles);
+        await manageAutoResume(name);
+        return await manageProfiles(name);
     } else if (action === 'test') {
-        const { name } = await inquirer.prompt([{
-            type: 'list',
-            name: 'name',
-            message: colors.primaryBold(t('profile.selectToTest')),
-            choices: profiles.map(p => ({
-                name: `${p.isActive ? symbols.selected : symbols.unselected} ${p.name} ${colors.textMuted(`(${p.url})`)}`,
-                value: p.name
-            }))
-        }]);
+        const name = await promptProfile(profiles, colors.primaryBold(t('profile.selectToTest')));
         const targetProfile = profiles.find(p => p.name === name);
         console.log(colors.textDim(`\n${symbols.running} ${t('profile.testing')}...\n`));
         await testProfileConnectivity(targetProfile);
@@ -957,15 +995,7 @@ const manageProfiles = async (sessionProfileName) => {
         await inquirer.prompt([{ type: 'input', name: 'continue', message: colors.textDim(t('profile.pressEnter')) }]);
         return await manageProfiles(targetProfile.name);
     } else if (action === 'switch') {
-        const { name } = await inquirer.prompt([{
-            type: 'list',
-            name: 'name',
-            message: t('profile.selectToActivate'),
-            choices: profiles.map(p => ({
-                name: `${p.isActive ? symbols.selected : symbols.unselected} ${p.name} ${colors.textMuted(`(${p.url})`)}`,
-                value: p.name
-            }))
-        }]);
+        const name = await promptProfile(profiles, t('profile.selectToActivate'));
         const newProfileName = await setActiveProfile(name);
         await new Promise(resolve => setTimeout(resolve, 1000));
         await new Promise(resolve => setTimeout(resolve, 1000));
@@ -1017,6 +1047,292 @@ const manageProfiles = async (sessionProfileName) => {
     }
 };
 
+// Profile picker of the profile menu and its per-profile submenus
+const promptProfile = async (profiles, message = colors.primaryBold(t('profile.selectProfile'))) => {
+    const { name } = await inquirer.prompt([{
+        type: 'list',
+        name: 'name',
+        message,
+        choices: profiles.map(p => ({
+            name: `${p.isActive ? symbols.selected : symbols.unselected} ${p.name} ${colors.textMuted(`(${p.url})`)}`,
+            value: p.name
+        }))
+    }]);
+    return name;
+};
+
+// --- Model Alias Table Menu ---
+const manageModelAliases = async (profileName) => {
+    console.clear();
+    const profile = listProfiles().find(p => p.name === profileName);
+    const aliases = profile?.modelAliases || [];
+
+    const content = aliases.length > 0
+        ? aliases.map((a, i) => `  ${colors.textMuted(`${i + 1}.`)} ${colors.text(a.match)} ${symbols.arrowRight} ${colors.primary(a.model)}`).join('\n')
+        : colors.textMuted(`  ${t('modelAliases.empty')}`);
+
+    console.log(box(content, {
+        width: 72,
+        padding: 1,
+        borderStyle: 'round',
+        borderColor: colors.secondary,
+        titleText: t('modelAliases.title', { name: profileName }),
+        titleAlign: 'center',
+    }));
+    console.log(colors.textDim(`  ${t('modelAliases.hint')}\n`));
+
+    const { action } = await inquirer.prompt([{
+        type: 'list',
+        name: 'action',
+        message: colors.primaryBold(t('profile.actions')),
+        choices: [
+            { name: colors.text(`${symbols.bullet} ${t('modelAliases.add')}`), value: 'add' },
+            { name: colors.text(`${symbols.bullet} ${t('modelAliases.remove')}`), value: 'remove', disabled: aliases.length === 0 },
+            { name: colors.text(`${symbols.bullet} ${t('modelAliases.moveTop')}`), value: 'top', disabled: aliases.length < 2 },
+            { name: colors.textDim(`${symbols.arrowLeft} ${t('profile.back')}`), value: 'back' }
+        ]
+    }]);
+
+    let updated = null;
+    if (action === 'add') {
+        const answers = await inquirer.prompt([
+            {
+                type: 'input',
+                name: 'match',
+                message: colors.textDim(t('modelAliases.pattern')),
+                validate: input => {
+                    if (!input.trim()) return t('modelAliases.patternRequired');
+                    try { compileAliasPattern(input.trim()); return true; } catch (e) { return t('modelAliases.invalidRegex', { error: e.message }); }
+                }
+            },
+            {
+                type: 'input',
+                name: 'model',
+                message: colors.textDim(t('modelAliases.upstreamModel')),
+                validate: input => input.trim() ? true : t('modelAliases.upstreamModelRequired')
+            }
+        ]);
+        updated = [...aliases, { match: answers.match.trim(), model: answers.model.trim() }];
+    } else if (action === 'remove') {
+        const { remove } = await inquirer.prompt([{
+            type: 'checkbox',
+            name: 'remove',
+            message: colors.textDim(t('modelAliases.selectToRemove')),
+            choices: aliases.map((a, i) => ({ name: `${a.match} → ${a.model}`, value: i }))
+        }]);
+        updated = aliases.filter((_, i) => !remove.includes(i));
+    } else if (action === 'top') {
+        const { index } = await inquirer.prompt([{
+            type: 'list',
+            name: 'index',
+            message: colors.textDim(t('modelAliases.selectFirst')),
+            choices: aliases.map((a, i) => ({ name: `${a.match} → ${a.model}`, value: i }))
+        }]);
+        updated = [aliases[index], ...aliases.filter((_, i) => i !== index)];
+    }
+
+    if (!updated) return;
+    try {
+        await editProfile(profileName, { modelAliases: updated });
+    } catch (e) {
+        console.log(colors.error(`\n${symbols.error} ${t('profile.error')} ${e.message}\n`));
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    return await manageModelAliases(profileName);
+};
+
+const manageBudgets = async (profileName) => {
+    console.clear();
+    const profile = listProfiles().find(p => p.name === profileName);
+    const budgets = profile?.budgets || [];
+
+    const content = budgets.length > 0
+        ? budgets.map((b, i) => `  ${colors.textMuted(`${i + 1}.`)} ${colors.text(describeBudget(b))}`).join('\n')
+        : colors.textMuted(`  ${t('budgets.empty')}`);
+
+    console.log(box(content, {
+        width: 72,
+        padding: 1,
+        borderStyle: 'round',
+        borderColor: colors.secondary,
+        titleText: t('budgets.title', { name: profileName }),
+        titleAlign: 'center',
+    }));
+    console.log(colors.textDim(`  ${t('budgets.hint')}\n`));
+
+    const { action } = await inquirer.prompt([{
+        type: 'list',
+        name: 'action',
+        message: colors.primaryBold(t('profile.actions')),
+        choices: [
+            { name: colors.text(`${symbols.bullet} ${t('budgets.add')}`), value: 'add' },
+            { name: colors.text(`${symbols.bullet} ${t('budgets.remove')}`), value: 'remove', disabled: budgets.length === 0 },
+            { name: colors.textDim(`${symbols.arrowLeft} ${t('profile.back')}`), value: 'back' }
+        ]
+    }]);
+
+    let updated = null;
+    if (action === 'add') {
+        const parseLimit = (input) => (String(input).trim() === '' ? undefined : Number(input));
+        const validateLimit = (input) => {
+            const value = parseLimit(input);
+            return value === undefined || (Number.isFinite(value) && value > 0) ? true : t('budgets.invalidLimit');
+        };
+        const answers = await inquirer.prompt([
+            {
+                type: 'list',
+                name: 'scope',
+                message: colors.textDim(t('budgets.scope')),
+                choices: [
+                    { name: t('budgets.scopeProfile'), value: 'profile' },
+                    { name: t('budgets.scopeProject'), value: 'project' },
+                ]
+            },
+            { type: 'list', name: 'period', message: colors.textDim(t('budgets.period')), choices: BUDGET_PERIODS },
+            {
+                type: 'list',
+                name: 'metric',
+                message: colors.textDim(t('budgets.metric')),
+                choices: BUDGET_METRICS.map(m => ({ name: m === 'usd' ? t('budgets.metricUsd') : t('budgets.metricTokens'), value: m }))
+            },
+            { type: 'input', name: 'soft', message: colors.textDim(t('budgets.soft')), validate: validateLimit },
+            {
+                type: 'input',
+                name: 'hard',
+                message: colors.textDim(t('budgets.hard')),
+                validate: (input, prior) => {
+                    const valid = validateLimit(input);
+                    if (valid !== true) return valid;
+                    const hard = parseLimit(input);
+                    const soft = parseLimit(prior.soft);
+                    if (hard === undefined && soft === undefined) return t('budgets.limitRequired');
+                    if (hard !== undefined && soft !== undefined && soft >= hard) return t('budgets.hardAboveSoft');
+                    return true;
+                }
+            }
+        ]);
+        const budget = { scope: answers.scope, period: answers.period, metric: answers.metric };
+        if (parseLimit(answers.soft) !== undefined) budget.soft = parseLimit(answers.soft);
+        if (parseLimit(answers.hard) !== undefined) budget.hard = parseLimit(answers.hard);
+        updated = [...budgets, budget];
+    } else if (action === 'remove') {
+        const { remove } = await inquirer.prompt([{
+            type: 'checkbox',
+            name: 'remove',
+            message: colors.textDim(t('budgets.selectToRemove')),
+            choices: budgets.map((b, i) => ({ name: describeBudget(b), value: i }))
+        }]);
+        updated = budgets.filter((_, i) => !remove.includes(i));
+    }
+
+    if (!updated) return;
+    try {
+        await editProfile(profileName, { budgets: updated });
+    } catch (e) {
+        console.log(colors.error(`\n${symbols.error} ${t('profile.error')} ${e.message}\n`));
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    return await manageBudgets(profileName);
+};
+
+const manageAutoResume = async (profileName) => {
+    console.clear();
+    const profiles = listProfiles();
+    const policy = profiles.find(p => p.name === profileName)?.autoResume;
+
+    let content;
+    try {
+        content = policy ? colors.text(`  ${describeAutoResumePolicy(policy)}`) : colors.textMuted(`  ${t('autoResume.off')}`);
+    } catch (e) {
+        content = colors.warning(`  ${t('autoResume.invalid', { error: e.message })}`);
+    }
+    console.log(box(content, {
+        width: 72,
+        padding: 1,
+        borderStyle: 'round',
+        borderColor: colors.secondary,
+        titleText: t('autoResume.title', { name: profileName }),
+        titleAlign: 'center',
+    }));
+    console.log(colors.textDim(`  ${t('autoResume.hint')}\n`));
+
+    const { action } = await inquirer.prompt([{
+        type: 'list',
+        name: 'action',
+        message: colors.primaryBold(t('profile.actions')),
+        choices: [
+            { name: colors.text(`${symbols.bullet} ${policy ? t('autoResume.edit') : t('autoResume.turnOn')}`), value: 'edit' },
+            { name: colors.text(`${symbols.bullet} ${t('autoResume.turnOff')}`), value: 'off', disabled: !policy },
+            { name: colors.textDim(`${symbols.arrowLeft} ${t('profile.back')}`), value: 'back' }
+        ]
+    }]);
+
+    let updated;
+    if (action === 'edit') {
+        const current = { fallback: [], maxAttempts: 3, continue: 'interrupted', delaySeconds: 5, ...policy };
+        const others = profiles.filter(p => p.name !== profileName);
+        const answers = await inquirer.prompt([
+            {
+                type: 'checkbox',
+                name: 'fallback',
+                message: colors.textDim(t('autoResume.fallback')),
+                choices: others.map(p => ({ name: p.name, value: p.name, checked: current.fallback.includes(p.name) })),
+                when: others.length > 0
+            },
+            {
+                type: 'input',
+                name: 'maxAttempts',
+                message: colors.textDim(t('autoResume.maxAttempts')),
+                default: String(current.maxAttempts),
+                validate: (input) => Number.isInteger(Number(input)) && Number(input) > 0 ? true : t('autoResume.invalidAttempts')
+            },
+            {
+                type: 'list',
+                name: 'continue',
+                message: colors.textDim(t('autoResume.continue')),
+                choices: AUTO_RESUME_CONTINUE.map(c => ({ name: { interrupted: t('autoResume.continueInterrupted'), always: t('autoResume.continueAlways'), never: t('autoResume.continueNever') }[c], value: c })),
+                default: current.continue
+            },
+            {
+                type: 'input',
+                name: 'delaySeconds',
+                message: colors.textDim(t('autoResume.delay')),
+                default: String(current.delaySeconds),
+                validate: (input) => Number.isFinite(Number(input)) && Number(input) >= 0 ? true : t('autoResume.invalidDelay')
+            }
+        ]);
+        updated = {
+            fallback: answers.fallback || [],
+            maxAttempts: Number(answers.maxAttempts),
+            continue: answers.continue,
+            delaySeconds: Number(answers.delaySeconds),
+        };
+    } else if (action === 'off') {
+        updated = null;
+    } else {
+        return;
+    }
+
+    try {
+        await editProfile(profileName, { autoResume: updated });
+    } catch (e) {
+        console.log(colors.error(`\n${symbols.error} ${t('profile.error')} ${e.message}\n`));
+        await new Promise(resolve => setTimeout(resolve, 2000));
+    }
+    return await manageAutoResume(profileName);
+};
+
+// Profile `autoResume` policy with --fallback / --max-attempts on top; null when auto-resume is off
+const resolveAutoResumePolicy = (profileName, options = {}) => {
+    if (options.autoResume === false) return null;
+    const policy = getActiveProfile(profileName)?.autoResume;
+    const fromFlags = {};
+    if (options.fallback?.length > 0) fromFlags.fallback = options.fallback;
+    if (options.maxAttempts !== undefined) fromFlags.maxAttempts = Number(options.maxAttempts);
+    if (!policy && !options.autoResume && Object.keys(fromFlags).length === 0) return null;
+    return normalizeAutoResumePolicy({ ...policy, ...fromFlags });
+};
+
 // --- Language Settings Menu ---
 const manageLanguage = async () => {
     console.clear();
@@ -1256,6 +1572,16 @@ const runInteractiveMode = async () => {
         switch (action) {
             case 'start':
                 {
+                    // .cchelper.json of the project preselects the choices below
+                    let projectConfig;
+                    try {
+                        projectConfig = loadProjectConfig();
+                    } catch (err) {
+                        console.log(colors.error(`\n${symbols.error} ${err.message}\n`));
+                        await inquirer.prompt([{ type: 'input', name: 'continue', message: colors.textDim(t('profile.pressEnter')) }]);
+                        break;
+                    }
+
                     // Step 1: Select config source
                     let configSource = 'cchelper';
                     let selectedProfileName = sessionProfileName;
@@ -1282,7 +1608,7 @@ const runInteractiveMode = async () => {
                                     value: 'ccswitch',
                                 },
                             ],
-                            default: 'cchelper',
+                            default: projectConfig?.ccswitch ? 'ccswitch' : 'cchelper',
                         }]);
                         configSource = sourceChoice;
                     }
@@ -1302,7 +1628,7 @@ const runInteractiveMode = async () => {
                                         : `${symbols.unselected} ${p.name} ${colors.textDim('(' + (p.oauth ? 'OAuth' : p.url) + ')')}`,
                                     value: p.name
                                 })),
-                                default: sessionProfileName
+                                default: projectConfig?.profile ?? sessionProfileName
                             }]);
                             selectedProfileName = profileChoice;
                             if (selectedProfileName !== sessionProfileName) {
@@ -1317,12 +1643,14 @@ const runInteractiveMode = async () => {
                     let selectedRole = 'default';
                     const currentProfile = configSource === 'cchelper' ? getActiveProfile(sessionProfileName) : null;
 
-                    if (roles.length > 0) {
+                    const projectRoles = projectConfig?.role !== undefined ? [].concat(projectConfig.role) : [];
+                    if (roles.length > 0 || projectRoles.length > 0) {
                         const { roleChoice } = await inquirer.prompt([{
                             type: 'list',
                             name: 'roleChoice',
                             message: colors.primaryBold(t('mainMenu.selectRole') || 'Select Role / Persona:'),
                             choices: [
+                                ...(projectRoles.length > 0 ? [{ name: `${colors.primary(projectRoles.join(' + '))} ${colors.textDim('(Project)')}`, value: projectRoles }] : []),
                                 { name: colors.textDim('Default (None)'), value: 'default' },
                                 new inquirer.Separator(),
                                 ...roles.map(r => ({
@@ -1334,10 +1662,14 @@ const runInteractiveMode = async () => {
                         selectedRole = roleChoice;
                     }
 
-                    // Query available Opus models
+                    // Query available Opus models (unless the project pins them)
                     let selectedOpusModel = null;
                     let selectedSonnetModel = null;
-                    if (configSource === 'cchelper') {
+                    if (configSource === 'cchelper' && (projectConfig?.models?.opus || projectConfig?.models?.sonnet)) {
+                        selectedOpusModel = projectConfig.models.opus || null;
+                        selectedSonnetModel = projectConfig.models.sonnet || null;
+                        console.log(colors.textDim(`${symbols.bullet} ${t('mainMenu.projectModels', { models: colors.primary([selectedOpusModel, selectedSonnetModel].filter(Boolean).join(', ')) })}\n`));
+                    } else if (configSource === 'cchelper') {
                         console.log(colors.textDim(`\n${symbols.running} ${t('mainMenu.queryingModels') || 'Querying available Opus models...'}`));
 
                         const { models: availableOpus, recommended } = await queryAvailableOpusModels(currentProfile);
@@ -1414,8 +1746,13 @@ const runInteractiveMode = async () => {
                         sessionProfileName,
                         configSource,
                         useCcSwitch: configSource === 'ccswitch',
+                        projectConfig,
                     };
-                    const result = await runClaude(launchOptions);
+                    // Profiles with an auto-resume policy relaunch by themselves first
+                    const autoResume = configSource === 'cchelper' ? resolveAutoResumePolicy(sessionProfileName) : null;
+                    const result = autoResume
+                        ? (await superviseClaude(launchOptions, { policy: autoResume })).result
+                        : await runClaude(launchOptions);
 
                     // Check if we need recovery
                     const needsRecovery = result.exitCode !== 0 && result.proxyErrors?.lastError;
@@ -1524,42 +1861,512 @@ program
 program
     .command('start')
     .description('Start Claude Code Wrapper')
-    .option('-r, --role <role>', 'Specify role prompt name')
+    .option('-r, --role <role>', 'Role prompt name or file; repeat to stack roles', (value, roles) => [...roles, value], [])
+    .option('--role-position <position>', 'Put roles at the top (default) or bottom of CLAUDE.local.md')
     .option('-m, --model <model>', 'Specify Opus model (skip auto-detection)')
+    .option('--profile <name>', 'cc-helper profile for this session (default: .cchelper.json, then the active profile)')
     .option('--ccswitch [provider]', 'Use CC Switch provider instead of cc-helper profile')
+    .option('--no-ccswitch', 'Use the cc-helper profile even if .cchelper.json selects CC Switch')
     .option('--cmd <command>', 'Override command to run', 'claude')
+    .option('--record [file]', 'Record adapter proxy traffic to a JSONL file (keys redacted)')
+    .option('--auto-resume', 'Resume the session after API failures (profile autoResume policy or defaults)')
+    .option('--no-auto-resume', 'Ignore the profile autoResume policy')
+    .option('--fallback <profile>', 'Fallback profile for auto-resume; repeat for several', (value, list) => [...list, value], [])
+    .option('--max-attempts <n>', 'Auto-resume relaunches before giving up')
     .action(async (options) => {
-        const useCcSwitch = options.ccswitch !== undefined;
+        // Command-line flags win over .cchelper.json, which wins over the global settings
+        let projectConfig;
+        try {
+            projectConfig = loadProjectConfig();
+        } catch (err) {
+            console.error(colors.error(`${symbols.error} ${err.message}`));
+            process.exitCode = 1;
+            return;
+        }
+        const ccswitch = options.ccswitch !== undefined ? options.ccswitch : projectConfig?.ccswitch;
+        const useCcSwitch = ccswitch !== undefined && ccswitch !== false;
+        const profileName = useCcSwitch ? undefined : options.profile ?? projectConfig?.profile;
+        if (profileName && !getActiveProfile(profileName)) {
+            console.error(colors.error(`${symbols.error} Profile not found: ${profileName}`));
+            process.exitCode = 1;
+            return;
+        }
+
         if (useCcSwitch) {
-            if (typeof options.ccswitch === 'string') {
-                await switchCcSwitchProviderFlow(options.ccswitch, 'claude');
+            if (typeof ccswitch === 'string') {
+                await switchCcSwitchProviderFlow(ccswitch, 'claude');
             } else {
                 await printCcSwitchStatus('claude');
             }
         } else {
-            await showStatus();
+            await showStatus(profileName);
         }
 
         // Query Opus model if not manually specified
-        let opusModel = options.model || null;
+        let opusModel = options.model || projectConfig?.models?.opus || null;
         if (!useCcSwitch && !opusModel) {
             console.log(colors.textDim(`\n${symbols.running} ${t('mainMenu.queryingModels') || 'Querying available Opus models...'}`));
-            const { models: availableOpus, recommended } = await queryAvailableOpusModels();
+            const { models: availableOpus, recommended } = await queryAvailableOpusModels(getActiveProfile(profileName));
             if (recommended) {
                 opusModel = recommended;
                 console.log(colors.textDim(`${symbols.bullet} ${t('mainMenu.autoSelected') || 'Auto-selected'}: ${colors.primary(opusModel)}\n`));
             }
         }
 
-        await runClaude({
+        let autoResume = null;
+        try {
+            autoResume = useCcSwitch ? null : resolveAutoResumePolicy(profileName, options);
+        } catch (err) {
+            console.error(colors.error(`${symbols.error} ${err.message}`));
+            process.exitCode = 1;
+            return;
+        }
+
+        const launchOptions = {
             command: options.cmd,
             role: options.role,
+            rolePosition: options.rolePosition,
             opusModel,
+            sessionProfileName: profileName,
             configSource: useCcSwitch ? 'ccswitch' : 'cchelper',
             useCcSwitch,
-        });
+            recordFile: resolveRecordFile(options.record),
+            projectConfig,
+        };
+        if (!autoResume) {
+            await runClaude(launchOptions);
+            return;
+        }
+        const { attempts, gaveUp } = await superviseClaude(launchOptions, { policy: autoResume });
+        if (gaveUp) {
+            console.log(colors.warning(`${symbols.warning} Auto-resume gave up after ${attempts.length - 1} attempt(s). Resume manually with: claude --resume ${attempts[attempts.length - 1].sessionId || '<session-id>'}`));
+            process.exitCode = 1;
+        }
+    });
+
+program
+    .command('run')
+    .description('Run Claude Code headless (claude -p) for scripts and CI')
+    .argument('[claudeArgs...]', 'Extra Claude Code flags, after --')
+    .option('-p, --prompt <prompt>', 'Prompt (read from stdin when omitted)')
+    .option('--output-format <format>', `Output: ${HEADLESS_OUTPUT_FORMATS.join(' | ')}`, 'text')
+    .option('--profile <name>', 'cc-helper profile for this run (default: .cchelper.json, then the active profile)')
+    .option('-r, --role <role>', 'Role prompt name or file; repeat to stack roles', (value, roles) => [...roles, value], [])
+    .option('--role-position <position>', 'Put roles at the top (default) or bottom of CLAUDE.local.md')
+    .option('-m, --model <model>', 'Model passed to Claude Code')
+    .option('--max-turns <n>', 'Limit agentic turns')
+    .option('--permission-mode <mode>', 'Claude Code permission mode')
+    .option('--allowed-tools <tools>', 'Tools allowed without asking (Claude Code --allowedTools)')
+    .option('--disallowed-tools <tools>', 'Tools to deny (Claude Code --disallowedTools)')
+    .option('--resume <sessionId>', 'Resume a session')
+    .option('--continue', 'Continue the most recent session')
+    .option('--cmd <command>', 'Override command to run', 'claude')
+    .option('--record [file]', 'Record adapter proxy traffic to a JSONL file (keys redacted)')
+    .option('--auto-resume', 'Resume the session after API failures (profile autoResume policy or defaults)')
+    .option('--no-auto-resume', 'Ignore the profile autoResume policy')
+    .option('--fallback <profile>', 'Fallback profile for auto-resume; repeat for several', (value, list) => [...list, value], [])
+    .option('--max-attempts <n>', 'Auto-resume relaunches before giving up')
+    .action(async (claudeArgs, options) => {
+        try {
+            const projectConfig = loadProjectConfig();
+            const profileName = options.profile ?? projectConfig?.profile;
+            if (profileName && !getActiveProfile(profileName)) {
+                throw new Error(`Profile not found: ${profileName}`);
+            }
+            const prompt = options.prompt ?? (process.stdin.isTTY ? '' : await readStdin());
+            if (!prompt.trim() && !options.resume && !options.continue) {
+                throw new Error('No prompt given. Use -p "<prompt>" or pipe it to stdin.');
+            }
+
+            const args = [];
+            if (options.maxTurns) args.push('--max-turns', options.maxTurns);
+            if (options.permissionMode) args.push('--permission-mode', options.permissionMode);
+            if (options.allowedTools) args.push('--allowedTools', options.allowedTools);
+            if (options.disallowedTools) args.push('--disallowedTools', options.disallowedTools);
+            if (options.resume) args.push('--resume', options.resume);
+            if (options.continue) args.push('--continue');
+
+            const autoResume = resolveAutoResumePolicy(profileName, options);
+            const launchOptions = {
+                command: options.cmd,
+                prompt,
+                outputFormat: options.outputFormat,
+                args: [...args, ...claudeArgs],
+                role: options.role,
+                rolePosition: options.rolePosition,
+                opusModel: options.model,
+                sessionProfileName: profileName,
+                configSource: 'cchelper',
+                recordFile: resolveRecordFile(options.record),
+                projectConfig,
+            };
+            let summary;
+            if (autoResume) {
+                const supervised = await superviseClaude(launchOptions, { policy: autoResume, headless: true, log: message => console.error(colors.warning(`${symbols.warning} ${message}`)) });
+                summary = { ...supervised.result, attempts: supervised.attempts };
+            } else {
+                summary = await runClaudeHeadless(launchOptions);
+            }
+
+            if (options.outputFormat === 'json') {
+                process.stdout.write(JSON.stringify(summary, null, 2) + '\n');
+            } else if (options.outputFormat === 'stream-json') {
+                process.stdout.write(JSON.stringify({ type: 'cchelper_result', ...summary, claude: undefined }) + '\n');
+            }
+            if (summary.error) {
+                console.error(colors.error(`${symbols.error} ${summary.error}`));
+            }
+            process.exitCode = summary.exitCode ?? 1;
+        } catch (err) {
+            console.error(colors.error(`${symbols.error} ${err.message}`));
+            process.exitCode = 1;
+        }
+    });
+
+const readStdin = async () => {
+    let input = '';
+    process.stdin.setEncoding('utf8');
+    for await (const chunk of process.stdin) input += chunk;
+    return input;
+};
+
+// --record with no file name writes to the recordings directory beside the config
+const resolveRecordFile = (record) => {
+    if (!record) return undefined;
+    if (typeof record === 'string') return path.resolve(record);
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    return path.join(getConfigDir(), 'recordings', `proxy-${stamp}.jsonl`);
+};
+
+program
+    .command('proxy')
+    .description('Adapter proxy tools: shared daemon and offline replay')
+    .argument('<action>', 'start | stop | status | serve | replay')
+    .argument('[file]', 'Recording to replay (from start --record)')
+    .option('--port <port>', `Daemon port (default ${DEFAULT_DAEMON_PORT})`)
+    .option('--force', 'stop: stop even while sessions use the daemon')
+    .option('--json', 'status: print JSON')
+    .action(async (action, file, options) => {
+        if (['start', 'stop', 'status', 'serve'].includes(action)) {
+            try {
+                await runProxyDaemonAction(action, options);
+            } catch (err) {
+                console.error(colors.error(`${symbols.error} ${err.message}`));
+                process.exitCode = 1;
+            }
+            return;
+        }
+        if (action !== 'replay') {
+            console.log(colors.warning(`Unknown action: ${action}. Use: start | stop | status | serve | replay <file>`));
+            process.exitCode = 1;
+            return;
+        }
+        if (!file || !fs.existsSync(file)) {
+            console.error(colors.error(`${symbols.error} Recording not found: ${file || '(none given)'}`));
+            process.exitCode = 1;
+            return;
+        }
+
+        const results = await replayRecording(file);
+        if (results.length === 0) {
+            console.log(colors.warning('No exchanges in recording.'));
+            return;
+        }
+        for (const r of results) {
+            const label = `#${r.index + 1} ${r.model || '?'}${r.stream ? ' (stream)' : ''}`;
+            if (r.skipped) {
+                console.log(colors.textDim(`  ${symbols.bullet} ${label} skipped: ${r.skipped}`));
+            } else if (r.ok) {
+                console.log(colors.success(`  ${symbols.success} ${label}`));
+            } else {
+                console.log(colors.error(`  ${symbols.error} ${label}`));
+                r.differences.forEach(d => console.log(colors.textDim(`      ${d}`)));
+            }
+        }
+        const failed = results.filter(r => !r.ok && !r.skipped).length;
+        console.log(failed
+            ? colors.error(`\n${failed} of ${results.length} exchange(s) differ`)
+            : colors.success(`\nAll ${results.length} exchange(s) replayed identically`));
+        if (failed) process.exitCode = 1;
+    });
+
+/**
+ * `cchelper proxy start|stop|status|serve`: the shared adapter daemon (see lib/adapter-daemon.js).
+ */
+const runProxyDaemonAction = async (action, options) => {
+    const port = options.port !== undefined ? Number(options.port) : undefined;
+    if (port !== undefined && !(Number.isInteger(port) && port > 0 && port < 65536)) {
+        throw new Error(`Invalid port: ${options.port}`);
+    }
+
+    if (action === 'serve') {
+        // Foreground; `proxy start` runs this detached
+        await runProxyDaemon({ port });
+        return;
+    }
+
+    if (action === 'start') {
+        const state = await startProxyDaemon({ port });
+        console.log(state.alreadyRunning
+            ? colors.warning(`${symbols.warning} Proxy daemon already running on port ${state.port} (pid ${state.pid})`)
+            : colors.success(`${symbols.success} Proxy daemon started on http://127.0.0.1:${state.port} (pid ${state.pid})`));
+        console.log(colors.textDim(`  New sessions use it automatically. Log: ${getDaemonLogPath()}`));
+        return;
+    }
+
+    if (action === 'stop') {
+        const state = await stopProxyDaemon({ force: options.force });
+        console.log(state
+            ? colors.success(`${symbols.success} Proxy daemon stopped (pid ${state.pid})`)
+            : colors.textMuted('Proxy daemon is not running.'));
+        return;
+    }
+
+    const status = await getProxyDaemonStatus();
+    if (options.json) {
+        process.stdout.write(JSON.stringify(status ?? { running: false }, null, 2) + '\n');
+        return;
+    }
+    if (!status) {
+        console.log(colors.textMuted('Proxy daemon is not running. Start it with: cchelper proxy start'));
+        return;
+    }
+    console.log(colors.primaryBold(`\n  Proxy daemon on http://127.0.0.1:${status.port} (pid ${status.pid}, since ${new Date(status.startedAt).toLocaleString()})\n`));
+    if (!status.responding) {
+        console.log(colors.warning(`  ${symbols.warning} The daemon is not answering. See ${getDaemonLogPath()}\n`));
+        return;
+    }
+    if (status.sessions.length === 0) {
+        console.log(colors.textMuted('  No active sessions.\n'));
+        return;
+    }
+    console.log(table(status.sessions.map(s => ({
+        Session: s.id,
+        Profile: s.profile,
+        Mode: s.mode,
+        Project: s.project || '',
+        Requests: String(s.requests),
+        Errors: String(s.errors.totalErrors),
+        Input: formatTokens(s.inputTokens),
+        Output: formatTokens(s.outputTokens),
+        'Cost ($)': s.cost.toFixed(4),
+        'Last request': s.lastActivity ? new Date(s.lastActivity).toLocaleTimeString() : '-',
+    }))));
+    const totalCost = status.sessions.reduce((sum, s) => sum + s.cost, 0);
+    const totalRequests = status.sessions.reduce((sum, s) => sum + s.requests, 0);
+    console.log(colors.text(`\n  Total: ${status.sessions.length} session(s), ${totalRequests} request(s), $${totalCost.toFixed(4)}\n`));
+};
+
+program
+    .command('mock-upstream')
+    .description('Run a fake Anthropic/OpenAI upstream for offline testing')
+    .option('--port <port>', `Port (default ${DEFAULT_MOCK_PORT}, 0 for random)`)
+    .option('--script <file>', 'JSON list of scripted replies')
+    .option('--key <key>', 'Require this API key')
+    .option('--latency <ms>', 'Delay before each response')
+    .option('--chunk-delay <ms>', 'Delay between stream events')
+    .option('--models <ids>', 'Comma-separated ids served by /v1/models')
+    .action(async (options) => {
+        try {
+            const port = options.port !== undefined ? Number(options.port) : DEFAULT_MOCK_PORT;
+            if (!(Number.isInteger(port) && port >= 0 && port < 65536)) {
+                throw new Error(`Invalid port: ${options.port}`);
+            }
+            let script = [];
+            if (options.script) {
+                script = JSON.parse(fs.readFileSync(options.script, 'utf8'));
+                if (!Array.isArray(script)) throw new Error(`${options.script} must contain a JSON list`);
+            }
+            const mock = await startMockUpstream({
+                port,
+                script,
+                key: options.key,
+                latencyMs: Number(options.latency) || 0,
+                chunkDelayMs: Number(options.chunkDelay) || 0,
+                models: options.models ? options.models.split(',').map(s => s.trim()).filter(Boolean) : undefined,
+            });
+
+            console.log(colors.success(`${symbols.success} Mock upstream listening on ${mock.url}`));
+            console.log(colors.textDim(`  Profile URL: ${mock.url} (format anthropic or openai-compat)`));
+            console.log(colors.textDim(`  API key:     ${options.key || 'any'}`));
+            console.log(colors.textDim(`  Directives in prompts: [mock:429] [mock:500] [mock:truncate] [mock:overloaded] [mock:tool <name> {json}]`));
+            console.log(colors.textMuted('  Press Ctrl+C to stop.\n'));
+
+            let seen = 0;
+            const timer = setInterval(() => {
+                for (const r of mock.requests.slice(seen)) {
+                    console.log(colors.textDim(`  ${new Date().toLocaleTimeString()} ${r.method} ${r.path}${r.body?.model ? ` ${r.body.model}` : ''}${r.body?.stream ? ' (stream)' : ''}`));
+                }
+                seen = mock.requests.length;
+            }, 200);
+            const stop = async () => {
+                clearInterval(timer);
+                await mock.close();
+                process.exit(0);
+            };
+            process.once('SIGINT', stop);
+            process.once('SIGTERM', stop);
+        } catch (err) {
+            console.error(colors.error(`${symbols.error} ${err.message}`));
+            process.exitCode = 1;
+        }
     });
 
+// Default report windows: 30 days, 12 weeks, 12 months
+const USAGE_DEFAULT_SPAN = { daily: 30, weekly: 12 * 7, monthly: 365 };
+
+const parseUsageDate = (value, label) => {
+    const date = new Date(/^\d{4}-\d{2}(-\d{2})?$/.test(value) ? `${value.length === 7 ? value + '-01' : value}T00:00:00` : value);
+    if (Number.isNaN(date.getTime())) {
+        throw new Error(`Invalid ${label} date: ${value} (use YYYY-MM-DD)`);
+    }
+    return date;
+};
+
+const formatTokens = (n) => (n >= 1e6 ? `${(n / 1e6).toFixed(2)}M` : n >= 1e3 ? `${(n / 1e3).toFixed(1)}k` : String(n));
+
+program
+    .command('usage')
+    .description('Adapter usage and cost report')
+    .argument('[period]', USAGE_PERIODS.join(' | '), 'daily')
+    .option('--by <dimension>', `Group by ${USAGE_DIMENSIONS.join(' | ')}`, 'model')
+    .option('--since <date>', 'Start date (YYYY-MM-DD)')
+    .option('--until <date>', 'End date, exclusive (YYYY-MM-DD)')
+    .option('--profile <name>', 'Only this profile')
+    .option('--project <dir>', 'Only this project directory')
+    .option('--json', 'Print JSON')
+    .option('--csv', 'Print CSV')
+    .option('-o, --output <file>', 'Write the JSON/CSV export to a file')
+    .action(async (period, options) => {
+        if (!USAGE_PERIODS.includes(period) || !USAGE_DIMENSIONS.includes(options.by)) {
+            console.error(colors.error(`${symbols.error} Use: cchelper usage [${USAGE_PERIODS.join('|')}] [--by ${USAGE_DIMENSIONS.join('|')}]`));
+            process.exitCode = 1;
+            return;
+        }
+
+        let since;
+        let until;
+        try {
+            since = options.since
+                ? parseUsageDate(options.since, 'since')
+                : new Date(Date.now() - USAGE_DEFAULT_SPAN[period] * 86400000);
+            until = options.until ? parseUsageDate(options.until, 'until') : undefined;
+        } catch (err) {
+            console.error(colors.error(`${symbols.error} ${err.message}`));
+            process.exitCode = 1;
+            return;
+        }
+
+        const project = options.project ? path.resolve(options.project) : null;
+        const entries = readUsage({ since, until })
+            .filter(e => !options.profile || e.profile === options.profile)
+            .filter(e => !project || e.project === project);
+        const rows = summarizeUsage(entries, { period, by: options.by });
+
+        if (options.json || options.csv) {
+            const output = options.csv ? usageToCsv(rows) : JSON.stringify(rows, null, 2) + '\n';
+            if (options.output) {
+                fs.writeFileSync(options.output, output, 'utf8');
+                console.log(colors.success(`${symbols.success} Wrote ${rows.length} row(s) to ${options.output}`));
+            } else {
+                process.stdout.write(output);
+            }
+            return;
+        }
+
+        console.log(colors.primaryBold(`\n  Usage (${period}, by ${options.by}) since ${since.toISOString().slice(0, 10)}\n`));
+        if (rows.length === 0) {
+            console.log(colors.textMuted('  No adapter usage recorded in this period.\n'));
+            return;
+        }
+        console.log(table(rows.map(r => ({
+            Period: r.period,
+            [options.by[0].toUpperCase() + options.by.slice(1)]: r.key,
+            Requests: String(r.requests),
+            Errors: String(r.errors),
+            Input: formatTokens(r.inputTokens),
+            Output: formatTokens(r.outputTokens),
+            'Cache read': formatTokens(r.cacheReadTokens),
+            'Cache write': formatTokens(r.cacheWriteTokens),
+            'Cost ($)': r.cost.toFixed(4) + (r.unpriced ? '*' : ''),
+            'Avg ms': String(r.avgLatencyMs),
+        }))));
+
+        const totalCost = rows.reduce((sum, r) => sum + r.cost, 0);
+        const totalRequests = rows.reduce((sum, r) => sum + r.requests, 0);
+        console.log(colors.text(`\n  Total: ${totalRequests} request(s), $${totalCost.toFixed(4)}`));
+        if (rows.some(r => r.unpriced)) {
+            console.log(colors.textDim('  * includes models without a price; add them to the profile "prices" list'));
+        }
+        console.log('');
+    });
+
+program
+    .command('recover')
+    .description('Restore CLAUDE.local.md and .claude/settings.local.json left behind by interrupted sessions')
+    .option('--force', 'Also restore files that were edited after the session changed them')
+    .option('--list', 'Only list journaled sessions')
+    .action((options) => {
+        if (options.list) {
+            const sessions = listSessions();
+            if (sessions.length === 0) {
+                console.log(colors.textMuted('\n  No journaled sessions.\n'));
+                return;
+            }
+            console.log(table(sessions.map(s => ({
+                Session: s.id,
+                Project: s.project,
+                Started: s.startedAt.replace('T', ' ').slice(0, 19),
+                PID: String(s.pid),
+                State: s.active ? 'running' : 'interrupted',
+                Files: s.files.map(f => path.basename(f.path)).join(', '),
+            }))));
+            return;
+        }
+
+        const sessions = findOrphanedSessions();
+        if (sessions.length === 0) {
+            console.log(colors.success(`${symbols.success} No interrupted sessions to recover.`));
+            return;
+        }
+        let kept = 0;
+        for (const session of sessions) {
+            console.log(colors.primaryBold(`\n  ${session.project}`) + colors.textDim(` (session ${session.id}, started ${session.startedAt})`));
+            for (const result of recoverSession(session, { force: options.force })) {
+                printRecoveryResult(result);
+                if (result.status === 'modified' || result.status === 'failed') kept++;
+            }
+        }
+        if (kept > 0) {
+            console.log(colors.warning(`\n${symbols.warning} ${kept} file(s) were not restored; their journal is kept.`));
+            console.log(colors.textDim(`  Check them, then run 'cchelper recover --force' to overwrite edited files.\n`));
+            process.exitCode = 1;
+        } else {
+            console.log('');
+        }
+    });
+
+const RECOVERY_STATUS = {
+    restored: ['success', 'restored'],
+    removed: ['success', 'removed (did not exist before the session)'],
+    unchanged: ['info', 'already original'],
+    modified: ['warning', 'edited since the session wrote it, kept'],
+    failed: ['error', 'failed'],
+};
+
+const printRecoveryResult = (result) => {
+    const [status, text] = RECOVERY_STATUS[result.status];
+    console.log(`    ${statusBadge(status, text)} ${result.path}${result.error ? colors.textDim(` (${result.error})`) : ''}`);
+};
+
+// Sessions whose process died without cleanup (SIGKILL, closed terminal, power loss)
+const warnInterruptedSessions = () => {
+    const sessions = findOrphanedSessions();
+    if (sessions.length > 0) {
+        console.error(colors.warning(`${symbols.warning} ${sessions.length} interrupted cc-helper session(s) left project files changed. Run 'cchelper recover' to restore them.`));
+    }
+};
+
 program
     .command('status')
     .description('Show current status and active profile')
@@ -1777,6 +2584,10 @@ program
         console.log(chalk.yellow(`Unknown action: ${action}. Use: add | remove | list`));
     });
 
+if (process.argv[2] !== 'recover') {
+    warnInterruptedSessions();
+}
+
 // Default action - run interactive mode if no command specified
 if (process.argv.length === 2) {
     runInteractiveMode().catch(err => {
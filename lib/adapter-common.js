@@ -0,0 +1,499 @@
+/**
+ * Adapter Common - shared building blocks for the adapter proxy dialects
+ *
+ * Every upstream dialect (OpenAI chat completions, OpenAI Responses, Gemini)
+ * converts Anthropic requests the same way at the content level and emits
+ * the same Anthropic SSE events, so those pieces live here.
+ */
+
+import { EventEmitter } from 'events';
+import { StringDecoder } from 'string_decoder';
+
+// Simple event emitter for logging/debug
+export const proxyEvents = new EventEmitter();
+
+/**
+ * Error for requests that cannot be expressed in the upstream format.
+ * Reported to Claude Code as an Anthropic `invalid_request_error`.
+ */
+export class AdapterRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'AdapterRequestError';
+        this.statusCode = 400;
+        this.errorType = 'invalid_request_error';
+    }
+}
+
+/**
+ * Converts Anthropic content blocks (text, image, document) to OpenAI
+ * chat content parts. Unknown block types are skipped.
+ * @param {Array<object>} blocks - Anthropic content blocks
+ * @param {object} [options]
+ * @param {boolean} [options.keepCacheControl] - Copy `cache_control` markers onto the converted parts
+ * @returns {Array<object>} OpenAI content parts
+ */
+export function convertContentBlocksToOpenAIParts(blocks, options = {}) {
+    const parts = [];
+    for (const block of blocks || []) {
+        const before = parts.length;
+        if (block.type === 'text') {
+            if (block.text) parts.push({ type: 'text', text: block.text });
+        } else if (block.type === 'image') {
+            parts.push({ type: 'image_url', image_url: { url: imageSourceToUrl(block.source) } });
+        } else if (block.type === 'document') {
+            parts.push(...convertDocumentBlock(block));
+        }
+        if (options.keepCacheControl && block.cache_control && parts.length > before) {
+            parts[parts.length - 1].cache_control = block.cache_control;
+        }
+    }
+    return parts;
+}
+
+/**
+ * Uses a plain string when the parts are text only, which every
+ * OpenAI-compatible provider accepts. Parts carrying a cache marker are kept.
+ */
+export function simplifyOpenAIContent(parts) {
+    if (parts.every(p => p.type === 'text' && !p.cache_control)) {
+        return parts.map(p => p.text).join('\n');
+    }
+    return parts;
+}
+
+/**
+ * Converts OpenAI Chat Completions or Responses usage to Anthropic usage.
+ * Cached prompt tokens are reported as `cache_read_input_tokens` and cache
+ * writes as `cache_creation_input_tokens`; like Anthropic, `input_tokens`
+ * then counts only the uncached remainder. Understands OpenAI/OpenRouter
+ * `prompt_tokens_details`, DeepSeek `prompt_cache_hit_tokens` and gateways
+ * that already report the Anthropic fields.
+ * @param {object} [usage] - Upstream usage
+ * @returns {{ input_tokens: number, output_tokens: number, cache_creation_input_tokens: number, cache_read_input_tokens: number }}
+ */
+export function convertOpenAIUsage(usage) {
+    if (!usage) return { input_tokens: 0, output_tokens: 0, cache_creation_input_tokens: 0, cache_read_input_tokens: 0 };
+    const details = usage.prompt_tokens_details || usage.input_tokens_details || {};
+    const promptTokens = usage.prompt_tokens ?? usage.input_tokens ?? 0;
+    const cacheRead = usage.cache_read_input_tokens ?? usage.prompt_cache_hit_tokens ?? details.cached_tokens ?? 0;
+    const cacheWrite = usage.cache_creation_input_tokens ?? details.cache_write_tokens ?? 0;
+    return {
+        input_tokens: Math.max(0, promptTokens - cacheRead - cacheWrite),
+        output_tokens: usage.completion_tokens ?? usage.output_tokens ?? 0,
+        cache_creation_input_tokens: cacheWrite,
+        cache_read_input_tokens: cacheRead,
+    };
+}
+
+function imageSourceToUrl(source = {}) {
+    if (source.type === 'base64') {
+        return `data:${source.media_type || 'image/png'};base64,${source.data}`;
+    }
+    if (source.type === 'url' && source.url) {
+        return source.url;
+    }
+    throw new AdapterRequestError(`Image source type "${source.type}" is not supported by OpenAI-compatible upstreams. Send the image as base64 or URL.`);
+}
+
+function convertDocumentBlock(block) {
+    const source = block.source || {};
+    const title = block.title ? `Document: ${block.title}\n\n` : '';
+
+    // Plain-text documents become text parts
+    if (source.type === 'text') {
+        return [{ type: 'text', text: title + (source.data || '') }];
+    }
+    if (source.type === 'content') {
+        const inner = typeof source.content === 'string'
+            ? [{ type: 'text', text: source.content }]
+            : convertContentBlocksToOpenAIParts(source.content);
+        return title ? [{ type: 'text', text: title.trim() }, ...inner] : inner;
+    }
+
+    // Base64 PDFs map to OpenAI file parts
+    if (source.type === 'base64' && source.media_type === 'application/pdf') {
+        const filename = block.title ? block.title.replace(/(\.pdf)?$/i, '.pdf') : 'document.pdf';
+        return [{
+            type: 'file',
+            file: {
+                filename,
+                file_data: `data:application/pdf;base64,${source.data}`,
+            },
+        }];
+    }
+
+    throw new AdapterRequestError(`Document source "${source.type}${source.media_type ? ` (${source.media_type})` : ''}" is not supported by OpenAI-compatible upstreams. Attach PDFs as base64 or send the text content.`);
+}
+
+/**
+ * Maps an Anthropic thinking budget to an OpenAI reasoning effort level.
+ */
+export function budgetToReasoningEffort(budgetTokens) {
+    if (!budgetTokens || budgetTokens < 4096) return 'low';
+    if (budgetTokens < 16384) return 'medium';
+    return 'high';
+}
+
+/**
+ * Splits model output that wraps its reasoning in <think>...</think>
+ * (DeepSeek-R1, QwQ and similar served through OpenAI-compatible gateways).
+ * Only a <think> tag at the very start of the output opens a thinking section.
+ * Tags split across stream chunks are handled by holding back partial matches.
+ *
+ * @returns {{ push(chunk: string): Array<{type: string, text: string}>, flush(): Array<{type: string, text: string}> }}
+ */
+export function createThinkTagParser() {
+    const OPEN = '<think>';
+    const CLOSE = '</think>';
+    let state = 'start'; // 'start' | 'thinking' | 'text'
+    let pending = '';
+    let trimLeading = false; // drop the blank lines that follow </think>
+
+    // Length of the longest suffix of `str` that is a prefix of `tag`
+    const partialTagLength = (str, tag) => {
+        for (let len = Math.min(tag.length - 1, str.length); len > 0; len--) {
+            if (tag.startsWith(str.slice(-len))) return len;
+        }
+        return 0;
+    };
+
+    const drain = (final) => {
+        const segments = [];
+        let progressed = true;
+        while (progressed && pending) {
+            progressed = false;
+            if (state === 'start') {
+                const trimmed = pending.trimStart();
+                if (trimmed.startsWith(OPEN)) {
+                    pending = trimmed.slice(OPEN.length);
+                    state = 'thinking';
+                    progressed = true;
+                } else if (!final && OPEN.startsWith(trimmed)) {
+                    break; // could still become <think>
+                } else {
+                    state = 'text';
+                    progressed = true;
+                }
+            } else if (state === 'thinking') {
+                const idx = pending.indexOf(CLOSE);
+                if (idx !== -1) {
+                    if (idx > 0) segments.push({ type: 'thinking', text: pending.slice(0, idx) });
+                    pending = pending.slice(idx + CLOSE.length);
+                    state = 'text';
+                    trimLeading = true;
+                    progressed = true;
+                } else {
+                    const hold = final ? 0 : partialTagLength(pending, CLOSE);
+                    const emit = pending.slice(0, pending.length - hold);
+                    if (emit) segments.push({ type: 'thinking', text: emit });
+                    pending = pending.slice(pending.length - hold);
+                }
+            } else {
+                if (trimLeading) {
+                    pending = pending.replace(/^\s+/, '');
+                    if (!pending) break;
+                    trimLeading = false;
+                }
+                segments.push({ type: 'text', text: pending });
+                pending = '';
+            }
+        }
+        return segments;
+    };
+
+    return {
+        push(chunk) {
+            pending += chunk;
+            return drain(false);
+        },
+        flush() {
+            return drain(true);
+        },
+    };
+}
+
+/**
+ * Creates a writer that emits a well-formed Anthropic SSE message.
+ * Text and thinking blocks are opened lazily and closed in order, the way the
+ * upstream sends them. Tool calls are collected until the message finishes and
+ * then sent as one tool_use block each: upstreams interleave the argument
+ * deltas of parallel calls, and a block cannot take deltas once it is closed.
+ */
+function createAnthropicStreamWriter(res, model) {
+    let nextIndex = 0;
+    let current = null;           // { index, type }
+    const toolBlocks = new Map(); // upstream tool key -> { id, name, args }
+    const toolCalls = [];         // the same blocks in the order they started
+    let hasToolUse = false;
+
+    const closeCurrent = () => {
+        if (!current) return;
+        sendEvent(res, 'content_block_stop', { type: 'content_block_stop', index: current.index });
+        current = null;
+    };
+
+    const openBlock = (type, contentBlock) => {
+        closeCurrent();
+        current = { index: nextIndex++, type };
+        sendEvent(res, 'content_block_start', {
+            type: 'content_block_start',
+            index: current.index,
+            content_block: contentBlock,
+        });
+        return current;
+    };
+
+    return {
+        get hasToolUse() { return hasToolUse; },
+
+        start(messageId) {
+            sendEvent(res, 'message_start', {
+                type: 'message_start',
+                message: {
+                    id: messageId,
+                    type: 'message',
+                    role: 'assistant',
+                    content: [],
+                    model: model,
+                    stop_reason: null,
+                    stop_sequence: null,
+                    usage: { input_tokens: 0, output_tokens: 0 }
+                }
+            });
+        },
+
+        thinking(text) {
+            if (!text) return;
+            if (!current || current.type !== 'thinking') {
+                openBlock('thinking', { type: 'thinking', thinking: '', signature: '' });
+            }
+            sendEvent(res, 'content_block_delta', {
+                type: 'content_block_delta',
+                index: current.index,
+                delta: { type: 'thinking_delta', thinking: text }
+            });
+        },
+
+        /**
+         * Attaches an opaque signature to the current thinking block, opening an
+         * empty one when the upstream signs a non-thinking part (Gemini thought signatures).
+         */
+        signature(signature) {
+            if (!signature) return;
+            if (!current || current.type !== 'thinking') {
+                openBlock('thinking', { type: 'thinking', thinking: '', signature: '' });
+            }
+            sendEvent(res, 'content_block_delta', {
+                type: 'content_block_delta',
+                index: current.index,
+                delta: { type: 'signature_delta', signature }
+            });
+            // A signature ends the thinking block
+            closeCurrent();
+        },
+
+        text(text) {
+            if (!text) return;
+            if (!current || current.type !== 'text') {
+                openBlock('text', { type: 'text', text: '' });
+            }
+            sendEvent(res, 'content_block_delta', {
+                type: 'content_block_delta',
+                index: current.index,
+                delta: { type: 'text_delta', text }
+            });
+        },
+
+        /**
+         * Adds one tool call fragment. `key` identifies the upstream tool call
+         * (OpenAI tool_calls index); a new id under the same key starts a new call.
+         * The calls are written by finish().
+         */
+        toolCall(key, { id, name, arguments: args } = {}) {
+            let block = toolBlocks.get(key);
+            if (!block || (id && block.id !== id)) {
+                block = { id: id || `toolu_${Date.now()}_${key}`, name: name || '', args: '' };
+                toolBlocks.set(key, block);
+                toolCalls.push(block);
+                hasToolUse = true;
+            }
+            if (args) block.args += args;
+        },
+
+        finish(stopReason, usage, stopSequence = null) {
+            closeCurrent();
+            for (const block of toolCalls) {
+                openBlock('tool_use', { type: 'tool_use', id: block.id, name: block.name, input: {} });
+                if (block.args) {
+                    sendEvent(res, 'content_block_delta', {
+                        type: 'content_block_delta',
+                        index: current.index,
+                        delta: { type: 'input_json_delta', partial_json: block.args }
+                    });
+                }
+                closeCurrent();
+            }
+            // Anthropic clients expect at least one content block per message
+            if (nextIndex === 0) {
+                openBlock('text', { type: 'text', text: '' });
+                closeCurrent();
+            }
+            sendEvent(res, 'message_delta', {
+                type: 'message_delta',
+                delta: {
+                    stop_reason: stopReason,
+                    stop_sequence: stopSequence
+                },
+                usage: {
+                    input_tokens: usage.input_tokens,
+                    output_tokens: usage.output_tokens,
+                    cache_creation_input_tokens: usage.cache_creation_input_tokens || 0,
+                    cache_read_input_tokens: usage.cache_read_input_tokens || 0,
+                }
+            });
+            sendEvent(res, 'message_stop', { type: 'message_stop' });
+        },
+
+        error(message) {
+            closeCurrent();
+            sendEvent(res, 'error', {
+                type: 'error',
+                error: { type: 'api_error', message }
+            });
+        },
+    };
+}
+
+/**
+ * Strips endpoint suffixes users commonly paste (…/v1/messages, …/v1/chat/completions, …/v1)
+ * so a dialect can append its own path.
+ * @param {string} url - Raw base URL
+ * @returns {string} Base URL without trailing slash or known endpoint paths
+ */
+export function stripEndpointSuffixes(url) {
+    let clean = (url || '').replace(/\/+$/, '');
+    clean = clean.replace(/\/v1\/messages$/, '');
+    clean = clean.replace(/\/v1\/chat\/completions$/, '');
+    clean = clean.replace(/\/v1\/responses$/, '');
+    clean = clean.replace(/\/v1$/, '');
+    return clean;
+}
+
+/**
+ * Translates an upstream SSE stream into Anthropic message stream events on `res`.
+ *
+ * The dialect supplies a translator built around the shared writer:
+ *   onData(data) - handles one parsed `data:` payload; throws to abort the stream
+ *   flush()      - optional, called once the upstream ends
+ *   result()     - returns { stopReason, stopSequence?, usage }; stopReason is
+ *                  null when the upstream never reported why it stopped
+ *
+ * @param {AsyncIterable} upstream - Upstream response stream
+ * @param {http.ServerResponse} res - Client response (headers already written)
+ * @param {string} model - Model name reported to the client
+ * @param {(writer: object) => object} createTranslator - Dialect translator factory
+ * @returns {Promise<{ stopReason: string|null, usage: object, interrupted: boolean }>}
+ */
+export async function translateUpstreamStream(upstream, res, model, createTranslator) {
+    const writer = createAnthropicStreamWriter(res, model);
+    writer.start('msg_' + Date.now());
+    const translator = createTranslator(writer);
+
+    // Stop reading upstream if the client disconnects
+    let clientDisconnected = false;
+    res.on('close', () => { clientDisconnected = true; });
+
+    let streamError = null;
+    try {
+        await forEachSseData(upstream, data => translator.onData(data), () => clientDisconnected);
+        if (!clientDisconnected && translator.flush) {
+            translator.flush();
+        }
+    } catch (error) {
+        streamError = error;
+    }
+
+    const { stopReason: upstreamStopReason, stopSequence, usage } = translator.result();
+    let interrupted = false;
+    if (streamError) {
+        interrupted = true;
+        proxyEvents.emit('log', `[Proxy] Stream interrupted: ${streamError.message}`);
+    } else if (!upstreamStopReason && !clientDisconnected) {
+        // Upstream closed without a finish reason — treat as an interrupted stream
+        interrupted = true;
+        proxyEvents.emit('log', '[Proxy] Stream ended without finish reason');
+    }
+
+    let stopReason = null;
+    if (!clientDisconnected) {
+        try {
+            if (streamError) {
+                writer.error(`Upstream stream interrupted: ${streamError.message}`);
+            } else {
+                stopReason = upstreamStopReason || 'end_turn';
+                // Some providers report a normal stop after emitting tool calls
+                if (writer.hasToolUse && stopReason === 'end_turn') stopReason = 'tool_use';
+                writer.finish(stopReason, usage, stopReason === 'stop_sequence' ? stopSequence : null);
+            }
+        } catch (e) {
+            proxyEvents.emit('log', `[Proxy] Error sending stream close events: ${e.message}`);
+        }
+    }
+
+    try { res.end(); } catch { }
+
+    return { stopReason, usage, interrupted };
+}
+
+/**
+ * Reads an upstream SSE stream and calls `onData` with every parsed `data:` payload.
+ * `[DONE]` markers are skipped, unparseable payloads are logged and skipped.
+ */
+async function forEachSseData(stream, onData, shouldStop = () => false) {
+    let buffer = '';
+
+    const processLine = (rawLine) => {
+        const line = rawLine.trim();
+        if (!line.startsWith('data:')) return;
+        const dataStr = line.slice(5).trim();
+        if (!dataStr || dataStr === '[DONE]') return;
+
+        let data;
+        try {
+            data = JSON.parse(dataStr);
+        } catch (e) {
+            proxyEvents.emit('log', `[Proxy] Stream JSON parse error: ${e.message}, data: ${dataStr.slice(0, 200)}`);
+            return;
+        }
+        onData(data);
+    };
+
+    // Multi-byte characters can be split across chunks
+    const decoder = new StringDecoder('utf8');
+    for await (const chunk of stream) {
+        if (shouldStop()) return;
+
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        const lines = buffer.split('\n');
+        buffer = lines.pop() || '';
+        for (const line of lines) {
+            processLine(line);
+            if (shouldStop()) return;
+        }
+    }
+
+    // Flush a final event that was not newline-terminated
+    buffer += decoder.end();
+    if (buffer.trim() && !shouldStop()) {
+        processLine(buffer);
+    }
+}
+
+/**
+ * Writes one Anthropic SSE event.
+ */
+export function sendEvent(res, eventName, data) {
+    res.write(`event: ${eventName}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+}
@@ -0,0 +1,454 @@
+/**
+ * Adapter Daemon - one long-lived adapter shared by every cc-helper session
+ *
+ * `cchelper proxy start` runs it in the background on a fixed port. Each
+ * session registers with it and gets its own adapter (or pass-through) handler
+ * for its profile, reached through the path prefix /s/<id> or the
+ * `x-cchelper-session: <id>` header. Sessions keep their own error state and
+ * session token (see createProxyToken), so the recovery menu works as with a
+ * private adapter, and the daemon keeps per-session totals for `cchelper proxy status`.
+ *
+ * <config dir>/proxy-daemon.json ({ pid, port, token, startedAt }) is both the
+ * lock and how clients find the daemon. It is created exclusively and readable
+ * only by the user; the control endpoints under /_cchelper require its token.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import path from 'path';
+import { spawn } from 'child_process';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import { getConfigDir, getProfiles, getProfileFormat } from './profile.js';
+import {
+    createAnthropicPassthroughHandler,
+    createOpenAIProxyHandler,
+    createProxyErrorState,
+    createProxyToken,
+    isAdapterFormat,
+    proxyConfigFromProfile,
+    proxyEvents,
+} from './adapter-proxy.js';
+
+export const DEFAULT_DAEMON_PORT = 18790;
+export const SESSION_HEADER = 'x-cchelper-session';
+const CONTROL_PREFIX = '/_cchelper';
+const CLI_ENTRY = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'index.js');
+
+export const getDaemonStatePath = () => path.join(getConfigDir(), 'proxy-daemon.json');
+export const getDaemonLogPath = () => path.join(getConfigDir(), 'proxy-daemon.log');
+
+/**
+ * State of the running daemon. A file left by a daemon that is gone is removed.
+ * @returns {object|null} { pid, port, token, startedAt }
+ */
+export function readDaemonState() {
+    const file = getDaemonStatePath();
+    let state;
+    try {
+        state = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch {
+        return null; // missing, or being written by a starting daemon
+    }
+    if (!state?.pid || !isAlive(state.pid)) {
+        try { fs.unlinkSync(file); } catch { }
+        return null;
+    }
+    return state;
+}
+
+/**
+ * Runs the daemon in this process until SIGINT/SIGTERM.
+ * @param {object} [options]
+ * @param {number} [options.port] - Fixed port (default DEFAULT_DAEMON_PORT)
+ * @returns {Promise<object>} { server, port }
+ * @throws {Error} If a daemon is already running or the port is taken
+ */
+export async function runProxyDaemon(options = {}) {
+    const port = Number(options.port) || DEFAULT_DAEMON_PORT;
+    const state = {
+        pid: process.pid,
+        port,
+        token: crypto.randomBytes(24).toString('hex'),
+        startedAt: new Date().toISOString(),
+    };
+    acquireLock(state);
+
+    const sessions = new Map();
+    const server = http.createServer((req, res) => {
+        const url = req.url || '/';
+        if (url === CONTROL_PREFIX || url.startsWith(`${CONTROL_PREFIX}/`)) {
+            handleControl(req, res, state, sessions).catch(error => {
+                sendJson(res, 500, { error: { message: error.message } });
+            });
+            return;
+        }
+        routeToSession(req, res, sessions);
+    });
+
+    try {
+        await new Promise((resolve, reject) => {
+            server.once('error', reject);
+            server.listen(port, '127.0.0.1', resolve);
+        });
+    } catch (error) {
+        releaseLock(state.pid);
+        throw error.code === 'EADDRINUSE' ? new Error(`Port ${port} is already in use`) : error;
+    }
+
+    proxyEvents.on('log', line => console.log(`${new Date().toISOString()} ${line}`));
+    console.log(`${new Date().toISOString()} [Daemon] Listening on http://127.0.0.1:${port} (pid ${process.pid})`);
+
+    const shutdown = () => {
+        console.log(`${new Date().toISOString()} [Daemon] Stopping`);
+        server.closeAllConnections?.();
+        server.close();
+        releaseLock(state.pid);
+        process.exit(0);
+    };
+    process.once('SIGINT', shutdown);
+    process.once('SIGTERM', shutdown);
+
+    return { server, port };
+}
+
+/**
+ * Starts the daemon in the background and waits until it answers.
+ * @param {object} [options] - { port }
+ * @returns {Promise<object>} Daemon state, with `alreadyRunning` when one was running
+ */
+export async function startProxyDaemon(options = {}) {
+    const running = readDaemonState();
+    if (running) return { ...running, alreadyRunning: true };
+
+    fs.mkdirSync(getConfigDir(), { recursive: true });
+    const log = fs.openSync(getDaemonLogPath(), 'a');
+    const args = [CLI_ENTRY, 'proxy', 'serve'];
+    if (options.port) args.push('--port', String(options.port));
+    const child = spawn(process.execPath, args, {
+        detached: true,
+        stdio: ['ignore', log, log],
+        windowsHide: true,
+    });
+    fs.closeSync(log);
+    let exited = false;
+    child.once('exit', () => { exited = true; });
+    child.unref();
+
+    for (let waited = 0; waited < 10000 && !exited; waited += 100) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const state = readDaemonState();
+        if (state?.pid === child.pid && await ping(state)) return state;
+    }
+    throw new Error(`Proxy daemon did not start; see ${getDaemonLogPath()}`);
+}
+
+/**
+ * Stops the running daemon.
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Stop even while sessions use it
+ * @returns {Promise<object|null>} The stopped daemon's state, or null if none was running
+ * @throws {Error} If sessions are active and `force` is not set
+ */
+export async function stopProxyDaemon(options = {}) {
+    const state = readDaemonState();
+    if (!state) return null;
+
+    const status = await getProxyDaemonStatus();
+    if (!status.responding) {
+        // The pid was reused by another process: only the lock file is ours
+        releaseLock(state.pid);
+        return state;
+    }
+    if (status.sessions.length > 0 && !options.force) {
+        throw new Error(`${status.sessions.length} session(s) still use the daemon; end them first or use --force`);
+    }
+
+    process.kill(state.pid, 'SIGTERM');
+    for (let waited = 0; waited < 5000 && isAlive(state.pid); waited += 100) {
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+    if (isAlive(state.pid)) {
+        throw new Error(`Proxy daemon (pid ${state.pid}) did not stop`);
+    }
+    releaseLock(state.pid);
+    return state;
+}
+
+/**
+ * Status of the running daemon.
+ * @returns {Promise<object|null>} { pid, port, startedAt, responding, sessions: [summary] }, or null if none runs
+ */
+export async function getProxyDaemonStatus() {
+    const state = readDaemonState();
+    if (!state) return null;
+    try {
+        const { data } = await control(state, 'get', '/status');
+        if (data.pid === state.pid) return { ...data, responding: true };
+    } catch {
+        // fall through
+    }
+    return { pid: state.pid, port: state.port, startedAt: state.startedAt, responding: false, sessions: [] };
+}
+
+/**
+ * Registers a session with the running daemon.
+ * @param {object} session - { profile (name), format, project, recordFile? }
+ * @returns {Promise<object|null>} { id, url, mode, token, errors(), close() }, or null when no
+ *   daemon runs or it could not serve the profile (the caller then starts its own proxy).
+ *   `token` is the session token the client must send.
+ */
+export async function connectProxyDaemon(session) {
+    const state = readDaemonState();
+    if (!state) return null;
+
+    let data;
+    try {
+        ({ data } = await control(state, 'post', '/sessions', { ...session, clientPid: process.pid }));
+    } catch (error) {
+        proxyEvents.emit('log', `[Daemon] Session not registered: ${error.response?.data?.error?.message || error.message}`);
+        return null;
+    }
+    const { id } = data;
+    return {
+        id,
+        url: data.url,
+        mode: data.mode,
+        token: data.token,
+        /** Error state of this session (as getProxyErrorState) */
+        async errors() {
+            try {
+                return (await control(state, 'get', `/sessions/${id}`)).data.errors;
+            } catch {
+                return createProxyErrorState();
+            }
+        },
+        /** Unregisters the session. */
+        async close() {
+            try {
+                await control(state, 'delete', `/sessions/${id}`);
+            } catch {
+                // the daemon prunes sessions whose process has exited
+            }
+        },
+    };
+}
+
+// --- Daemon side ---
+
+function acquireLock(state) {
+    const file = getDaemonStatePath();
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    for (let attempt = 0; attempt < 2; attempt++) {
+        try {
+            const fd = fs.openSync(file, 'wx', 0o600);
+            fs.writeSync(fd, JSON.stringify(state, null, 2));
+            fs.closeSync(fd);
+            return;
+        } catch (error) {
+            if (error.code !== 'EEXIST') throw error;
+            const running = readDaemonState(); // removes a stale file
+            if (running) {
+                throw new Error(`Proxy daemon already running (pid ${running.pid}, port ${running.port})`);
+            }
+        }
+    }
+    throw new Error(`Could not create ${file}; remove it if no daemon is running`);
+}
+
+// Removes the lock file if it still belongs to `pid`
+function releaseLock(pid) {
+    const file = getDaemonStatePath();
+    try {
+        if (JSON.parse(fs.readFileSync(file, 'utf8')).pid === pid) fs.unlinkSync(file);
+    } catch {
+        // already gone
+    }
+}
+
+function routeToSession(req, res, sessions) {
+    let id = req.headers[SESSION_HEADER];
+    let url = req.url || '/';
+    const prefixed = /^\/s\/([\w-]+)(.*)$/.exec(url);
+    if (prefixed) {
+        id = prefixed[1];
+        url = prefixed[2].startsWith('/') ? prefixed[2] : `/${prefixed[2]}`;
+    }
+
+    const session = sessions.get(id);
+    if (!session) {
+        sendJson(res, 404, {
+            type: 'error',
+            error: {
+                type: 'not_found_error',
+                message: 'Unknown cc-helper session. The proxy daemon may have restarted; start the session again.',
+            },
+        });
+        return;
+    }
+    req.url = url;
+    session.requests++;
+    session.lastActivity = Date.now();
+    Promise.resolve(session.handler(req, res)).catch(error => {
+        proxyEvents.emit('log', `[Daemon] Session ${session.id} error: ${error.message}`);
+        if (!res.headersSent) {
+            sendJson(res, 500, { type: 'error', error: { type: 'api_error', message: error.message } });
+        } else {
+            res.end();
+        }
+    });
+}
+
+async function handleControl(req, res, state, sessions) {
+    const expected = Buffer.from(`Bearer ${state.token}`);
+    const given = Buffer.from(req.headers.authorization || '');
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+        sendJson(res, 401, { error: { message: 'Missing or invalid daemon token' } });
+        return;
+    }
+
+    pruneSessions(sessions);
+    const route = (req.url || '').slice(CONTROL_PREFIX.length).split('?')[0];
+    const sessionMatch = /^\/sessions\/([\w-]+)$/.exec(route);
+
+    if (req.method === 'GET' && route === '/status') {
+        sendJson(res, 200, {
+            pid: process.pid,
+            port: state.port,
+            startedAt: state.startedAt,
+            sessions: [...sessions.values()].map(summarizeSession),
+        });
+    } else if (req.method === 'POST' && route === '/sessions') {
+        let body;
+        try {
+            body = JSON.parse(await readBody(req));
+        } catch {
+            sendJson(res, 400, { error: { message: 'Invalid JSON' } });
+            return;
+        }
+        try {
+            const session = createSession(body);
+            sessions.set(session.id, session);
+            proxyEvents.emit('log', `[Daemon] Session ${session.id} started: ${session.profile} (${session.mode}) in ${session.project}`);
+            sendJson(res, 201, {
+                id: session.id,
+                url: `http://127.0.0.1:${state.port}/s/${session.id}`,
+                mode: session.mode,
+                token: session.token,
+            });
+        } catch (error) {
+            sendJson(res, 400, { error: { message: error.message } });
+        }
+    } else if (sessionMatch && sessions.has(sessionMatch[1]) && (req.method === 'GET' || req.method === 'DELETE')) {
+        const session = sessions.get(sessionMatch[1]);
+        if (req.method === 'DELETE') {
+            sessions.delete(session.id);
+            proxyEvents.emit('log', `[Daemon] Session ${session.id} ended (${session.requests} request(s))`);
+        }
+        sendJson(res, 200, summarizeSession(session));
+    } else {
+        sendJson(res, 404, { error: { message: `Unknown control request: ${req.method} ${route}` } });
+    }
+}
+
+// The profile is read from the config on every registration, so edits apply to new sessions
+function createSession({ profile: profileName, format: requestedFormat, project, recordFile, clientPid }) {
+    const profile = getProfiles().find(p => p.name === profileName);
+    if (!profile) throw new Error(`Profile not found: ${profileName}`);
+    const format = requestedFormat || getProfileFormat(profile);
+
+    const session = {
+        id: crypto.randomBytes(9).toString('base64url'),
+        profile: profile.name,
+        format,
+        mode: isAdapterFormat(format) ? 'adapter' : 'passthrough',
+        project: project || null,
+        clientPid: clientPid || null,
+        token: createProxyToken(),
+        createdAt: Date.now(),
+        lastActivity: null,
+        requests: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        cacheReadTokens: 0,
+        cacheWriteTokens: 0,
+        cost: 0,
+        errorState: createProxyErrorState(),
+    };
+    const config = {
+        ...proxyConfigFromProfile(profile, { format, project, recordFile }),
+        errorState: session.errorState,
+        authToken: session.token,
+        onUsage: (event, line) => {
+            session.inputTokens += event.usage?.input_tokens || 0;
+            session.outputTokens += event.usage?.output_tokens || 0;
+            session.cacheReadTokens += event.usage?.cache_read_input_tokens || 0;
+            session.cacheWriteTokens += event.usage?.cache_creation_input_tokens || 0;
+            session.cost += line?.cost || 0;
+        },
+    };
+    session.handler = session.mode === 'adapter'
+        ? createOpenAIProxyHandler(config)
+        : createAnthropicPassthroughHandler(config);
+    return session;
+}
+
+// Sessions whose cc-helper process is gone (killed without unregistering)
+function pruneSessions(sessions) {
+    for (const session of sessions.values()) {
+        if (session.clientPid && !isAlive(session.clientPid)) {
+            sessions.delete(session.id);
+            proxyEvents.emit('log', `[Daemon] Session ${session.id} dropped: process ${session.clientPid} exited`);
+        }
+    }
+}
+
+function summarizeSession(session) {
+    const { handler, errorState, token, ...summary } = session;
+    return { ...summary, cost: Math.round(session.cost * 1e6) / 1e6, errors: { ...errorState } };
+}
+
+// --- Helpers ---
+
+function control(state, method, route, data) {
+    return axios({
+        method,
+        url: `http://127.0.0.1:${state.port}${CONTROL_PREFIX}${route}`,
+        data,
+        headers: { Authorization: `Bearer ${state.token}` },
+        timeout: 5000,
+    });
+}
+
+async function ping(state) {
+    try {
+        const { data } = await control(state, 'get', '/status');
+        return data.pid === state.pid;
+    } catch {
+        return false;
+    }
+}
+
+function isAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
+
+function readBody(req) {
+    return new Promise((resolve, reject) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body));
+        req.on('error', reject);
+    });
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
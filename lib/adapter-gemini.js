@@ -0,0 +1,395 @@
+/**
+ * Adapter dialect: Google Gemini generateContent / streamGenerateContent
+ *
+ * Used for profiles with format 'gemini'. The profile URL is the API base
+ * (default https://generativelanguage.googleapis.com); an explicit /v1 or
+ * /v1beta version in the URL is kept, otherwise v1beta is used.
+ */
+
+import { AdapterRequestError } from './adapter-common.js';
+
+const DEFAULT_GEMINI_URL = 'https://generativelanguage.googleapis.com';
+
+// JSON schema keywords accepted in Gemini function declarations
+const SCHEMA_KEYS = new Set([
+    'type', 'format', 'description', 'nullable', 'enum', 'items', 'properties',
+    'required', 'anyOf', 'minItems', 'maxItems', 'minimum', 'maximum',
+    'minLength', 'maxLength', 'pattern', 'title',
+]);
+
+/**
+ * Builds the upstream request for an Anthropic Messages request.
+ * @param {object} anthropicReq - Incoming Anthropic Messages request
+ * @param {object} options - { targetUrl, apiKey, model }
+ * @returns {{ url: string, headers: object, body: object }}
+ */
+export function buildGeminiRequest(anthropicReq, { targetUrl, apiKey, model }) {
+    const base = geminiApiBase(targetUrl);
+    const action = anthropicReq.stream ? 'streamGenerateContent?alt=sse' : 'generateContent';
+    return {
+        url: `${base}/models/${encodeURIComponent(model)}:${action}`,
+        headers: geminiAuthHeaders(apiKey),
+        body: convertAnthropicToGemini(anthropicReq),
+    };
+}
+
+/**
+ * Builds a countTokens request for an Anthropic count_tokens request.
+ * @param {object} anthropicReq - Incoming Anthropic count_tokens request
+ * @param {object} options - { targetUrl, apiKey, model }
+ * @returns {{ url: string, headers: object, body: object }}
+ */
+export function buildGeminiCountTokensRequest(anthropicReq, { targetUrl, apiKey, model }) {
+    return {
+        url: `${geminiApiBase(targetUrl)}/models/${encodeURIComponent(model)}:countTokens`,
+        headers: geminiAuthHeaders(apiKey),
+        body: {
+            generateContentRequest: { model: `models/${model}`, ...convertAnthropicToGemini(anthropicReq) },
+        },
+    };
+}
+
+/**
+ * Builds the model catalogue request (GET models) for a Gemini upstream.
+ * @returns {{ url: string, headers: object }}
+ */
+export function buildGeminiModelsRequest(targetUrl, apiKey) {
+    return {
+        url: `${geminiApiBase(targetUrl)}/models?pageSize=1000`,
+        headers: geminiAuthHeaders(apiKey),
+    };
+}
+
+/**
+ * Auth headers of a Gemini upstream.
+ * @param {string} apiKey
+ * @returns {object}
+ */
+export function geminiAuthHeaders(apiKey) {
+    return { 'x-goog-api-key': apiKey };
+}
+
+// Versioned API base: keeps an explicit /v1 or /v1beta, defaults to v1beta
+function geminiApiBase(targetUrl) {
+    let base = (targetUrl || DEFAULT_GEMINI_URL).replace(/\/+$/, '');
+    base = base.replace(/\/models(\/.*)?$/, '');
+    if (!/\/v\d+(alpha|beta)?$/.test(base)) {
+        base += '/v1beta';
+    }
+    return base;
+}
+
+function convertAnthropicToGemini(anthropicReq) {
+    const contents = [];
+    const toolNames = new Map(); // tool_use id -> function name (functionResponse needs the name)
+
+    for (const msg of anthropicReq.messages || []) {
+        const role = msg.role === 'assistant' ? 'model' : 'user';
+        const blocks = Array.isArray(msg.content)
+            ? msg.content
+            : [{ type: 'text', text: msg.content || '' }];
+
+        const parts = [];
+        let pendingSignature = null; // thought signature for the next model part
+        const pushPart = (part) => {
+            if (pendingSignature) {
+                part.thoughtSignature = pendingSignature;
+                pendingSignature = null;
+            }
+            parts.push(part);
+        };
+
+        for (const block of blocks) {
+            if (block.type === 'text') {
+                if (block.text) pushPart({ text: block.text });
+            } else if (block.type === 'thinking') {
+                // Thoughts are not sent back, only their signatures
+                if (role === 'model' && block.signature) pendingSignature = block.signature;
+            } else if (block.type === 'tool_use') {
+                toolNames.set(block.id, block.name);
+                pushPart({ functionCall: { name: block.name, args: block.input || {} } });
+            } else if (block.type === 'tool_result') {
+                parts.push(...convertToolResult(block, toolNames));
+            } else if (block.type === 'image' || block.type === 'document') {
+                parts.push(...convertMediaBlock(block));
+            }
+        }
+
+        if (parts.length > 0) {
+            contents.push({ role, parts });
+        }
+    }
+
+    const body = { contents };
+
+    const systemText = Array.isArray(anthropicReq.system)
+        ? anthropicReq.system.filter(c => c.type === 'text').map(c => c.text).join('\n')
+        : anthropicReq.system;
+    if (systemText) {
+        body.systemInstruction = { parts: [{ text: systemText }] };
+    }
+
+    if (anthropicReq.tools && anthropicReq.tools.length > 0) {
+        body.tools = [{
+            functionDeclarations: anthropicReq.tools.map(tool => {
+                const declaration = { name: tool.name, description: tool.description || '' };
+                const parameters = sanitizeSchema(tool.input_schema);
+                // Gemini rejects OBJECT schemas without properties
+                if (parameters && !(parameters.type === 'object' && !parameters.properties)) {
+                    declaration.parameters = parameters;
+                }
+                return declaration;
+            }),
+        }];
+    }
+
+    const tc = anthropicReq.tool_choice;
+    if (tc) {
+        if (tc.type === 'any') {
+            body.toolConfig = { functionCallingConfig: { mode: 'ANY' } };
+        } else if (tc.type === 'tool' && tc.name) {
+            body.toolConfig = { functionCallingConfig: { mode: 'ANY', allowedFunctionNames: [tc.name] } };
+        } else if (tc.type === 'none') {
+            body.toolConfig = { functionCallingConfig: { mode: 'NONE' } };
+        } else {
+            body.toolConfig = { functionCallingConfig: { mode: 'AUTO' } };
+        }
+    }
+
+    const generationConfig = { maxOutputTokens: anthropicReq.max_tokens || 4096 };
+    if (anthropicReq.temperature !== undefined) generationConfig.temperature = anthropicReq.temperature;
+    if (anthropicReq.top_p !== undefined) generationConfig.topP = anthropicReq.top_p;
+    if (anthropicReq.top_k !== undefined) generationConfig.topK = anthropicReq.top_k;
+    if (anthropicReq.stop_sequences?.length) generationConfig.stopSequences = anthropicReq.stop_sequences;
+    if (anthropicReq.thinking?.type === 'enabled') {
+        generationConfig.thinkingConfig = {
+            thinkingBudget: anthropicReq.thinking.budget_tokens,
+            includeThoughts: true,
+        };
+    }
+    body.generationConfig = generationConfig;
+
+    return body;
+}
+
+function convertToolResult(block, toolNames) {
+    const name = toolNames.get(block.tool_use_id);
+    if (!name) {
+        throw new AdapterRequestError(`tool_result ${block.tool_use_id} does not match any earlier tool_use block.`);
+    }
+
+    let text = '';
+    const media = [];
+    if (Array.isArray(block.content)) {
+        for (const inner of block.content) {
+            if (inner.type === 'text') text += (text ? '\n' : '') + inner.text;
+            else if (inner.type === 'image' || inner.type === 'document') media.push(...convertMediaBlock(inner));
+        }
+    } else {
+        text = block.content || '';
+    }
+
+    const response = block.is_error ? { error: text } : { content: text };
+    return [{ functionResponse: { name, response } }, ...media];
+}
+
+function convertMediaBlock(block) {
+    const source = block.source || {};
+    const title = block.title ? `Document: ${block.title}\n\n` : '';
+
+    if (source.type === 'base64') {
+        return [{ inlineData: { mimeType: source.media_type, data: source.data } }];
+    }
+    if (block.type === 'document' && source.type === 'text') {
+        return [{ text: title + (source.data || '') }];
+    }
+    if (block.type === 'document' && source.type === 'content' && typeof source.content === 'string') {
+        return [{ text: title + source.content }];
+    }
+    if (block.type === 'document' && source.type === 'content') {
+        const parts = title ? [{ text: title.trim() }] : [];
+        for (const inner of source.content || []) {
+            if (inner.type === 'text') parts.push({ text: inner.text });
+            else if (inner.type === 'image') parts.push(...convertMediaBlock(inner));
+        }
+        return parts;
+    }
+
+    throw new AdapterRequestError(`${block.type === 'image' ? 'Image' : 'Document'} source "${source.type}" is not supported by Gemini upstreams. Send the content as base64.`);
+}
+
+/**
+ * Reduces a JSON schema to the OpenAPI subset Gemini accepts.
+ */
+function sanitizeSchema(schema) {
+    if (!schema || typeof schema !== 'object') return undefined;
+
+    const out = {};
+    for (const [key, value] of Object.entries(schema)) {
+        if (!SCHEMA_KEYS.has(key)) continue;
+        if (key === 'properties') {
+            const properties = {};
+            for (const [prop, propSchema] of Object.entries(value || {})) {
+                properties[prop] = sanitizeSchema(propSchema) || {};
+            }
+            if (Object.keys(properties).length > 0) out.properties = properties;
+        } else if (key === 'items') {
+            out.items = sanitizeSchema(value);
+        } else if (key === 'anyOf') {
+            out.anyOf = value.map(sanitizeSchema).filter(Boolean);
+        } else {
+            out[key] = value;
+        }
+    }
+
+    if ('const' in schema) {
+        out.enum = [schema.const];
+    }
+
+    // ["string", "null"] -> "string" + nullable
+    if (Array.isArray(out.type)) {
+        const types = out.type.filter(t => t !== 'null');
+        if (types.length < out.type.length) out.nullable = true;
+        out.type = types[0] || 'string';
+    }
+
+    // Gemini only accepts the enum and date-time formats for strings
+    if (out.type === 'string' && out.format && !['enum', 'date-time'].includes(out.format)) {
+        delete out.format;
+    }
+
+    if (out.required && out.properties) {
+        out.required = out.required.filter(name => name in out.properties);
+    } else {
+        delete out.required;
+    }
+
+    return out;
+}
+
+/**
+ * Converts a non-streaming generateContent result to an Anthropic message.
+ */
+export function convertGeminiToAnthropicResponse(resp, model) {
+    const candidate = resp.candidates?.[0];
+    const content = [];
+    let toolCount = 0;
+
+    for (const part of candidate?.content?.parts || []) {
+        // A signature belongs to the part it arrives with; keep it in front of that part
+        if (part.thoughtSignature) {
+            const last = content[content.length - 1];
+            if (last?.type === 'thinking' && !last.signature) last.signature = part.thoughtSignature;
+            else content.push({ type: 'thinking', thinking: '', signature: part.thoughtSignature });
+        }
+
+        if (part.thought) {
+            if (part.text) content.push({ type: 'thinking', thinking: part.text, signature: '' });
+        } else if (part.functionCall) {
+            content.push({
+                type: 'tool_use',
+                id: part.functionCall.id || `toolu_${Date.now()}_${toolCount}`,
+                name: part.functionCall.name,
+                input: part.functionCall.args || {},
+            });
+            toolCount++;
+        } else if (part.text) {
+            content.push({ type: 'text', text: part.text });
+        }
+    }
+
+    if (content.length === 0) {
+        content.push({ type: 'text', text: '' });
+    }
+
+    const stopReason = candidate
+        ? mapFinishReason(candidate.finishReason, toolCount > 0)
+        : (resp.promptFeedback?.blockReason ? 'refusal' : 'end_turn');
+
+    return {
+        id: resp.responseId || 'msg_' + Date.now(),
+        type: 'message',
+        role: 'assistant',
+        content,
+        model,
+        stop_reason: stopReason,
+        stop_sequence: null,
+        usage: convertUsage(resp.usageMetadata),
+    };
+}
+
+/**
+ * Creates the stream translator for streamGenerateContent chunks
+ * (see translateUpstreamStream in adapter-common.js).
+ */
+export function createGeminiStreamTranslator(writer) {
+    let stopReason = null;
+    let usage = { input_tokens: 0, output_tokens: 0 };
+    let toolCount = 0;
+
+    return {
+        onData(chunk) {
+            if (chunk.error) {
+                throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+            }
+
+            // Usage is cumulative; the last chunk carries the totals
+            if (chunk.usageMetadata) {
+                usage = convertUsage(chunk.usageMetadata);
+            }
+
+            if (!chunk.candidates && chunk.promptFeedback?.blockReason) {
+                stopReason = 'refusal';
+                return;
+            }
+
+            const candidate = chunk.candidates?.[0];
+            if (!candidate) return;
+
+            for (const part of candidate.content?.parts || []) {
+                writer.signature(part.thoughtSignature);
+
+                if (part.thought) {
+                    writer.thinking(part.text);
+                } else if (part.functionCall) {
+                    // Gemini sends each call complete in one part
+                    const key = `call_${toolCount++}`;
+                    writer.toolCall(key, {
+                        id: part.functionCall.id || `toolu_${Date.now()}_${key}`,
+                        name: part.functionCall.name,
+                        arguments: JSON.stringify(part.functionCall.args || {}),
+                    });
+                } else {
+                    writer.text(part.text);
+                }
+            }
+
+            if (candidate.finishReason) {
+                stopReason = mapFinishReason(candidate.finishReason, writer.hasToolUse);
+            }
+        },
+
+        result() {
+            return { stopReason, usage };
+        },
+    };
+}
+
+function mapFinishReason(reason, hasToolUse) {
+    if (reason === 'MAX_TOKENS') return 'max_tokens';
+    if (['SAFETY', 'RECITATION', 'BLOCKLIST', 'PROHIBITED_CONTENT', 'SPII', 'IMAGE_SAFETY'].includes(reason)) {
+        return 'refusal';
+    }
+    return hasToolUse ? 'tool_use' : 'end_turn';
+}
+
+// Context cache hits are part of promptTokenCount; Anthropic reports them separately
+function convertUsage(usageMetadata = {}) {
+    const cached = usageMetadata.cachedContentTokenCount || 0;
+    return {
+        input_tokens: Math.max(0, (usageMetadata.promptTokenCount || 0) - cached),
+        output_tokens: (usageMetadata.candidatesTokenCount || 0) + (usageMetadata.thoughtsTokenCount || 0),
+        cache_creation_input_tokens: 0,
+        cache_read_input_tokens: cached,
+    };
+}
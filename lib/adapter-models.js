@@ -0,0 +1,64 @@
+/**
+ * Adapter Models - cached upstream model catalogue for the adapter's /v1/models
+ */
+
+import { proxyEvents } from './adapter-common.js';
+import { fetchUpstreamModelIds } from './profile.js';
+
+const DEFAULT_CATALOG_TTL_MS = 10 * 60 * 1000;
+// Retry sooner when no upstream answered
+const FAILED_CATALOG_TTL_MS = 60 * 1000;
+
+/**
+ * Creates the model catalogue for one adapter proxy: the union of every
+ * upstream's model list, fetched on first use and cached.
+ *
+ * @param {Array<object>} upstreams - [{ url, key, format? }]
+ * @param {object} [options]
+ * @param {string} [options.format] - Default upstream format
+ * @param {number} [options.ttlMs] - Cache lifetime
+ * @param {Function} [options.rewriteHeaders] - Applies profile header rules (see adapter-rewrite.js)
+ */
+export function createModelCatalog(upstreams, options = {}) {
+    const ttlMs = options.ttlMs ?? DEFAULT_CATALOG_TTL_MS;
+    let cached = null;    // string[] | null (null = no upstream catalogue)
+    let expiresAt = 0;
+    let pending = null;
+
+    const refresh = async () => {
+        const results = await Promise.all(upstreams.map(async (upstream) => {
+            try {
+                return await fetchUpstreamModelIds({
+                    url: upstream.url,
+                    key: upstream.key,
+                    format: upstream.format || options.format,
+                }, { rewriteHeaders: options.rewriteHeaders });
+            } catch (error) {
+                proxyEvents.emit('log', `[Proxy] Could not fetch models from ${upstream.url}: ${error.message}`);
+                return null;
+            }
+        }));
+
+        const lists = results.filter(Array.isArray);
+        cached = lists.length > 0 ? [...new Set(lists.flat())] : null;
+        expiresAt = Date.now() + (cached ? ttlMs : FAILED_CATALOG_TTL_MS);
+        proxyEvents.emit('log', cached
+            ? `[Proxy] Upstream catalogue: ${cached.length} model(s)`
+            : '[Proxy] No upstream model catalogue; accepting any model id');
+        return cached;
+    };
+
+    return {
+        /**
+         * Returns the upstream model ids, or null when no upstream serves a catalogue.
+         * @returns {Promise<string[]|null>}
+         */
+        async getModelIds() {
+            if (Date.now() < expiresAt) return cached;
+            if (!pending) {
+                pending = refresh().finally(() => { pending = null; });
+            }
+            return pending;
+        },
+    };
+}
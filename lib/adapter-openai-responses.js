@@ -0,0 +1,282 @@
+/**
+ * Adapter dialect: OpenAI Responses API (POST /v1/responses)
+ *
+ * Used for profiles with format 'openai-responses' (OpenAI reasoning models,
+ * Azure OpenAI and gateways that only expose the Responses API).
+ */
+
+import {
+    budgetToReasoningEffort,
+    convertContentBlocksToOpenAIParts,
+    convertOpenAIUsage,
+    stripEndpointSuffixes,
+} from './adapter-common.js';
+
+/**
+ * Builds the upstream request for an Anthropic Messages request.
+ * @param {object} anthropicReq - Incoming Anthropic Messages request
+ * @param {object} options - { targetUrl, apiKey, model }
+ * @returns {{ url: string, headers: object, body: object }}
+ */
+export function buildResponsesRequest(anthropicReq, { targetUrl, apiKey, model }) {
+    return {
+        url: stripEndpointSuffixes(targetUrl) + '/v1/responses',
+        headers: { 'Authorization': `Bearer ${apiKey}` },
+        body: convertAnthropicToResponses(anthropicReq, model),
+    };
+}
+
+/**
+ * Builds an input token count request (POST /v1/responses/input_tokens) for an
+ * Anthropic count_tokens request.
+ * @param {object} anthropicReq - Incoming Anthropic count_tokens request
+ * @param {object} options - { targetUrl, apiKey, model }
+ * @returns {{ url: string, headers: object, body: object }}
+ */
+export function buildResponsesInputTokensRequest(anthropicReq, { targetUrl, apiKey, model }) {
+    const body = convertAnthropicToResponses(anthropicReq, model);
+    delete body.max_output_tokens;
+    delete body.stream;
+    delete body.store;
+    return {
+        url: stripEndpointSuffixes(targetUrl) + '/v1/responses/input_tokens',
+        headers: { 'Authorization': `Bearer ${apiKey}` },
+        body,
+    };
+}
+
+function convertAnthropicToResponses(anthropicReq, model) {
+    const input = [];
+
+    for (const msg of anthropicReq.messages || []) {
+        if (!Array.isArray(msg.content)) {
+            input.push({ role: msg.role, content: msg.content });
+            continue;
+        }
+
+        if (msg.role === 'assistant') {
+            // Text and tool calls become separate items, in order
+            let text = '';
+            const flushText = () => {
+                if (text) input.push({ role: 'assistant', content: text });
+                text = '';
+            };
+            for (const block of msg.content) {
+                if (block.type === 'text') {
+                    text += (text ? '\n' : '') + block.text;
+                } else if (block.type === 'tool_use') {
+                    flushText();
+                    input.push({
+                        type: 'function_call',
+                        call_id: block.id,
+                        name: block.name,
+                        arguments: typeof block.input === 'string'
+                            ? block.input
+                            : JSON.stringify(block.input || {}),
+                    });
+                }
+                // Thinking blocks are not sent back: responses are not stored upstream
+            }
+            flushText();
+            continue;
+        }
+
+        // User turn: tool results first, then any other content
+        const mediaParts = [];
+        for (const tr of msg.content.filter(c => c.type === 'tool_result')) {
+            let output;
+            if (Array.isArray(tr.content)) {
+                const parts = convertContentBlocksToOpenAIParts(tr.content);
+                output = parts.filter(p => p.type === 'text').map(p => p.text).join('\n');
+                const media = parts.filter(p => p.type !== 'text');
+                if (media.length > 0) {
+                    mediaParts.push({ type: 'text', text: `[Tool result ${tr.tool_use_id} attachments]` }, ...media);
+                    if (!output) output = `(${media.length} attachment(s) sent in the next message)`;
+                }
+            } else {
+                output = tr.content || '';
+            }
+            input.push({ type: 'function_call_output', call_id: tr.tool_use_id, output });
+        }
+
+        const parts = [
+            ...mediaParts,
+            ...convertContentBlocksToOpenAIParts(msg.content.filter(c => c.type !== 'tool_result')),
+        ];
+        if (parts.length > 0) {
+            input.push({ role: 'user', content: parts.map(toResponsesInputPart) });
+        }
+    }
+
+    const body = {
+        model,
+        input,
+        max_output_tokens: anthropicReq.max_tokens || 4096,
+        stream: !!anthropicReq.stream,
+        store: false,
+    };
+
+    const instructions = Array.isArray(anthropicReq.system)
+        ? anthropicReq.system.filter(c => c.type === 'text').map(c => c.text).join('\n')
+        : anthropicReq.system;
+    if (instructions) body.instructions = instructions;
+
+    if (anthropicReq.temperature !== undefined) body.temperature = anthropicReq.temperature;
+    if (anthropicReq.top_p !== undefined) body.top_p = anthropicReq.top_p;
+
+    if (anthropicReq.tools && anthropicReq.tools.length > 0) {
+        body.tools = anthropicReq.tools.map(tool => ({
+            type: 'function',
+            name: tool.name,
+            description: tool.description || '',
+            parameters: tool.input_schema || {},
+        }));
+    }
+
+    const tc = anthropicReq.tool_choice;
+    if (tc) {
+        if (tc.type === 'any') body.tool_choice = 'required';
+        else if (tc.type === 'tool' && tc.name) body.tool_choice = { type: 'function', name: tc.name };
+        else if (tc.type === 'none') body.tool_choice = 'none';
+        else body.tool_choice = 'auto';
+        if (body.tools && tc.disable_parallel_tool_use) body.parallel_tool_calls = false;
+    }
+    if (typeof anthropicReq.metadata?.user_id === 'string' && anthropicReq.metadata.user_id) {
+        body.user = anthropicReq.metadata.user_id;
+    }
+
+    if (anthropicReq.thinking?.type === 'enabled') {
+        body.reasoning = {
+            effort: budgetToReasoningEffort(anthropicReq.thinking.budget_tokens),
+            summary: 'auto',
+        };
+    }
+
+    return body;
+}
+
+/**
+ * Chat content parts (from convertContentBlocksToOpenAIParts) -> Responses input parts.
+ */
+function toResponsesInputPart(part) {
+    if (part.type === 'image_url') {
+        return { type: 'input_image', image_url: part.image_url.url };
+    }
+    if (part.type === 'file') {
+        return { type: 'input_file', filename: part.file.filename, file_data: part.file.file_data };
+    }
+    return { type: 'input_text', text: part.text };
+}
+
+/**
+ * Converts a non-streaming Responses API result to an Anthropic message.
+ */
+export function convertResponsesToAnthropicResponse(resp, model) {
+    const content = [];
+
+    for (const item of resp.output || []) {
+        if (item.type === 'reasoning') {
+            const summary = (item.summary || []).map(s => s.text).join('\n\n');
+            if (summary) content.push({ type: 'thinking', thinking: summary, signature: '' });
+        } else if (item.type === 'message') {
+            const text = (item.content || [])
+                .map(c => (c.type === 'refusal' ? c.refusal : c.text) || '')
+                .join('');
+            if (text) content.push({ type: 'text', text });
+        } else if (item.type === 'function_call') {
+            let input;
+            try {
+                input = JSON.parse(item.arguments || '{}');
+            } catch {
+                input = {};
+            }
+            content.push({ type: 'tool_use', id: item.call_id, name: item.name, input });
+        }
+    }
+
+    const hasToolUse = content.some(c => c.type === 'tool_use');
+    if (content.length === 0) {
+        content.push({ type: 'text', text: '' });
+    }
+
+    return {
+        id: resp.id,
+        type: 'message',
+        role: 'assistant',
+        content,
+        model,
+        stop_reason: mapResponseStatus(resp, hasToolUse),
+        stop_sequence: null,
+        usage: convertOpenAIUsage(resp.usage),
+    };
+}
+
+/**
+ * Creates the stream translator for Responses API events
+ * (see translateUpstreamStream in adapter-common.js).
+ */
+export function createResponsesStreamTranslator(writer) {
+    let stopReason = null;
+    let usage = convertOpenAIUsage(null);
+    const toolArgsStreamed = new Map(); // output_index -> received argument deltas
+
+    return {
+        onData(event) {
+            switch (event.type) {
+                case 'response.output_item.added':
+                    if (event.item?.type === 'function_call') {
+                        toolArgsStreamed.set(event.output_index, false);
+                        writer.toolCall(event.output_index, { id: event.item.call_id, name: event.item.name });
+                    }
+                    break;
+
+                case 'response.function_call_arguments.delta':
+                    toolArgsStreamed.set(event.output_index, true);
+                    writer.toolCall(event.output_index, { arguments: event.delta });
+                    break;
+
+                case 'response.output_item.done':
+                    // Some gateways only send the complete arguments at the end
+                    if (event.item?.type === 'function_call' && !toolArgsStreamed.get(event.output_index)) {
+                        writer.toolCall(event.output_index, { arguments: event.item.arguments });
+                    }
+                    break;
+
+                case 'response.output_text.delta':
+                case 'response.refusal.delta':
+                    writer.text(event.delta);
+                    break;
+
+                case 'response.reasoning_summary_text.delta':
+                case 'response.reasoning_text.delta':
+                    writer.thinking(event.delta);
+                    break;
+
+                case 'response.completed':
+                case 'response.incomplete':
+                    usage = convertOpenAIUsage(event.response?.usage);
+                    stopReason = mapResponseStatus(event.response || {}, writer.hasToolUse);
+                    break;
+
+                case 'response.failed':
+                    throw new Error(event.response?.error?.message || 'Upstream response failed');
+
+                case 'error':
+                    throw new Error(event.message || event.error?.message || 'Upstream stream error');
+            }
+        },
+
+        result() {
+            return { stopReason, usage };
+        },
+    };
+}
+
+function mapResponseStatus(resp, hasToolUse) {
+    if (resp.status === 'incomplete') {
+        const reason = resp.incomplete_details?.reason;
+        if (reason === 'max_output_tokens') return 'max_tokens';
+        if (reason === 'content_filter') return 'refusal';
+    }
+    return hasToolUse ? 'tool_use' : 'end_turn';
+}
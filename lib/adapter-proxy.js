@@ -1,18 +1,62 @@
+import crypto from 'crypto';
 import http from 'http';
+import { StringDecoder } from 'string_decoder';
 import axios from 'axios';
-import { EventEmitter } from 'events';
-
-// Simple event emitter for logging/debug
-export const proxyEvents = new EventEmitter();
+import {
+    proxyEvents,
+    budgetToReasoningEffort,
+    convertContentBlocksToOpenAIParts,
+    convertOpenAIUsage,
+    createThinkTagParser,
+    simplifyOpenAIContent,
+    stripEndpointSuffixes,
+    translateUpstreamStream,
+} from './adapter-common.js';
+import {
+    createUpstreamPool,
+    isFailoverStatus,
+    mapUpstreamModel,
+    resolveRetryPolicy,
+    withRetry,
+} from './adapter-upstreams.js';
+import { createModelCatalog } from './adapter-models.js';
+import { createTrafficRecorder } from './adapter-recorder.js';
+import { compileRewriteRules } from './adapter-rewrite.js';
+import { estimateInputTokens } from './adapter-tokens.js';
+import { recordUsage } from './usage-ledger.js';
+import { createBudgetGuard, formatBudgetStatus } from './budgets.js';
+import { listAliasModels, resolveModelAlias } from './model-aliases.js';
+import {
+    buildResponsesInputTokensRequest,
+    buildResponsesRequest,
+    convertResponsesToAnthropicResponse,
+    createResponsesStreamTranslator,
+} from './adapter-openai-responses.js';
+import {
+    buildGeminiCountTokensRequest,
+    buildGeminiRequest,
+    convertGeminiToAnthropicResponse,
+    createGeminiStreamTranslator,
+    geminiAuthHeaders,
+} from './adapter-gemini.js';
+
+export { proxyEvents };
 
 // --- API Error State Tracking ---
-const errorState = {
+
+/**
+ * Creates an empty error state. Proxies update the process-wide state below
+ * unless given their own (config.errorState), as daemon sessions are.
+ */
+export const createProxyErrorState = () => ({
     lastError: null,        // { statusCode, errorType, message, timestamp }
     consecutiveErrors: 0,   // Consecutive upstream error count
     totalErrors: 0,         // Total errors in this session
     lastSuccess: null,      // Timestamp of last successful request
     isStreamInterrupted: false, // Flag for stream-based network errors
-};
+});
+
+const errorState = createProxyErrorState();
 
 /**
  * Returns current proxy error state snapshot
@@ -24,269 +68,909 @@ export const getProxyErrorState = () => ({ ...errorState });
  * Resets error state (call when starting a new session)
  */
 export const resetProxyErrorState = () => {
-    errorState.lastError = null;
-    errorState.consecutiveErrors = 0;
-    errorState.totalErrors = 0;
-    errorState.lastSuccess = null;
-    errorState.isStreamInterrupted = false;
+    Object.assign(errorState, createProxyErrorState());
 };
 
-function recordProxyError(statusCode, errorType, message) {
-    errorState.lastError = { statusCode, errorType, message, timestamp: Date.now() };
-    errorState.consecutiveErrors++;
-    errorState.totalErrors++;
-    proxyEvents.emit('api-error', errorState.lastError);
+/**
+ * Random token for one session. A proxy started with it as `config.authToken`
+ * only serves clients that send it, so other local processes cannot spend the
+ * profile's key. Claude Code sends it when it is set as ANTHROPIC_AUTH_TOKEN.
+ * @returns {string}
+ */
+export const createProxyToken = () => `cch-${crypto.randomBytes(24).toString('hex')}`;
+
+// Accepts the token as `Authorization: Bearer` (ANTHROPIC_AUTH_TOKEN) or `x-api-key` (ANTHROPIC_API_KEY)
+function isAuthorized(req, token) {
+    if (!token) return true;
+    const expected = Buffer.from(token);
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1];
+    return [req.headers['x-api-key'], bearer].some(value => {
+        const given = Buffer.from(String(value || ''));
+        return given.length === expected.length && crypto.timingSafeEqual(given, expected);
+    });
+}
+
+// Not recorded as an upstream error: the session's own client always has the token
+function rejectUnauthorized(res, label) {
+    proxyEvents.emit('log', `${label} Rejected request without a valid session token`);
+    res.writeHead(401, { 'Content-Type': 'application/json', 'x-should-retry': 'false' });
+    res.end(JSON.stringify({
+        type: 'error',
+        error: { type: 'authentication_error', message: 'Missing or invalid cc-helper session token' },
+    }));
 }
 
-function recordProxySuccess() {
-    errorState.consecutiveErrors = 0;
-    errorState.lastSuccess = Date.now();
+function recordProxyError(state, statusCode, errorType, message) {
+    state.lastError = { statusCode, errorType, message, timestamp: Date.now() };
+    state.consecutiveErrors++;
+    state.totalErrors++;
+    proxyEvents.emit('api-error', state.lastError);
 }
 
+function recordProxySuccess(state) {
+    state.consecutiveErrors = 0;
+    state.lastSuccess = Date.now();
+}
+
+// Browser-like headers; some gateways reject requests without them
+const UPSTREAM_HEADERS = {
+    'Content-Type': 'application/json',
+    'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
+    'Accept': '*/*',
+    'Accept-Encoding': 'gzip, deflate, br',
+    'Accept-Language': 'en-US,en;q=0.9'
+};
+
+/**
+ * Upstream dialects the adapter can speak, keyed by profile `format`.
+ * Each dialect builds the upstream request ({ url, headers, body }), converts a
+ * non-streaming response (data, model, anthropicReq) and creates a stream
+ * translator (writer, anthropicReq; see translateUpstreamStream). `authHeaders`
+ * carries the key on routes the adapter forwards without translating.
+ */
+const ADAPTER_DIALECTS = {
+    'openai-compat': {
+        buildRequest: buildOpenAIChatRequest,
+        convertResponse: convertOpenAIToAnthropicResponse,
+        createStreamTranslator: createOpenAIStreamTranslator,
+        authHeaders: bearerAuthHeaders,
+        // Chat Completions has no tokenizer endpoint: count_tokens is estimated locally
+    },
+    'openai-responses': {
+        buildRequest: buildResponsesRequest,
+        convertResponse: convertResponsesToAnthropicResponse,
+        createStreamTranslator: createResponsesStreamTranslator,
+        authHeaders: bearerAuthHeaders,
+        countTokens: {
+            buildRequest: buildResponsesInputTokensRequest,
+            readCount: data => data?.input_tokens,
+        },
+    },
+    'gemini': {
+        buildRequest: buildGeminiRequest,
+        convertResponse: convertGeminiToAnthropicResponse,
+        createStreamTranslator: createGeminiStreamTranslator,
+        authHeaders: geminiAuthHeaders,
+        countTokens: {
+            buildRequest: buildGeminiCountTokensRequest,
+            readCount: data => data?.totalTokens,
+        },
+    },
+};
+
 /**
- * Supported Claude models list for /v1/models endpoint.
- * Claude Code CLI queries this to validate model availability.
+ * Returns true if profiles with this format are served through the adapter proxy.
+ * @param {string} format - Profile format
  */
-const SUPPORTED_MODELS = [
-    // Opus
-    'claude-opus-4-6-20250116',
-    'claude-opus-4-5-20251101',
-    'claude-opus-4-1-20250805',
-    'claude-3-opus-20240229',
-    // Sonnet
-    'claude-sonnet-4-6-20250514',
-    'claude-sonnet-4-5-20250929',
-    'claude-4-sonnet-think',
-    'claude-3-7-sonnet-20250219',
-    'claude-3-5-sonnet-20241022',
-    // Haiku
-    'claude-haiku-4-5-20251001',
-    'claude-3-5-haiku-20241022',
-];
+export const isAdapterFormat = (format) => Object.prototype.hasOwnProperty.call(ADAPTER_DIALECTS, format);
+
+/**
+ * Proxy config for a profile (without `port`), for startOpenAIProxy or, on
+ * `anthropic` profiles, startAnthropicPassthroughProxy.
+ * @param {object} profile - Profile from profile.js
+ * @param {object} options
+ * @param {string} options.format - Resolved profile format
+ * @param {string} options.project - Project directory, for the usage ledger and budgets
+ * @param {string} [options.recordFile] - See config.recordFile
+ */
+export const proxyConfigFromProfile = (profile, { format, project, recordFile }) => ({
+    targetUrl: profile.url,
+    apiKey: profile.key || profile.oauth?.accessToken || '',
+    format,
+    model: profile.model,
+    modelAliases: profile.modelAliases,
+    upstreams: profile.upstreams,
+    retry: profile.retry,
+    reasoningFormat: profile.reasoningFormat,
+    promptCaching: profile.promptCaching,
+    rewrite: profile.rewrite,
+    usageContext: { profile: profile.name, project, prices: profile.prices, budgets: profile.budgets },
+    recordFile,
+});
 
 /**
  * Starts a minimal HTTP server that acts as a proxy:
- * Anthropic Format (Incoming) -> OpenAI Format (Outgoing)
+ * Anthropic Format (Incoming) -> upstream dialect (Outgoing)
  *
  * @param {object} config
- * @param {string} config.targetUrl - The real OpenAI-compatible endpoint (e.g. https://api.5202030.xyz)
+ * @param {string} config.targetUrl - The real upstream endpoint (e.g. https://api.5202030.xyz)
  * @param {string} config.apiKey - The API Key
+ * @param {string} [config.format] - Upstream dialect: 'openai-compat' (default), 'openai-responses' or 'gemini'
+ * @param {string} [config.model] - Model used for Claude model names on Responses/Gemini upstreams
+ * @param {Array<object>} [config.modelAliases] - Profile alias table [{ match, model }] (see model-aliases.js)
+ * @param {string} [config.reasoningFormat] - How extended thinking is sent upstream (see applyReasoningParams)
+ * @param {string} [config.promptCaching] - Whether cache_control markers are forwarded (see keepsCacheControl)
+ * @param {Array<object>} [config.rewrite] - Header, body and model rewrite rules (see adapter-rewrite.js)
+ * @param {Array<object>} [config.upstreams] - Failover pool [{ url, key, weight?, format?, modelMap? }]; replaces targetUrl/apiKey
+ * @param {number} [config.cooldownMs] - Cooldown for a failed upstream (see createUpstreamPool)
+ * @param {string} [config.recordFile] - Append every /v1/messages exchange to this JSONL file (see adapter-recorder.js)
+ * @param {object} [config.usageContext] - { profile, project, session?, prices?, budgets? }; records usage in the
+ *   ledger (see usage-ledger.js) and enforces the profile budgets (see budgets.js)
+ * @param {object|boolean} [config.retry] - Retry policy for 429/5xx and socket resets (see resolveRetryPolicy); false disables
+ * @param {object} [config.errorState] - Error state to update instead of the process-wide one (see createProxyErrorState)
+ * @param {Function} [config.onUsage] - Called with each 'usage' event and its ledger line (or null)
+ * @param {string} [config.authToken] - Session token clients must send (see createProxyToken)
  * @param {number} config.port - Port to listen on (0 for random)
  * @returns {Promise<object>} { url, server, port }
  */
-export const startOpenAIProxy = (config) => {
-    return new Promise((resolve, reject) => {
-        const server = http.createServer(async (req, res) => {
-            const method = req.method;
-            const url = req.url || '';
-            proxyEvents.emit('log', `[Proxy] ${method} ${url}`);
-
-            // --- Route: POST /v1/messages (Anthropic -> OpenAI conversion) ---
-            if (method === 'POST' && url.includes('/v1/messages')) {
-                let body = '';
-                req.on('data', chunk => { body += chunk; });
-                req.on('end', async () => {
-                    try {
-                        const anthropicReq = JSON.parse(body);
-                        proxyEvents.emit('log', `[Proxy] Incoming Request Model: ${anthropicReq.model}`);
-
-                        // 1. Convert to OpenAI Request
-                        const openaiReq = convertAnthropicToOpenAI(anthropicReq);
-
-                        // Smart model mapping for OpenAI-compatible endpoints
-                        const mappedModel = mapClaudeModel(openaiReq.model);
-                        if (mappedModel !== openaiReq.model) {
-                            proxyEvents.emit('log', `[Proxy] Mapping model ${openaiReq.model} -> ${mappedModel}`);
-                            openaiReq.model = mappedModel;
-                        }
+export const startOpenAIProxy = (config) => listenProxy(() => createOpenAIProxyHandler(config), config.port);
 
-                        // 2. Determine target endpoint
-                        let targetEndpoint = config.targetUrl;
-                        // Strip any endpoint suffixes, then append /v1/chat/completions
-                        targetEndpoint = targetEndpoint.replace(/\/+$/, '');
-                        targetEndpoint = targetEndpoint.replace(/\/v1\/messages$/, '');
-                        targetEndpoint = targetEndpoint.replace(/\/v1\/chat\/completions$/, '');
-                        targetEndpoint = targetEndpoint.replace(/\/v1$/, '');
-                        targetEndpoint += '/v1/chat/completions';
-
-                        proxyEvents.emit('log', `Proxying to ${targetEndpoint} for model ${openaiReq.model}`);
-
-                        // 3. Send to OpenAI Provider with browser-like headers
-                        const response = await axios.post(targetEndpoint, openaiReq, {
-                            headers: {
-                                'Content-Type': 'application/json',
-                                'Authorization': `Bearer ${config.apiKey}`,
-                                'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/131.0.0.0 Safari/537.36',
-                                'Accept': '*/*',
-                                'Accept-Encoding': 'gzip, deflate, br',
-                                'Accept-Language': 'en-US,en;q=0.9'
-                            },
-                            responseType: anthropicReq.stream ? 'stream' : 'json',
-                            validateStatus: () => true,
-                            timeout: 300000 // 5 min timeout
-                        });
+/**
+ * Creates the request handler of an adapter proxy; startOpenAIProxy serves one
+ * on its own port, the shared daemon (see adapter-daemon.js) one per session.
+ * @param {object} config - See startOpenAIProxy
+ * @returns {Function} (req, res) => Promise<void>
+ * @throws {Error} On an unsupported format or invalid rewrite rules
+ */
+export function createOpenAIProxyHandler(config) {
+    const upstreams = config.upstreams?.length
+        ? config.upstreams
+        : [{ url: config.targetUrl, key: config.apiKey }];
+    const unsupported = upstreams.map(u => u.format || config.format || 'openai-compat').find(f => !ADAPTER_DIALECTS[f]);
+    if (unsupported) {
+        throw new Error(`Unsupported adapter format: ${unsupported}`);
+    }
+    const rewrite = compileRewriteRules(config.rewrite);
+    const errors = config.errorState || errorState;
+    const pool = createUpstreamPool(upstreams, { cooldownMs: config.cooldownMs });
+    const retryPolicy = resolveRetryPolicy(config.retry);
+    const catalog = createModelCatalog(upstreams, {
+        format: config.format,
+        rewriteHeaders: headers => rewrite.headers(headers),
+    });
+    // Upstreams whose tokenizer endpoint is missing; count_tokens is estimated locally for them
+    const noTokenizer = new Set();
+    const recorder = config.recordFile
+        ? createTrafficRecorder(config.recordFile, {
+            secrets: [config.apiKey, config.authToken, ...upstreams.map(u => u.key)],
+            config: {
+                format: config.format,
+                model: config.model,
+                modelAliases: config.modelAliases,
+                reasoningFormat: config.reasoningFormat,
+                promptCaching: config.promptCaching,
+                rewrite: config.rewrite,
+            },
+        })
+        : null;
+
+    const usageTracker = createUsageTracker(config, errors);
+
+    return async (req, res) => {
+        const method = req.method;
+        const url = req.url || '';
+        proxyEvents.emit('log', `[Proxy] ${method} ${url}`);
+        if (!isAuthorized(req, config.authToken)) {
+            rejectUnauthorized(res, '[Proxy]');
+            return;
+        }
 
-                        // 4. Handle Response
-                        if (response.status !== 200) {
-                            proxyEvents.emit('log', `[Proxy] Upstream Error Status: ${response.status}`);
+        // Retries stop once the client has gone away
+        let clientGone = false;
+        res.on('close', () => { clientGone = true; });
 
-                            // Emit user-friendly rate limit hint
-                            if (response.status === 429) {
-                                proxyEvents.emit('rate-limit', {
-                                    model: openaiReq.model,
-                                    retryAfter: response.headers?.['retry-after'] || null,
-                                });
-                            }
+        // --- Route: POST /v1/messages/count_tokens — token count without a completion ---
+        if (method === 'POST' && url.includes('/v1/messages/count_tokens')) {
+            let body = '';
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    const anthropicReq = JSON.parse(body);
+                    const inputTokens = await countInputTokens(pool, anthropicReq, config, rewrite, noTokenizer);
+                    res.writeHead(200, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({ input_tokens: inputTokens }));
+                } catch (error) {
+                    proxyEvents.emit('log', `[Proxy] count_tokens error: ${error.message}`);
+                    const invalid = error instanceof SyntaxError;
+                    res.writeHead(invalid ? 400 : 500, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        type: 'error',
+                        error: { type: invalid ? 'invalid_request_error' : 'api_error', message: error.message }
+                    }));
+                }
+            });
+
+            // --- Route: POST /v1/messages (Anthropic -> upstream dialect conversion) ---
+        } else if (method === 'POST' && url.includes('/v1/messages')) {
+            let body = '';
+            let exchange = null;
+            let anthropicReq = null;
+            const startedAt = Date.now();
+            req.on('data', chunk => { body += chunk; });
+            req.on('end', async () => {
+                try {
+                    anthropicReq = JSON.parse(body);
+                    proxyEvents.emit('log', `[Proxy] Incoming Request Model: ${anthropicReq.model}`);
+                    exchange = recorder?.start(req, res, anthropicReq);
 
-                            // Convert upstream error to Anthropic error format
-                            if (response.data && typeof response.data.pipe === 'function') {
-                                // Stream error — collect and convert
-                                let errBody = '';
-                                for await (const chunk of response.data) {
-                                    errBody += chunk.toString();
-                                }
-                                const anthropicErr = convertToAnthropicError(response.status, errBody);
-                                recordProxyError(response.status, anthropicErr.error.type, anthropicErr.error.message);
-                                res.writeHead(response.status, { 'Content-Type': 'application/json' });
-                                res.end(JSON.stringify(anthropicErr));
-                            } else {
-                                proxyEvents.emit('log', `[Proxy] Upstream Error Body: ${JSON.stringify(response.data)}`);
-                                const anthropicErr = convertToAnthropicError(response.status, response.data);
-                                recordProxyError(response.status, anthropicErr.error.type, anthropicErr.error.message);
-                                res.writeHead(response.status, { 'Content-Type': 'application/json' });
-                                res.end(JSON.stringify(anthropicErr));
+                    // Hard budget reached: refuse before anything is sent upstream
+                    if (usageTracker.rejectOverBudget(res)) {
+                        return;
+                    }
+
+                    // 1-2. Build the dialect request and send it, failing over between upstreams.
+                    // Nothing has been written to the client yet, so retrying is safe.
+                    const { response, model, dialect, upstream } = await withRetry(
+                        retryPolicy,
+                        () => requestWithFailover(pool, anthropicReq, config, rewrite, exchange),
+                        { getResponse: result => result.response, isCancelled: () => clientGone }
+                    );
+
+                    // 3. Handle Response
+                    if (response.status !== 200) {
+                        proxyEvents.emit('log', `[Proxy] Upstream Error Status: ${response.status}`);
+                        usageTracker.report(anthropicReq, startedAt, { upstreamModel: model, upstream, status: response.status });
+
+                        // Convert upstream error to Anthropic error format
+                        if (response.data && typeof response.data.pipe === 'function') {
+                            // Stream error — collect and convert
+                            let errBody = '';
+                            for await (const chunk of response.data) {
+                                errBody += chunk.toString();
                             }
-                            return;
+                            exchange?.upstreamBody(errBody);
+                            const anthropicErr = convertToAnthropicError(response.status, errBody);
+                            recordProxyError(errors, response.status, anthropicErr.error.type, anthropicErr.error.message);
+                            res.writeHead(response.status, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify(anthropicErr));
+                        } else {
+                            proxyEvents.emit('log', `[Proxy] Upstream Error Body: ${JSON.stringify(response.data)}`);
+                            const anthropicErr = convertToAnthropicError(response.status, response.data);
+                            recordProxyError(errors, response.status, anthropicErr.error.type, anthropicErr.error.message);
+                            res.writeHead(response.status, { 'Content-Type': 'application/json' });
+                            res.end(JSON.stringify(anthropicErr));
                         }
+                        return;
+                    }
 
-                        // Successful response
-                        recordProxySuccess();
+                    // Successful response
+                    recordProxySuccess(errors);
 
-                        if (anthropicReq.stream) {
-                            // Stream Translation
-                            res.writeHead(200, {
-                                'Content-Type': 'text/event-stream',
-                                'Cache-Control': 'no-cache',
-                                'Connection': 'keep-alive',
-                            });
+                    if (anthropicReq.stream) {
+                        // Stream Translation
+                        res.writeHead(200, {
+                            'Content-Type': 'text/event-stream',
+                            'Cache-Control': 'no-cache',
+                            'Connection': 'keep-alive',
+                        });
 
-                            await handleOpenAIToAnthropicStream(response.data, res, openaiReq.model);
-                        } else {
-                            // JSON Translation
-                            const anthropicResp = convertOpenAIToAnthropicResponse(response.data, openaiReq.model);
-                            res.writeHead(200, { 'Content-Type': 'application/json' });
-                            res.end(JSON.stringify(anthropicResp));
+                        const upstreamStream = exchange ? exchange.tapUpstream(response.data) : response.data;
+                        const result = await translateUpstreamStream(upstreamStream, res, model, writer => dialect.createStreamTranslator(writer, anthropicReq));
+                        if (result.interrupted) {
+                            errors.isStreamInterrupted = true;
                         }
+                        usageTracker.report(anthropicReq, startedAt, { upstreamModel: model, upstream, status: 200, usage: result.usage });
+                    } else {
+                        // JSON Translation
+                        const anthropicResp = dialect.convertResponse(response.data, model, anthropicReq);
+                        usageTracker.report(anthropicReq, startedAt, { upstreamModel: model, upstream, status: 200, usage: anthropicResp.usage });
+                        res.writeHead(200, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify(anthropicResp));
+                    }
 
-                    } catch (error) {
-                        proxyEvents.emit('log', `[Proxy] Error: ${error.message}`);
-                        // Only write error response if headers haven't been sent yet
-                        if (!res.headersSent) {
-                            res.writeHead(500, { 'Content-Type': 'application/json' });
-                            res.end(JSON.stringify({
-                                type: 'error',
-                                error: { type: 'api_error', message: error.message }
-                            }));
-                        } else {
-                            // Headers already sent (streaming), just close the connection
-                            try { res.end(); } catch { }
-                        }
+                } catch (error) {
+                    proxyEvents.emit('log', `[Proxy] Error: ${error.message}`);
+                    exchange?.error(error);
+                    if (anthropicReq && !res.headersSent) {
+                        usageTracker.report(anthropicReq, startedAt, { status: error.statusCode || 500 });
                     }
-                });
-
-                // --- Route: GET /v1/models — Model listing for Claude Code validation ---
-            } else if (method === 'GET' && url.match(/\/v1\/models(\/|$)/)) {
-                proxyEvents.emit('log', `[Proxy] Serving model list/info for: ${url}`);
-
-                // Check if requesting a specific model: /v1/models/{model_id}
-                const modelIdMatch = url.match(/\/v1\/models\/(.+?)(\?|$)/);
-
-                if (modelIdMatch) {
-                    // Specific model query
-                    const requestedModel = decodeURIComponent(modelIdMatch[1]);
-                    proxyEvents.emit('log', `[Proxy] Model validation check: ${requestedModel}`);
-
-                    // Accept any claude model — the upstream provider decides actual availability
-                    const modelInfo = {
-                        id: requestedModel,
-                        object: 'model',
-                        created: Math.floor(Date.now() / 1000),
-                        owned_by: 'anthropic',
-                    };
+                    // Only write error response if headers haven't been sent yet
+                    if (!res.headersSent) {
+                        res.writeHead(error.statusCode || 500, { 'Content-Type': 'application/json' });
+                        res.end(JSON.stringify({
+                            type: 'error',
+                            error: { type: error.errorType || 'api_error', message: error.message }
+                        }));
+                    } else {
+                        // Headers already sent (streaming), just close the connection
+                        try { res.end(); } catch { }
+                    }
+                }
+            });
+
+            // --- Route: GET /v1/models — Model listing for Claude Code validation ---
+        } else if (method === 'GET' && url.match(/\/v1\/models(\/|\?|$)/)) {
+            proxyEvents.emit('log', `[Proxy] Serving model list/info for: ${url}`);
+
+            // Upstream catalogue (null when the upstream has none) merged with the alias table and
+            // the upstream model maps. An id is known if the upstream serves it directly or through
+            // an alias / the profile model / an upstream's modelMap.
+            const upstreamIds = await catalog.getModelIds();
+            const format = config.format || 'openai-compat';
+            const isServed = id => !upstreamIds
+                || upstreamIds.includes(id)
+                || upstreamIds.includes(resolveUpstreamModel(id, format, config))
+                || upstreams.some(u => upstreamIds.includes(mapUpstreamModel(u, id)));
+            const mappedIds = upstreams.flatMap(u => Object.keys(u.modelMap || {})).filter(id => id !== '*');
+            const knownIds = [...new Set([...listAliasModels(config.modelAliases), ...mappedIds, ...(upstreamIds || [])])]
+                .filter(isServed);
+
+            // Check if requesting a specific model: /v1/models/{model_id}
+            const modelIdMatch = url.match(/\/v1\/models\/(.+?)(\?|$)/);
+
+            if (modelIdMatch) {
+                // Specific model query
+                const requestedModel = decodeURIComponent(modelIdMatch[1]);
+                proxyEvents.emit('log', `[Proxy] Model validation check: ${requestedModel}`);
+
+                // Without an upstream catalogue the provider decides availability
+                if (isServed(requestedModel)) {
                     res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify(modelInfo));
+                    res.end(JSON.stringify(toModelInfo(requestedModel)));
                 } else {
-                    // Full model list
-                    const modelList = {
-                        object: 'list',
-                        data: SUPPORTED_MODELS.map(id => ({
-                            id,
-                            object: 'model',
-                            created: Math.floor(Date.now() / 1000),
-                            owned_by: 'anthropic',
-                        })),
-                    };
-                    res.writeHead(200, { 'Content-Type': 'application/json' });
-                    res.end(JSON.stringify(modelList));
+                    res.writeHead(404, { 'Content-Type': 'application/json' });
+                    res.end(JSON.stringify({
+                        type: 'error',
+                        error: { type: 'not_found_error', message: `model: ${requestedModel}` }
+                    }));
                 }
-
-                // --- Route: Fallback — Transparent proxy for any other requests ---
             } else {
-                proxyEvents.emit('log', `[Proxy] Fallback passthrough: ${method} ${url}`);
-                // Try to forward to upstream, converting path accordingly
-                try {
-                    const baseUrl = config.targetUrl.replace(/\/$/, '');
-                    const targetUrl = baseUrl + url;
+                // Full model list
+                const modelList = {
+                    object: 'list',
+                    data: knownIds.map(toModelInfo),
+                    has_more: false,
+                    first_id: knownIds[0] || null,
+                    last_id: knownIds[knownIds.length - 1] || null,
+                };
+                res.writeHead(200, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify(modelList));
+            }
 
-                    let body = null;
-                    if (method === 'POST' || method === 'PUT' || method === 'PATCH') {
-                        body = await collectRequestBody(req);
-                    }
+            // --- Route: Fallback — Transparent proxy for any other requests ---
+        } else {
+            proxyEvents.emit('log', `[Proxy] Fallback passthrough: ${method} ${url}`);
+            let data;
+            try {
+                const body = ['POST', 'PUT', 'PATCH'].includes(method) ? await collectRequestBody(req) : '';
+                data = body ? JSON.parse(body) : undefined;
+            } catch (err) {
+                res.writeHead(400, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    type: 'error',
+                    error: { type: 'invalid_request_error', message: `Invalid request body: ${err.message}` }
+                }));
+                return;
+            }
 
-                    const upstreamResp = await axios({
-                        method: method.toLowerCase(),
-                        url: targetUrl,
-                        data: body ? JSON.parse(body) : undefined,
-                        headers: {
-                            'Content-Type': 'application/json',
-                            'Authorization': `Bearer ${config.apiKey}`
-                        },
-                        validateStatus: () => true,
-                        timeout: 30000, // 30s for passthrough
-                    });
+            // Forward to the upstream, converting path accordingly, with the same failover as /v1/messages
+            try {
+                const upstreamResp = await withRetry(
+                    retryPolicy,
+                    () => passthroughWithFailover(pool, { method, url, data }, config, rewrite),
+                    { isCancelled: () => clientGone }
+                );
+                res.writeHead(upstreamResp.status, { 'Content-Type': 'application/json' });
+                res.end(typeof upstreamResp.data === 'string'
+                    ? upstreamResp.data
+                    : JSON.stringify(upstreamResp.data));
+            } catch (err) {
+                proxyEvents.emit('log', `[Proxy] Fallback passthrough error: ${err.message}`);
+                res.writeHead(502, { 'Content-Type': 'application/json' });
+                res.end(JSON.stringify({
+                    type: 'error',
+                    error: { type: 'api_error', message: `Upstream request failed: ${err.code || err.message}` }
+                }));
+            }
+        }
+    };
+}
 
-                    res.writeHead(upstreamResp.status, { 'Content-Type': 'application/json' });
-                    res.end(typeof upstreamResp.data === 'string'
-                        ? upstreamResp.data
-                        : JSON.stringify(upstreamResp.data));
-                } catch (err) {
-                    proxyEvents.emit('log', `[Proxy] Fallback passthrough error: ${err.message}`);
-                    // If upstream fails, return health check as last resort
-                    res.writeHead(200, { 'Content-Type': 'text/plain' });
-                    res.end('CC-Helper OpenAI Adapter Proxy Active');
-                }
+/**
+ * Starts a transparent Anthropic -> Anthropic proxy for `anthropic` profiles
+ * with `passthrough` enabled. Requests and response bytes are forwarded
+ * unchanged (only Host is dropped, and /v1/messages asks for an uncompressed
+ * body so its usage can be read), while /v1/messages responses update the
+ * error state, the usage ledger and the budgets the same way as the adapter.
+ *
+ * @param {object} config
+ * @param {string} config.targetUrl - Anthropic-format base URL (the profile url)
+ * @param {object} [config.usageContext] - { profile, project, session?, prices?, budgets? } (see startOpenAIProxy)
+ * @param {object} [config.errorState] - See startOpenAIProxy
+ * @param {Function} [config.onUsage] - See startOpenAIProxy
+ * @param {string} [config.authToken] - Session token clients must send; with it, the client's
+ *   credentials are replaced by `x-api-key: config.apiKey` upstream
+ * @param {string} [config.apiKey] - Upstream key, used with `authToken`
+ * @param {number} config.port - Port to listen on (0 for random)
+ * @returns {Promise<object>} { url, server, port }
+ */
+export const startAnthropicPassthroughProxy = (config) => listenProxy(() => createAnthropicPassthroughHandler(config), config.port);
+
+/**
+ * Creates the request handler of a pass-through proxy (see startAnthropicPassthroughProxy).
+ * @param {object} config - See startAnthropicPassthroughProxy
+ * @returns {Function} (req, res) => Promise<void>
+ * @throws {Error} On an invalid upstream URL
+ */
+export function createAnthropicPassthroughHandler(config) {
+    const baseUrl = (config.targetUrl || '').replace(/\/+$/, '');
+    let upstreamName;
+    try {
+        upstreamName = new URL(baseUrl).host;
+    } catch {
+        throw new Error(`Invalid upstream URL: ${config.targetUrl}`);
+    }
+    const errors = config.errorState || errorState;
+    const usageTracker = createUsageTracker(config, errors);
+
+    return async (req, res) => {
+        const method = req.method;
+        const url = req.url || '';
+        proxyEvents.emit('log', `[Passthrough] ${method} ${url}`);
+        if (!isAuthorized(req, config.authToken)) {
+            rejectUnauthorized(res, '[Passthrough]');
+            return;
+        }
+
+        const chunks = [];
+        try {
+            for await (const chunk of req) chunks.push(chunk);
+        } catch {
+            return; // client went away mid-request
+        }
+        const body = Buffer.concat(chunks);
+
+        // Only Messages responses are accounted; count_tokens, models etc. just pass through
+        let anthropicReq = null;
+        if (method === 'POST' && /\/v1\/messages(\?|$)/.test(url)) {
+            try {
+                anthropicReq = JSON.parse(body.toString('utf8'));
+            } catch {
+                // forwarded as-is; the upstream reports the error
             }
+        }
+        if (anthropicReq && usageTracker.rejectOverBudget(res)) {
+            return;
+        }
+
+        const headers = { ...req.headers };
+        for (const name of ['host', 'connection', 'content-length', 'transfer-encoding']) {
+            delete headers[name];
+        }
+        // The client only knows the session token; the real key stays in the proxy
+        if (config.authToken) {
+            delete headers['x-api-key'];
+            delete headers.authorization;
+            if (config.apiKey) headers['x-api-key'] = config.apiKey;
+        }
+        if (anthropicReq) headers['accept-encoding'] = 'identity';
+
+        const startedAt = Date.now();
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableFinished) controller.abort();
         });
 
-        server.listen(config.port || 0, '127.0.0.1', () => {
+        let response;
+        try {
+            response = await axios({
+                method,
+                url: baseUrl + url,
+                headers,
+                data: body.length ? body : undefined,
+                responseType: 'stream',
+                decompress: false,
+                maxRedirects: 0,
+                validateStatus: () => true,
+                signal: controller.signal,
+            });
+        } catch (error) {
+            if (controller.signal.aborted) return;
+            const message = `Upstream request failed: ${error.code || error.message}`;
+            proxyEvents.emit('log', `[Passthrough] ${message}`);
+            if (anthropicReq) {
+                recordProxyError(errors, 502, 'api_error', message);
+                usageTracker.report(anthropicReq, startedAt, { upstream: upstreamName, status: 502 });
+            }
+            res.writeHead(502, { 'Content-Type': 'application/json' });
+            res.end(JSON.stringify({ type: 'error', error: { type: 'api_error', message } }));
+            return;
+        }
+
+        res.writeHead(response.status, passthroughHeaders(response.headers));
+        const tap = anthropicReq ? createAnthropicUsageTap(response.headers['content-type']) : null;
+        let interrupted = false;
+        try {
+            for await (const chunk of response.data) {
+                res.write(chunk);
+                tap?.push(chunk);
+            }
+        } catch (error) {
+            interrupted = !controller.signal.aborted;
+            proxyEvents.emit('log', `[Passthrough] Upstream stream ended early: ${error.code || error.message}`);
+        }
+        res.end();
+        if (!tap) return;
+
+        // Errors arrive as a non-2xx body or, mid-stream, as an SSE error event
+        const result = tap.finish();
+        let status = response.status;
+        if (status >= 400) {
+            const error = result.error || convertToAnthropicError(status, result.body).error;
+            proxyEvents.emit('log', `[Passthrough] Upstream Error Status: ${status}`);
+            recordProxyError(errors, status, error.type, error.message);
+        } else if (result.error) {
+            status = STREAM_ERROR_STATUS[result.error.type] || 500;
+            errors.isStreamInterrupted = true;
+            recordProxyError(errors, status, result.error.type, result.error.message);
+        } else if (interrupted) {
+            errors.isStreamInterrupted = true;
+        } else {
+            recordProxySuccess(errors);
+        }
+        usageTracker.report(anthropicReq, startedAt, {
+            upstreamModel: result.model || anthropicReq.model,
+            upstream: upstreamName,
+            status,
+            usage: result.usage,
+        });
+    };
+}
+
+// Status recorded for error events inside a 200 stream
+const STREAM_ERROR_STATUS = {
+    overloaded_error: 529,
+    rate_limit_error: 429,
+    api_error: 500,
+};
+
+// Response headers that belong to the upstream connection, not the body
+const HOP_BY_HOP_HEADERS = new Set(['connection', 'keep-alive', 'transfer-encoding', 'proxy-connection', 'upgrade']);
+
+function passthroughHeaders(headers) {
+    const plain = typeof headers?.toJSON === 'function' ? headers.toJSON() : { ...headers };
+    return Object.fromEntries(Object.entries(plain).filter(([name]) => !HOP_BY_HOP_HEADERS.has(name.toLowerCase())));
+}
+
+/**
+ * Reads model, usage and errors from an Anthropic Messages response as its
+ * bytes pass through: SSE events for streams, the whole body otherwise.
+ * @param {string} contentType - Upstream Content-Type
+ * @returns {{ push(chunk: Buffer): void, finish(): { model, usage, error, body } }}
+ */
+function createAnthropicUsageTap(contentType) {
+    const isStream = /text\/event-stream/i.test(contentType || '');
+    const decoder = new StringDecoder('utf8');
+    const result = { model: null, usage: null, error: null, body: '' };
+    let pending = '';
+
+    const readEvent = (data) => {
+        let event;
+        try {
+            event = JSON.parse(data);
+        } catch {
+            return;
+        }
+        if (event?.type === 'message_start' && event.message) {
+            result.model = event.message.model || result.model;
+            result.usage = { ...event.message.usage };
+        } else if (event?.type === 'message_delta' && event.usage) {
+            // Output tokens are cumulative; some gateways also repeat the input counts here
+            for (const [key, value] of Object.entries(event.usage)) {
+                if (value !== null && value !== undefined) (result.usage ||= {})[key] = value;
+            }
+        } else if (event?.type === 'message') {
+            result.model = event.model || null;
+            result.usage = event.usage || null;
+        } else if (event?.type === 'error' && event.error) {
+            result.error = event.error;
+        }
+    };
+
+    return {
+        push(chunk) {
+            const text = decoder.write(chunk);
+            if (!isStream) {
+                result.body += text;
+                return;
+            }
+            pending += text;
+            const lines = pending.split('\n');
+            pending = lines.pop();
+            for (const line of lines) {
+                if (line.startsWith('data:')) readEvent(line.slice(5).trim());
+            }
+        },
+        finish() {
+            const rest = decoder.end();
+            if (isStream) {
+                pending += rest;
+                if (pending.startsWith('data:')) readEvent(pending.slice(5).trim());
+            } else {
+                result.body += rest;
+                readEvent(result.body);
+            }
+            return result;
+        },
+    };
+}
+
+// Serves a handler on 127.0.0.1; factory errors reject the returned promise
+function listenProxy(createHandler, port) {
+    return new Promise((resolve, reject) => {
+        let handler;
+        try {
+            handler = createHandler();
+        } catch (error) {
+            reject(error);
+            return;
+        }
+        const server = http.createServer(handler);
+        server.listen(port || 0, '127.0.0.1', () => {
             const address = server.address();
-            const port = address.port;
             resolve({
-                url: `http://127.0.0.1:${port}`,
+                url: `http://127.0.0.1:${address.port}`,
                 server,
-                port
+                port: address.port
             });
         });
-
         server.on('error', reject);
     });
-};
+}
+
+/**
+ * Usage accounting and budget enforcement shared by the adapter and the
+ * Anthropic pass-through proxy.
+ * @param {object} config - Proxy config; uses `usageContext` and `onUsage` (see startOpenAIProxy)
+ * @param {object} errors - Error state updated when a request is refused
+ */
+function createUsageTracker(config, errors) {
+    const budgetGuard = config.usageContext?.budgets?.length
+        ? createBudgetGuard(config.usageContext.budgets, config.usageContext)
+        : null;
+
+    return {
+        // Usage of every /v1/messages response: emitted as 'usage' and, when the
+        // caller passed a usage context (profile, project), written to the ledger
+        report(anthropicReq, startedAt, details) {
+            const event = {
+                model: anthropicReq.model,
+                session: sessionFromMetadata(anthropicReq.metadata) || config.usageContext?.session || null,
+                stream: !!anthropicReq.stream,
+                latencyMs: Date.now() - startedAt,
+                usage: null,
+                ...details,
+            };
+            proxyEvents.emit('usage', event);
+            let line = null;
+            if (config.usageContext) {
+                line = recordUsage({
+                    ...event,
+                    profile: config.usageContext.profile,
+                    project: config.usageContext.project,
+                }, { prices: config.usageContext.prices });
+                budgetGuard?.add(line);
+            }
+            config.onUsage?.(event, line);
+        },
+
+        /**
+         * Answers 429 when a hard budget is reached.
+         * @returns {boolean} True if the request was refused
+         */
+        rejectOverBudget(res) {
+            const blocked = budgetGuard?.check().blocked;
+            if (!blocked) return false;
+            const message = `Budget exceeded: ${formatBudgetStatus(blocked)} on profile "${config.usageContext.profile}". `
+                + `Requests resume ${blocked.until.toLocaleString()}, or raise the limit in cchelper profile → Budgets.`;
+            proxyEvents.emit('log', `[Proxy] ${message}`);
+            proxyEvents.emit('budget-exceeded', { ...blocked, profile: config.usageContext.profile, project: config.usageContext.project });
+            recordProxyError(errors, 429, 'rate_limit_error', message);
+            // x-should-retry stops the Anthropic SDK from retrying a limit that lasts until the period ends
+            res.writeHead(429, { 'Content-Type': 'application/json', 'x-should-retry': 'false' });
+            res.end(JSON.stringify({ type: 'error', error: { type: 'rate_limit_error', message } }));
+            return true;
+        },
+    };
+}
+
+/**
+ * Sends an Anthropic request to the pool, moving to the next upstream on
+ * connection errors and failover statuses (see isFailoverStatus). The last
+ * upstream's response is returned whatever its status.
+ *
+ * @returns {Promise<{ response: object, model: string, dialect: object }>}
+ */
+async function requestWithFailover(pool, anthropicReq, config, rewrite, exchange = null) {
+    const candidates = pool.order();
+
+    for (let i = 0; i < candidates.length; i++) {
+        const member = candidates[i];
+        const isLast = i === candidates.length - 1;
+        const format = member.format || config.format || 'openai-compat';
+        const dialect = ADAPTER_DIALECTS[format];
+        const model = rewrite.model(mapUpstreamModel(member, anthropicReq.model)
+            || resolveUpstreamModel(anthropicReq.model, format, config), format);
+
+        const upstream = dialect.buildRequest(anthropicReq, {
+            targetUrl: member.url,
+            apiKey: member.key || '',
+            model,
+            reasoningFormat: config.reasoningFormat,
+            promptCaching: config.promptCaching,
+        });
+        // Profile rewrite rules see the final dialect request, headers included
+        upstream.body = rewrite.body(upstream.body, { model, format });
+        upstream.headers = rewrite.headers({ ...UPSTREAM_HEADERS, ...upstream.headers }, { model, format, body: upstream.body });
+        proxyEvents.emit('log', `Proxying to ${upstream.url} for model ${model}`);
+        exchange?.upstreamRequest({ format, modelMap: member.modelMap, ...upstream });
+
+        let response;
+        let failure = null;
+        try {
+            // Send to the provider with browser-like headers
+            response = await axios.post(upstream.url, upstream.body, {
+                headers: upstream.headers,
+                responseType: anthropicReq.stream ? 'stream' : 'json',
+                validateStatus: () => true,
+                timeout: 300000 // 5 min timeout
+            });
+            exchange?.upstreamResponse(response);
+            if (isFailoverStatus(response.status)) {
+                failure = `HTTP ${response.status}`;
+                // Emit user-friendly rate limit hint
+                if (response.status === 429) {
+                    proxyEvents.emit('rate-limit', {
+                        model,
+                        upstream: member.name,
+                        retryAfter: response.headers?.['retry-after'] || null,
+                    });
+                }
+            }
+        } catch (error) {
+            exchange?.upstreamError(error);
+            if (isLast) throw error;
+            failure = error.code || error.message;
+        }
+
+        if (!failure) {
+            pool.markSuccess(member);
+            return { response, model, dialect, upstream: member.name };
+        }
+
+        pool.markFailure(member, failure);
+        if (isLast) {
+            return { response, model, dialect, upstream: member.name };
+        }
+
+        // Discard the failed body before moving on
+        if (response?.data && typeof response.data.destroy === 'function') {
+            response.data.destroy();
+        }
+        const next = candidates[i + 1];
+        proxyEvents.emit('log', `[Proxy] Failing over from ${member.name} to ${next.name} (${failure})`);
+        proxyEvents.emit('upstream-switch', { from: member.name, to: next.name, reason: failure });
+    }
+}
+
+/**
+ * Forwards a request the adapter does not translate to the same path on the
+ * pool's upstreams, failing over like requestWithFailover. Each upstream gets
+ * the auth headers of its own dialect. The last upstream's response is
+ * returned whatever its status.
+ *
+ * @param {object} request - { method, url, data } with `data` already parsed
+ * @returns {Promise<object>} axios response
+ */
+async function passthroughWithFailover(pool, { method, url, data }, config, rewrite) {
+    const candidates = pool.order();
+
+    for (let i = 0; i < candidates.length; i++) {
+        const member = candidates[i];
+        const isLast = i === candidates.length - 1;
+
+        let response;
+        let failure = null;
+        try {
+            response = await axios({
+                method: method.toLowerCase(),
+                url: member.url.replace(/\/$/, '') + url,
+                data,
+                headers: rewrite.headers({
+                    'Content-Type': 'application/json',
+                    ...ADAPTER_DIALECTS[member.format || config.format || 'openai-compat'].authHeaders(member.key || ''),
+                }),
+                validateStatus: () => true,
+                timeout: 30000, // 30s for passthrough
+            });
+            if (isFailoverStatus(response.status)) {
+                failure = `HTTP ${response.status}`;
+            }
+        } catch (error) {
+            if (isLast) throw error;
+            failure = error.code || error.message;
+        }
+
+        if (!failure) {
+            pool.markSuccess(member);
+            return response;
+        }
+
+        pool.markFailure(member, failure);
+        if (isLast) return response;
+
+        const next = candidates[i + 1];
+        proxyEvents.emit('log', `[Proxy] Failing over from ${member.name} to ${next.name} (${failure})`);
+        proxyEvents.emit('upstream-switch', { from: member.name, to: next.name, reason: failure });
+    }
+}
+
+// Auth headers of OpenAI-style upstreams (Chat Completions and Responses)
+function bearerAuthHeaders(apiKey) {
+    return { 'Authorization': `Bearer ${apiKey}` };
+}
+
+/**
+ * Builds the OpenAI chat completions request for the 'openai-compat' dialect.
+ */
+function buildOpenAIChatRequest(anthropicReq, { targetUrl, apiKey, model, reasoningFormat, promptCaching }) {
+    const body = convertAnthropicToOpenAI(anthropicReq, {
+        reasoningFormat,
+        keepCacheControl: keepsCacheControl(promptCaching, targetUrl),
+    });
+    body.model = model;
+    return {
+        url: stripEndpointSuffixes(targetUrl) + '/v1/chat/completions',
+        headers: bearerAuthHeaders(apiKey),
+        body,
+    };
+}
+
+/**
+ * Whether `cache_control` markers are sent upstream. Profile `promptCaching`:
+ *   'cache_control' — forward the markers (OpenRouter and other gateways that accept them)
+ *   'none'          — strip them (providers that cache automatically, e.g. DeepSeek, OpenAI)
+ * Unset, markers are forwarded to OpenRouter only: strict providers reject unknown fields.
+ */
+function keepsCacheControl(promptCaching, targetUrl) {
+    if (promptCaching) return promptCaching === 'cache_control';
+    return /openrouter\.ai/i.test(targetUrl || '');
+}
 
-function convertAnthropicToOpenAI(anthropicReq) {
+// OpenAI's limit for `stop`; Anthropic allows more
+const MAX_OPENAI_STOP_SEQUENCES = 4;
+
+/**
+ * Converts an Anthropic Messages request to an OpenAI Chat Completions request.
+ * @param {object} anthropicReq - Incoming Anthropic Messages request
+ * @param {object} [options]
+ * @param {string} [options.reasoningFormat] - How extended thinking is sent upstream (see applyReasoningParams)
+ * @param {boolean} [options.keepCacheControl] - Carry `cache_control` markers onto the OpenAI content parts
+ * @returns {object} OpenAI request body
+ */
+export function convertAnthropicToOpenAI(anthropicReq, options = {}) {
     // Basic conversion
     const messages = [];
-
-    if (anthropicReq.system) {
+    const keepCacheControl = !!options.keepCacheControl;
+    const partOptions = { keepCacheControl };
+    // Text blocks as content parts when a cache marker has to be kept, else one string
+    const textContent = (blocks) => (keepCacheControl && blocks.some(b => b.cache_control)
+        ? blocks.map(b => ({ type: 'text', text: b.text, ...(b.cache_control && { cache_control: b.cache_control }) }))
+        : blocks.map(b => b.text).join('\n'));
+
+    if (Array.isArray(anthropicReq.system) && keepCacheControl && anthropicReq.system.some(c => c.cache_control)) {
+        messages.push({ role: 'system', content: textContent(anthropicReq.system.filter(c => c.type === 'text')) });
+    } else if (anthropicReq.system) {
         // System can be a string or an array of content blocks
         let systemText;
         if (Array.isArray(anthropicReq.system)) {
@@ -308,26 +992,43 @@ function convertAnthropicToOpenAI(anthropicReq) {
                 // Check if this is a tool_result message (user role with tool_result blocks)
                 const toolResults = msg.content.filter(c => c.type === 'tool_result');
                 if (toolResults.length > 0 && msg.role === 'user') {
-                    // Convert each tool_result into a separate OpenAI tool message
+                    // Convert each tool_result into a separate OpenAI tool message.
+                    // OpenAI tool messages only carry text, so images returned by
+                    // tools are forwarded in a user message right after them.
+                    const toolMediaParts = [];
                     for (const tr of toolResults) {
-                        const toolContent = Array.isArray(tr.content)
-                            ? tr.content.filter(c => c.type === 'text').map(c => c.text).join('\n')
-                            : (tr.content || '');
+                        let toolContent;
+                        let cacheControl = tr.cache_control;
+                        if (Array.isArray(tr.content)) {
+                            cacheControl = cacheControl || tr.content.findLast(c => c.cache_control)?.cache_control;
+                            const parts = convertContentBlocksToOpenAIParts(tr.content);
+                            toolContent = parts.filter(p => p.type === 'text').map(p => p.text).join('\n');
+                            const media = parts.filter(p => p.type !== 'text');
+                            if (media.length > 0) {
+                                toolMediaParts.push({ type: 'text', text: `[Tool result ${tr.tool_use_id} attachments]` }, ...media);
+                                if (!toolContent) toolContent = `(${media.length} attachment(s) sent in the next message)`;
+                            }
+                        } else {
+                            toolContent = tr.content || '';
+                        }
                         messages.push({
                             role: 'tool',
                             tool_call_id: tr.tool_use_id,
-                            content: toolContent,
+                            content: keepCacheControl && cacheControl
+                                ? [{ type: 'text', text: toolContent, cache_control: cacheControl }]
+                                : toolContent,
                         });
                     }
-                    // Also include any text content in this user turn
-                    const textParts = msg.content.filter(c => c.type === 'text').map(c => c.text).join('\n');
-                    if (textParts) {
-                        messages.push({ role: 'user', content: textParts });
+                    // Also include any other content in this user turn
+                    const userParts = convertContentBlocksToOpenAIParts(msg.content.filter(c => c.type !== 'tool_result'), partOptions);
+                    const followUp = [...toolMediaParts, ...userParts];
+                    if (followUp.length > 0) {
+                        messages.push({ role: 'user', content: simplifyOpenAIContent(followUp) });
                     }
                 } else if (msg.role === 'assistant') {
                     // Check for tool_use blocks in assistant message
                     const toolUses = msg.content.filter(c => c.type === 'tool_use');
-                    const textParts = msg.content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+                    const textParts = textContent(msg.content.filter(c => c.type === 'text'));
 
                     if (toolUses.length > 0) {
                         // Convert to OpenAI assistant message with tool_calls
@@ -349,9 +1050,9 @@ function convertAnthropicToOpenAI(anthropicReq) {
                         messages.push({ role: msg.role, content: textParts });
                     }
                 } else {
-                    // Regular user message with only text/image content
-                    const textParts = msg.content.filter(c => c.type === 'text').map(c => c.text).join('\n');
-                    messages.push({ role: msg.role, content: textParts });
+                    // Regular user message with text, image and document content
+                    const parts = convertContentBlocksToOpenAIParts(msg.content, partOptions);
+                    messages.push({ role: msg.role, content: simplifyOpenAIContent(parts) });
                 }
             } else {
                 messages.push({ role: msg.role, content: msg.content });
@@ -385,6 +1086,8 @@ function convertAnthropicToOpenAI(anthropicReq) {
             tool_choice = 'required';
         } else if (tc.type === 'tool' && tc.name) {
             tool_choice = { type: 'function', function: { name: tc.name } };
+        } else if (tc.type === 'none') {
+            tool_choice = 'none';
         } else {
             tool_choice = 'auto';
         }
@@ -399,24 +1102,86 @@ function convertAnthropicToOpenAI(anthropicReq) {
         top_p: anthropicReq.top_p,
     };
 
+    // Ask for the usage chunk at the end of the stream
+    if (anthropicReq.stream) {
+        openaiReq.stream_options = { include_usage: true };
+    }
+
     if (tools) openaiReq.tools = tools;
     if (tool_choice !== undefined) openaiReq.tool_choice = tool_choice;
+    // OpenAI rejects parallel_tool_calls on requests without tools
+    if (tools && anthropicReq.tool_choice?.disable_parallel_tool_use) {
+        openaiReq.parallel_tool_calls = false;
+    }
 
-    // Pass through thinking parameter for providers that support it
-    if (anthropicReq.thinking) {
-        openaiReq.thinking = anthropicReq.thinking;
+    if (anthropicReq.stop_sequences?.length) {
+        if (anthropicReq.stop_sequences.length > MAX_OPENAI_STOP_SEQUENCES) {
+            proxyEvents.emit('log', `[Proxy] Upstream accepts ${MAX_OPENAI_STOP_SEQUENCES} stop sequences; dropping ${anthropicReq.stop_sequences.length - MAX_OPENAI_STOP_SEQUENCES}`);
+        }
+        openaiReq.stop = anthropicReq.stop_sequences.slice(0, MAX_OPENAI_STOP_SEQUENCES);
+    }
+
+    // End-user id for the provider's abuse monitoring
+    if (typeof anthropicReq.metadata?.user_id === 'string' && anthropicReq.metadata.user_id) {
+        openaiReq.user = anthropicReq.metadata.user_id;
+    }
+
+    // Extended thinking -> provider reasoning parameter
+    if (anthropicReq.thinking?.type === 'enabled') {
+        applyReasoningParams(openaiReq, anthropicReq.thinking, options.reasoningFormat);
     }
 
     return openaiReq;
 }
 
-function convertOpenAIToAnthropicResponse(openaiResp, model) {
+/**
+ * Writes the provider-specific reasoning parameter for an Anthropic
+ * `thinking: { type: 'enabled', budget_tokens }` request.
+ *
+ * Formats:
+ *   'reasoning_effort' (default) — OpenAI / DeepSeek / most gateways
+ *   'reasoning'                  — OpenRouter `reasoning: { max_tokens }`
+ *   'thinking'                   — pass the Anthropic object through (Claude-backed gateways)
+ *   'none'                       — drop it
+ */
+function applyReasoningParams(openaiReq, thinking, format = 'reasoning_effort') {
+    if (format === 'none') return;
+    if (format === 'thinking') {
+        openaiReq.thinking = thinking;
+    } else if (format === 'reasoning') {
+        openaiReq.reasoning = { max_tokens: thinking.budget_tokens };
+    } else {
+        openaiReq.reasoning_effort = budgetToReasoningEffort(thinking.budget_tokens);
+    }
+}
+
+/**
+ * Converts a non-streaming OpenAI chat completion to an Anthropic message.
+ * @param {object} openaiResp - OpenAI response body
+ * @param {string} model - Model reported to the client
+ * @param {object} [anthropicReq] - The request, for its `stop_sequences`
+ */
+export function convertOpenAIToAnthropicResponse(openaiResp, model, anthropicReq = {}) {
     const choice = openaiResp.choices[0];
     const contentBlocks = [];
 
+    // Reasoning output: dedicated field, or <think> tags at the start of the content
+    let text = choice.message.content || '';
+    let reasoning = choice.message.reasoning_content || choice.message.reasoning || '';
+    if (!reasoning && text) {
+        const parser = createThinkTagParser();
+        const segments = [...parser.push(text), ...parser.flush()];
+        reasoning = segments.filter(seg => seg.type === 'thinking').map(seg => seg.text).join('');
+        text = segments.filter(seg => seg.type === 'text').map(seg => seg.text).join('');
+    }
+
+    if (reasoning) {
+        contentBlocks.push({ type: 'thinking', thinking: reasoning, signature: '' });
+    }
+
     // Text content
-    if (choice.message.content) {
-        contentBlocks.push({ type: 'text', text: choice.message.content });
+    if (text) {
+        contentBlocks.push({ type: 'text', text });
     }
 
     // Tool calls -> tool_use blocks
@@ -441,307 +1206,206 @@ function convertOpenAIToAnthropicResponse(openaiResp, model) {
         contentBlocks.push({ type: 'text', text: '' });
     }
 
+    const stopSequence = matchedStopSequence(choice, anthropicReq.stop_sequences);
+    let stopReason = stopSequence ? 'stop_sequence' : mapFinishReason(choice.finish_reason);
+    // Some providers report a normal stop after emitting tool calls
+    if (stopReason === 'end_turn' && contentBlocks.some(b => b.type === 'tool_use')) stopReason = 'tool_use';
+
     return {
         id: openaiResp.id,
         type: 'message',
         role: 'assistant',
         content: contentBlocks,
         model: model,
-        stop_reason: mapFinishReason(choice.finish_reason),
-        stop_sequence: null,
-        usage: {
-            input_tokens: openaiResp.usage?.prompt_tokens || 0,
-            output_tokens: openaiResp.usage?.completion_tokens || 0
-        }
+        stop_reason: stopReason,
+        stop_sequence: stopSequence,
+        usage: convertOpenAIUsage(openaiResp.usage)
     };
 }
 
-async function handleOpenAIToAnthropicStream(openaiStream, res, model) {
-    let msgId = 'msg_' + Date.now();
-
-    // 1. Send Message Start
-    sendEvent(res, 'message_start', {
-        type: 'message_start',
-        message: {
-            id: msgId,
-            type: 'message',
-            role: 'assistant',
-            content: [],
-            model: model,
-            stop_reason: null,
-            stop_sequence: null,
-            usage: { input_tokens: 0, output_tokens: 0 }
+/**
+ * Creates the stream translator for OpenAI `chat.completion.chunk` events
+ * (see translateUpstreamStream in adapter-common.js).
+ * @param {object} writer - Anthropic stream writer
+ * @param {object} [anthropicReq] - The request, for its `stop_sequences`
+ */
+export function createOpenAIStreamTranslator(writer, anthropicReq = {}) {
+    let finishReason = null;
+    let stopSequence = null;
+    const thinkParser = createThinkTagParser();
+    const writeSegments = (segments) => {
+        for (const seg of segments) {
+            if (seg.type === 'thinking') writer.thinking(seg.text);
+            else writer.text(seg.text);
         }
-    });
-
-    // 2. Send Content Block Start (text)
-    sendEvent(res, 'content_block_start', {
-        type: 'content_block_start',
-        index: 0,
-        content_block: { type: 'text', text: '' }
-    });
-
-    let buffer = '';
-    let streamError = null;
-
-    // Track open tool_use blocks: index -> { id, name, argumentsBuffer }
-    const openToolBlocks = {};
-    // text block index is always 0; tool blocks start at 1+
-    let nextBlockIndex = 1;
-
-    // Collect real usage from OpenAI stream (usually in the last chunk)
-    let collectedUsage = { input_tokens: 0, output_tokens: 0 };
-
-    // Abort upstream if client disconnects
-    let clientDisconnected = false;
-    res.on('close', () => { clientDisconnected = true; });
-
-    // Process stream with error handling
-    try {
-        for await (const chunk of openaiStream) {
-            if (clientDisconnected) break;
-
-            buffer += chunk.toString();
-            const lines = buffer.split('\n');
-            buffer = lines.pop() || '';
-
-            for (const line of lines) {
-                if (!line.startsWith('data: ')) continue;
-                const dataStr = line.slice(6).trim();
-                if (dataStr === '[DONE]') continue;
-
-                try {
-                    const event = JSON.parse(dataStr);
-                    const delta = event.choices?.[0]?.delta;
-
-                    // Collect usage data from OpenAI stream (usually in the final chunk)
-                    if (event.usage) {
-                        if (event.usage.prompt_tokens) collectedUsage.input_tokens = event.usage.prompt_tokens;
-                        if (event.usage.completion_tokens) collectedUsage.output_tokens = event.usage.completion_tokens;
-                    }
-
-                    if (!delta) continue;
-
-                    // Text content delta
-                    if (delta.content) {
-                        sendEvent(res, 'content_block_delta', {
-                            type: 'content_block_delta',
-                            index: 0,
-                            delta: { type: 'text_delta', text: delta.content }
-                        });
-                    }
+    };
 
-                    // Tool call deltas
-                    if (delta.tool_calls && delta.tool_calls.length > 0) {
-                        for (const tc of delta.tool_calls) {
-                            const tcIndex = tc.index ?? 0;
-                            const blockIndex = nextBlockIndex + tcIndex;
-
-                            if (!openToolBlocks[tcIndex]) {
-                                // New tool call starting — open a tool_use block
-                                openToolBlocks[tcIndex] = {
-                                    id: tc.id || `call_${tcIndex}`,
-                                    name: tc.function?.name || '',
-                                    argumentsBuffer: '',
-                                    blockIndex,
-                                };
-                                // Close text block first if it's the first tool
-                                if (Object.keys(openToolBlocks).length === 1) {
-                                    sendEvent(res, 'content_block_stop', {
-                                        type: 'content_block_stop',
-                                        index: 0
-                                    });
-                                }
-                                sendEvent(res, 'content_block_start', {
-                                    type: 'content_block_start',
-                                    index: blockIndex,
-                                    content_block: {
-                                        type: 'tool_use',
-                                        id: openToolBlocks[tcIndex].id,
-                                        name: openToolBlocks[tcIndex].name,
-                                        input: {},
-                                    }
-                                });
-                            }
+    // Real usage from the OpenAI stream (sent in the last chunk when include_usage is on)
+    let collectedUsage = convertOpenAIUsage(null);
 
-                            // Accumulate name (may arrive in chunks)
-                            if (tc.function?.name) {
-                                openToolBlocks[tcIndex].name += tc.function.name;
-                            }
+    return {
+        onData(event) {
+            // Some gateways report failures inside an otherwise successful stream
+            if (event.error) {
+                throw new Error(event.error.message || JSON.stringify(event.error));
+            }
 
-                            // Stream arguments as input_json_delta
-                            if (tc.function?.arguments) {
-                                openToolBlocks[tcIndex].argumentsBuffer += tc.function.arguments;
-                                sendEvent(res, 'content_block_delta', {
-                                    type: 'content_block_delta',
-                                    index: blockIndex,
-                                    delta: {
-                                        type: 'input_json_delta',
-                                        partial_json: tc.function.arguments,
-                                    }
-                                });
-                            }
-                        }
-                    }
-                } catch (e) {
-                    proxyEvents.emit('log', `[Proxy] Stream JSON parse error: ${e.message}, data: ${dataStr.slice(0, 200)}`);
-                }
+            // Some gateways send zero usage on every chunk; keep the last real one
+            if (event.usage && (event.usage.prompt_tokens || event.usage.completion_tokens)) {
+                collectedUsage = convertOpenAIUsage(event.usage);
             }
-        }
 
-        // Process remaining buffer data
-        if (buffer.trim()) {
-            const remaining = buffer.trim();
-            if (remaining.startsWith('data: ') && remaining.slice(6).trim() !== '[DONE]') {
-                try {
-                    const event = JSON.parse(remaining.slice(6).trim());
-                    const delta = event.choices?.[0]?.delta;
-                    if (delta?.content) {
-                        sendEvent(res, 'content_block_delta', {
-                            type: 'content_block_delta',
-                            index: 0,
-                            delta: { type: 'text_delta', text: delta.content }
-                        });
-                    }
-                } catch (e) {
-                    proxyEvents.emit('log', `[Proxy] Stream final buffer parse error: ${e.message}`);
-                }
+            const choice = event.choices?.[0];
+            if (!choice) return;
+            if (choice.finish_reason) {
+                finishReason = choice.finish_reason;
+                stopSequence = matchedStopSequence(choice, anthropicReq.stop_sequences);
             }
-        }
-    } catch (error) {
-        streamError = error;
-        errorState.isStreamInterrupted = true;
-        proxyEvents.emit('log', `[Proxy] Stream interrupted: ${error.message}`);
-    }
 
-    // Always send proper SSE closing events, even after error
-    if (!clientDisconnected) {
-        try {
-            // Close any open tool blocks
-            for (const tcIndex of Object.keys(openToolBlocks)) {
-                sendEvent(res, 'content_block_stop', {
-                    type: 'content_block_stop',
-                    index: openToolBlocks[tcIndex].blockIndex
-                });
+            const delta = choice.delta;
+            if (!delta) return;
+
+            const reasoning = delta.reasoning_content ?? delta.reasoning;
+            if (typeof reasoning === 'string') {
+                writer.thinking(reasoning);
             }
 
-            // Close text block if no tool blocks were opened
-            if (Object.keys(openToolBlocks).length === 0) {
-                sendEvent(res, 'content_block_stop', {
-                    type: 'content_block_stop',
-                    index: 0
-                });
+            if (typeof delta.content === 'string') {
+                writeSegments(thinkParser.push(delta.content));
             }
 
-            // 4. Send Message Delta (Stop Reason) with real usage
-            const stopReason = Object.keys(openToolBlocks).length > 0
-                ? 'tool_use'
-                : (streamError ? 'error' : 'end_turn');
-
-            sendEvent(res, 'message_delta', {
-                type: 'message_delta',
-                delta: {
-                    stop_reason: stopReason,
-                    stop_sequence: null
-                },
-                usage: {
-                    input_tokens: collectedUsage.input_tokens,
-                    output_tokens: collectedUsage.output_tokens,
+            if (Array.isArray(delta.tool_calls)) {
+                for (const tc of delta.tool_calls) {
+                    writer.toolCall(tc.index ?? 0, {
+                        id: tc.id,
+                        name: tc.function?.name,
+                        arguments: tc.function?.arguments,
+                    });
                 }
-            });
-
-            // 5. Send Message Stop
-            sendEvent(res, 'message_stop', { type: 'message_stop' });
-        } catch (e) {
-            proxyEvents.emit('log', `[Proxy] Error sending stream close events: ${e.message}`);
-        }
-    }
-
-    try { res.end(); } catch { }
-}
-
-function sendEvent(res, eventName, data) {
-    res.write(`event: ${eventName}\n`);
-    res.write(`data: ${JSON.stringify(data)}\n\n`);
+            }
+        },
+
+        flush() {
+            writeSegments(thinkParser.flush());
+        },
+
+        result() {
+            return {
+                stopReason: stopSequence ? 'stop_sequence' : finishReason ? mapFinishReason(finishReason) : null,
+                stopSequence,
+                usage: collectedUsage,
+            };
+        },
+    };
 }
 
-function mapFinishReason(reason) {
+/**
+ * Maps an OpenAI `finish_reason` to an Anthropic `stop_reason`. A matched
+ * stop sequence is reported separately (see matchedStopSequence).
+ */
+export function mapFinishReason(reason) {
     if (reason === 'stop') return 'end_turn';
     if (reason === 'length') return 'max_tokens';
+    if (reason === 'tool_calls' || reason === 'function_call') return 'tool_use';
+    if (reason === 'content_filter') return 'refusal';
     return 'end_turn';
 }
 
 /**
- * Smart model mapping for OpenAI-compatible endpoints
- * Maps Claude Code's model names to provider-supported equivalents
- *
- * Strategy: If the model name is already a well-formed Claude model ID
- * (e.g. claude-opus-4-6, claude-opus-4-6-20250116), pass it through unchanged.
- * Only map shorthand or non-standard names to canonical forms.
+ * The stop sequence that ended a choice. OpenAI reports only `finish_reason:
+ * stop`, but vLLM names the matched string in `stop_reason` and SGLang in
+ * `matched_stop`; without either a stop is reported as `end_turn`.
+ * @param {object} choice - OpenAI choice with a finish_reason
+ * @param {Array<string>} [stopSequences] - The request's `stop_sequences`
+ * @returns {string|null}
  */
-function mapClaudeModel(model) {
-    if (!model) return model;
-
-    const modelLower = model.toLowerCase();
+export function matchedStopSequence(choice, stopSequences) {
+    if (choice?.finish_reason !== 'stop' || !stopSequences?.length) return null;
+    const matched = [choice.stop_reason, choice.matched_stop].find(value => typeof value === 'string');
+    return matched !== undefined && stopSequences.includes(matched) ? matched : null;
+}
 
-    // Already a well-formed Claude model ID — pass through as-is.
-    // Matches: claude-opus-4-6, claude-opus-4-6-20250116, claude-sonnet-4-5-20250929,
-    //          claude-3-opus-20240229, claude-3-5-sonnet-20241022, claude-haiku-4-5-20251001, etc.
-    if (/^claude-(opus|sonnet|haiku)-\d/.test(modelLower) || /^claude-\d+(-\d+)?-(opus|sonnet|haiku)/.test(modelLower)) {
-        return model;
-    }
+/**
+ * Claude Code sends `metadata.user_id` as `user_<hash>_account_<uuid>_session_<uuid>`.
+ * @returns {string|null} The session id, if present
+ */
+function sessionFromMetadata(metadata) {
+    const match = /session_([0-9a-f-]{8,})/i.exec(metadata?.user_id || '');
+    return match ? match[1] : null;
+}
 
-    // Shorthand/non-standard names — map to canonical form
-    // Opus models
-    if (modelLower.includes('opus')) {
-        if (modelLower.includes('4-6') || modelLower.includes('4.6')) {
-            return 'claude-opus-4-6-20250116';
-        }
-        if (modelLower.includes('4-5') || modelLower.includes('4.5')) {
-            return 'claude-opus-4-5-20251101';
-        }
-        if (modelLower.includes('4-1') || modelLower.includes('4.1')) {
-            return 'claude-opus-4-1-20250805';
-        }
-        if (modelLower.includes('3')) {
-            return 'claude-3-opus-20240229';
+/**
+ * Counts the input tokens of an Anthropic count_tokens request. Uses the
+ * tokenizer endpoint of the first upstream whose dialect has one, and falls
+ * back to the local estimate when there is none or it fails.
+ * @param {object} pool - Upstream pool
+ * @param {object} anthropicReq - { model, system?, messages, tools? }
+ * @param {object} config - Proxy config
+ * @param {object} rewrite - Compiled profile rewrite rules (header and model rules apply)
+ * @param {Set<string>} noTokenizer - Upstreams that answered 404/405; skipped from then on
+ * @returns {Promise<number>}
+ */
+async function countInputTokens(pool, anthropicReq, config, rewrite, noTokenizer) {
+    for (const member of pool.order()) {
+        const format = member.format || config.format || 'openai-compat';
+        const counter = ADAPTER_DIALECTS[format].countTokens;
+        if (!counter || noTokenizer.has(member.name)) continue;
+
+        const model = rewrite.model(mapUpstreamModel(member, anthropicReq.model)
+            || resolveUpstreamModel(anthropicReq.model, format, config), format);
+        const upstream = counter.buildRequest(anthropicReq, { targetUrl: member.url, apiKey: member.key || '', model });
+        try {
+            const response = await axios.post(upstream.url, upstream.body, {
+                headers: rewrite.headers({ ...UPSTREAM_HEADERS, ...upstream.headers }, { model, format }),
+                validateStatus: () => true,
+                timeout: 15000,
+            });
+            const count = counter.readCount(response.data);
+            if (response.status === 200 && Number.isFinite(count)) {
+                return count;
+            }
+            if (response.status === 404 || response.status === 405) {
+                noTokenizer.add(member.name);
+            }
+            proxyEvents.emit('log', `[Proxy] Token count from ${member.name} failed (HTTP ${response.status}); estimating locally`);
+        } catch (error) {
+            proxyEvents.emit('log', `[Proxy] Token count from ${member.name} failed (${error.code || error.message}); estimating locally`);
         }
-        return 'claude-opus-4-6-20250116';
+        break;
     }
+    return estimateInputTokens(anthropicReq);
+}
 
-    // Sonnet models
-    if (modelLower.includes('sonnet')) {
-        if (modelLower.includes('thinking') || modelLower.includes('think')) {
-            return 'claude-4-sonnet-think';
-        }
-        if (modelLower.includes('4-6') || modelLower.includes('4.6')) {
-            return 'claude-sonnet-4-6-20250514';
-        }
-        if (modelLower.includes('4-5') || modelLower.includes('4.5')) {
-            return 'claude-sonnet-4-5-20250929';
-        }
-        if (modelLower.includes('3-7') || modelLower.includes('3.7')) {
-            return 'claude-3-7-sonnet-20250219';
-        }
-        if (modelLower.includes('3-5') || modelLower.includes('3.5')) {
-            return 'claude-3-5-sonnet-20241022';
-        }
-        return 'claude-sonnet-4-5-20250929';
+/**
+ * Picks the model sent upstream from the profile alias table (see model-aliases.js).
+ * Without a matching alias the model passes through, except that Responses and
+ * Gemini upstreams, which do not serve Claude models, get the profile model.
+ */
+function resolveUpstreamModel(model, format, config) {
+    let resolved = resolveModelAlias(config.modelAliases, model) || model;
+    if (resolved === model && format !== 'openai-compat' && config.model && /^claude-/i.test(model || '')) {
+        resolved = config.model;
     }
-
-    // Haiku models
-    if (modelLower.includes('haiku')) {
-        if (modelLower.includes('4-5') || modelLower.includes('4.5')) {
-            return 'claude-haiku-4-5-20251001';
-        }
-        if (modelLower.includes('3-5') || modelLower.includes('3.5')) {
-            return 'claude-3-5-haiku-20241022';
-        }
-        return 'claude-haiku-4-5-20251001';
+    if (resolved !== model) {
+        proxyEvents.emit('log', `[Proxy] Mapping model ${model} -> ${resolved}`);
     }
+    return resolved;
+}
 
-    // If no mapping found, return as-is (provider might support it directly)
-    return model;
+/**
+ * Model object for /v1/models responses, with both Anthropic and OpenAI fields.
+ */
+function toModelInfo(id) {
+    const now = Date.now();
+    return {
+        type: 'model',
+        id,
+        display_name: id,
+        created_at: new Date(now).toISOString(),
+        object: 'model',
+        created: Math.floor(now / 1000),
+        owned_by: 'upstream',
+    };
 }
 
 /**
@@ -760,7 +1424,7 @@ function collectRequestBody(req) {
  * Convert upstream OpenAI-format error to Anthropic error format.
  * Claude Code CLI expects: { type: "error", error: { type: "...", message: "..." } }
  */
-function convertToAnthropicError(statusCode, upstreamData) {
+export function convertToAnthropicError(statusCode, upstreamData) {
     let message = 'Unknown upstream error';
     let errorType = 'api_error';
 
@@ -773,8 +1437,13 @@ function convertToAnthropicError(statusCode, upstreamData) {
         }
     }
 
+    // Gemini streaming errors arrive as a one-element array
+    if (Array.isArray(upstreamData)) {
+        upstreamData = upstreamData[0];
+    }
+
     if (upstreamData && typeof upstreamData === 'object') {
-        // OpenAI format: { error: { message, type, code } }
+        // OpenAI / Gemini format: { error: { message, type, code } }
         if (upstreamData.error) {
             message = upstreamData.error.message || upstreamData.error.msg || JSON.stringify(upstreamData.error);
             if (upstreamData.error.type) {
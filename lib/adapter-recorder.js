@@ -0,0 +1,190 @@
+/**
+ * Adapter Recorder - opt-in JSONL capture of adapter proxy traffic
+ *
+ * Each line is one /v1/messages exchange:
+ *   { version, timestamp, durationMs, config, request, attempts, client, error? }
+ *   request   - what Claude Code sent (Anthropic format)
+ *   attempts  - every upstream request ({ format, modelMap?, url, headers, body })
+ *               with its status and `response`: content type plus `body`, or
+ *               `chunks` (raw SSE text) when streamed
+ *   client    - what the proxy returned: status plus `body` or SSE `chunks`
+ * API keys are redacted, and so are the headers set by `setHeader` rewrite
+ * rules, in the attempts and in the rules stored with the config. Replay a file
+ * with `cchelper proxy replay <file>`.
+ */
+
+import fs from 'fs';
+import path from 'path';
+
+const RECORDING_VERSION = 1;
+const REDACTED = '[REDACTED]';
+const SECRET_HEADERS = ['authorization', 'x-api-key', 'x-goog-api-key', 'api-key', 'cookie', 'proxy-authorization'];
+
+/**
+ * Creates a recorder that appends exchanges to a JSONL file.
+ * @param {string} file - Output file (parent directories are created)
+ * @param {object} [options]
+ * @param {string[]} [options.secrets] - Values (API keys) to redact wherever they appear
+ * @param {object} [options.config] - Proxy settings stored with every exchange for replay
+ */
+export function createTrafficRecorder(file, options = {}) {
+    fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    const secrets = (options.secrets || []).filter(s => s && s.length >= 4);
+    // A setHeader rule may carry a credential (X-Api-Token, an OpenRouter key, ...)
+    const rules = Array.isArray(options.config?.rewrite) ? options.config.rewrite : [];
+    const secretHeaders = [
+        ...SECRET_HEADERS,
+        ...rules.filter(rule => rule?.op === 'setHeader').map(rule => String(rule.name).toLowerCase()),
+    ];
+    const config = options.config?.rewrite
+        ? { ...options.config, rewrite: rules.map(rule => (rule?.op === 'setHeader' ? { ...rule, value: REDACTED } : rule)) }
+        : options.config || {};
+
+    const redact = (text) => {
+        let out = text;
+        for (const secret of secrets) {
+            out = out.split(secret).join(REDACTED);
+        }
+        return out;
+    };
+
+    return {
+        file,
+
+        /**
+         * Starts recording one exchange. The line is written when the client response closes.
+         * @param {http.IncomingMessage} req - Client request
+         * @param {http.ServerResponse} res - Client response (its writes are captured)
+         * @param {object} body - Parsed Anthropic request body
+         */
+        start(req, res, body) {
+            const startedAt = Date.now();
+            const entry = {
+                version: RECORDING_VERSION,
+                timestamp: new Date(startedAt).toISOString(),
+                durationMs: 0,
+                config,
+                request: { method: req.method, url: req.url, headers: redactHeaders(req.headers, secretHeaders), body },
+                attempts: [],
+                client: { status: null },
+            };
+
+            // Capture everything written to the client
+            const clientChunks = [];
+            let contentType = '';
+            const writeHead = res.writeHead.bind(res);
+            const write = res.write.bind(res);
+            const end = res.end.bind(res);
+            res.writeHead = (status, ...rest) => {
+                const headers = rest.find(arg => arg && typeof arg === 'object') || {};
+                const name = Object.keys(headers).find(key => key.toLowerCase() === 'content-type');
+                if (name) contentType = String(headers[name]);
+                return writeHead(status, ...rest);
+            };
+            res.write = (chunk, ...rest) => {
+                if (chunk) clientChunks.push(chunk.toString());
+                return write(chunk, ...rest);
+            };
+            res.end = (chunk, ...rest) => {
+                if (chunk && typeof chunk !== 'function') clientChunks.push(chunk.toString());
+                return end(chunk, ...rest);
+            };
+
+            let written = false;
+            res.on('close', () => {
+                if (written) return;
+                written = true;
+                entry.durationMs = Date.now() - startedAt;
+                entry.client.status = res.statusCode;
+                if ((contentType || String(res.getHeader('content-type') || '')).includes('text/event-stream')) {
+                    entry.client.chunks = clientChunks;
+                } else {
+                    entry.client.body = parseJson(clientChunks.join(''));
+                }
+                try {
+                    fs.appendFileSync(file, redact(JSON.stringify(entry)) + '\n', 'utf8');
+                } catch {
+                    // Recording must never break the proxy
+                }
+            });
+
+            let current = null;
+            return {
+                upstreamRequest({ format, modelMap, url, headers, body: upstreamBody }) {
+                    current = { format, modelMap, url, headers: redactHeaders(headers, secretHeaders), body: upstreamBody, status: null, response: {} };
+                    entry.attempts.push(current);
+                },
+
+                upstreamResponse(response) {
+                    if (!current) return;
+                    current.status = response.status;
+                    current.response.contentType = response.headers?.['content-type'];
+                    if (response.data && typeof response.data.pipe !== 'function') {
+                        current.response.body = response.data;
+                    }
+                },
+
+                upstreamError(error) {
+                    if (current) current.error = error.code || error.message;
+                },
+
+                /** Records a collected (non-JSON-parsed) upstream body, e.g. an error from a stream request. */
+                upstreamBody(text) {
+                    if (current) current.response.body = parseJson(text);
+                },
+
+                /** Wraps the upstream stream so its raw chunks are recorded as they are read. */
+                tapUpstream(stream) {
+                    const chunks = [];
+                    if (current) current.response.chunks = chunks;
+                    return (async function* () {
+                        for await (const chunk of stream) {
+                            chunks.push(chunk.toString());
+                            yield chunk;
+                        }
+                    })();
+                },
+
+                error(error) {
+                    entry.error = error.message;
+                },
+            };
+        },
+    };
+}
+
+function redactHeaders(headers = {}, secretHeaders = SECRET_HEADERS) {
+    const out = {};
+    for (const [name, value] of Object.entries(headers)) {
+        out[name] = secretHeaders.includes(name.toLowerCase()) ? REDACTED : value;
+    }
+    return out;
+}
+
+function parseJson(text) {
+    if (typeof text !== 'string') return text;
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+/**
+ * Reads a recording file.
+ * @param {string} file - JSONL recording
+ * @returns {Array<object>} Exchanges (invalid lines are skipped)
+ */
+export function readRecording(file) {
+    return fs.readFileSync(file, 'utf8')
+        .split('\n')
+        .filter(line => line.trim())
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch {
+                return null;
+            }
+        })
+        .filter(entry => entry && entry.version === RECORDING_VERSION);
+}
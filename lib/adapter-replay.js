@@ -0,0 +1,177 @@
+/**
+ * Adapter Replay - runs recorded exchanges through the adapter proxy offline
+ *
+ * Every exchange in a recording (see adapter-recorder.js) is sent again through
+ * a fresh adapter proxy whose only upstream is a local fake server that plays
+ * back the recorded upstream response. That upstream takes the format and
+ * modelMap of the pool member that answered the recorded request, so pooled and
+ * model-mapped profiles route as they did when recording. The request the proxy sends upstream
+ * and the response it returns to the client are compared with the recording,
+ * so conversion regressions show up without network access or API keys.
+ */
+
+import http from 'http';
+import axios from 'axios';
+import { startOpenAIProxy } from './adapter-proxy.js';
+import { readRecording } from './adapter-recorder.js';
+
+/**
+ * Replays every exchange in a recording file.
+ * @param {string} file - JSONL recording
+ * @returns {Promise<Array<object>>} [{ index, model, stream, ok, skipped?, differences: string[] }]
+ */
+export async function replayRecording(file) {
+    const entries = readRecording(file);
+    const results = [];
+    for (let i = 0; i < entries.length; i++) {
+        results.push(await replayExchange(entries[i], i));
+    }
+    return results;
+}
+
+/**
+ * Replays one recorded exchange.
+ * @param {object} entry - One recording line
+ * @param {number} [index] - Position in the recording (for reporting)
+ */
+export async function replayExchange(entry, index = 0) {
+    const request = entry.request?.body || {};
+    const result = { index, model: request.model, stream: !!request.stream, ok: false, differences: [] };
+
+    const attempt = entry.attempts?.[entry.attempts.length - 1];
+    if (!attempt) {
+        result.skipped = entry.error || 'no upstream request was recorded';
+        return result;
+    }
+
+    const upstream = await startFakeUpstream(attempt);
+    let proxy = null;
+    try {
+        proxy = await startOpenAIProxy({
+            ...entry.config,
+            upstreams: [{ url: upstream.url, key: 'replay', format: attempt.format || entry.config?.format, modelMap: attempt.modelMap }],
+            retry: false,
+            port: 0,
+        });
+
+        const response = await axios.post(`${proxy.url}${entry.request.url || '/v1/messages'}`, request, {
+            headers: { 'Content-Type': 'application/json' },
+            responseType: 'text',
+            transformResponse: data => data,
+            validateStatus: () => true,
+            timeout: 30000,
+        });
+
+        const sent = upstream.received();
+        if (!sent) {
+            result.differences.push('proxy did not call the upstream');
+        } else if (stableJson(sent) !== stableJson(attempt.body)) {
+            result.differences.push(describeDifference('upstream request', attempt.body, sent));
+        }
+
+        if (entry.client?.status && response.status !== entry.client.status) {
+            result.differences.push(`client status: recorded ${entry.client.status}, replayed ${response.status}`);
+        }
+
+        const recordedOutput = entry.client?.chunks
+            ? entry.client.chunks.join('')
+            : stableJson(entry.client?.body);
+        const replayedOutput = entry.client?.chunks
+            ? response.data
+            : stableJson(parseJson(response.data));
+        if (normalizeIds(recordedOutput) !== normalizeIds(replayedOutput)) {
+            result.differences.push(describeDifference('client response', normalizeIds(recordedOutput), normalizeIds(replayedOutput)));
+        }
+    } catch (error) {
+        result.differences.push(`replay failed: ${error.message}`);
+    } finally {
+        if (proxy) await closeServer(proxy.server);
+        await closeServer(upstream.server);
+    }
+
+    result.ok = result.differences.length === 0;
+    return result;
+}
+
+// Fake upstream that answers every request with the recorded attempt
+function startFakeUpstream(attempt) {
+    let received = null;
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', async () => {
+            received = parseJson(body);
+
+            // The original request failed at the network level
+            if (!attempt.status) {
+                req.socket.destroy();
+                return;
+            }
+
+            const recorded = attempt.response || {};
+            res.writeHead(attempt.status, {
+                'Content-Type': recorded.contentType || 'application/json',
+            });
+            if (recorded.chunks) {
+                for (const chunk of recorded.chunks) {
+                    res.write(chunk);
+                    await new Promise(resolve => setImmediate(resolve));
+                }
+                res.end();
+            } else {
+                const data = recorded.body;
+                res.end(typeof data === 'string' ? data : JSON.stringify(data ?? {}));
+            }
+        });
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(0, '127.0.0.1', () => {
+            resolve({
+                server,
+                url: `http://127.0.0.1:${server.address().port}`,
+                received: () => received,
+            });
+        });
+    });
+}
+
+function closeServer(server) {
+    return new Promise(resolve => {
+        server.closeAllConnections?.();
+        server.close(() => resolve());
+    });
+}
+
+function parseJson(text) {
+    try {
+        return JSON.parse(text);
+    } catch {
+        return text;
+    }
+}
+
+// JSON with sorted keys, so key order does not count as a difference
+function stableJson(value) {
+    return JSON.stringify(value, (key, val) => (
+        val && typeof val === 'object' && !Array.isArray(val)
+            ? Object.fromEntries(Object.keys(val).sort().map(k => [k, val[k]]))
+            : val
+    ));
+}
+
+// Message and tool ids generated from the clock differ on every run
+function normalizeIds(text) {
+    return typeof text === 'string' ? text.replace(/\b(msg|toolu)_\d{10,}/g, '$1_*') : text;
+}
+
+// Short description of where two outputs first diverge
+function describeDifference(label, expected, actual) {
+    const a = typeof expected === 'string' ? expected : stableJson(expected) ?? '';
+    const b = typeof actual === 'string' ? actual : stableJson(actual) ?? '';
+    let at = 0;
+    while (at < a.length && at < b.length && a[at] === b[at]) at++;
+    const excerpt = (s) => JSON.stringify(s.slice(Math.max(0, at - 20), at + 40));
+    return `${label} differs at char ${at}: recorded ${excerpt(a)}, replayed ${excerpt(b)}`;
+}
@@ -0,0 +1,197 @@
+/**
+ * Adapter Rewrite - per-profile rules applied to upstream requests
+ *
+ * Stored on the profile as an ordered list; every matching rule applies in turn:
+ *   rewrite: [
+ *     { op: 'setHeader', name: 'HTTP-Referer', value: 'https://example.com' },
+ *     { op: 'removeHeader', name: 'User-Agent' },
+ *     { op: 'set', path: '/safe_prompt', value: false },
+ *     { op: 'delete', path: '/top_p', when: { present: '/temperature' } },
+ *     { op: 'rename', from: '/max_tokens', path: '/max_completion_tokens' },
+ *     { op: 'model', match: '/^claude-(.*)$/', replace: 'anthropic/claude-$1' },
+ *   ]
+ * Body paths are JSON Pointers (RFC 6901) into the request sent upstream, after
+ * conversion to the upstream dialect; `-` appends to an array. `model` rules
+ * rewrite the upstream model id (matched like model aliases, see
+ * model-aliases.js) before the request is built, so they also work for Gemini,
+ * whose model is part of the URL. Optional `when` limits a rule to a model
+ * pattern, an upstream `format`, or requests where a body path is `present`.
+ * Header rules apply to every upstream call of the adapter, model rules to
+ * /v1/messages and count_tokens, body rules to /v1/messages only.
+ */
+
+import { compileAliasPattern } from './model-aliases.js';
+
+export const REWRITE_OPS = ['setHeader', 'removeHeader', 'set', 'delete', 'rename', 'model'];
+
+/**
+ * Validates and compiles a rule list.
+ * @param {Array<object>} rules - Profile `rewrite`
+ * @returns {object} { size, model(model, format), headers(headers, context), body(body, context) }
+ *   where context is { model, format, body? }
+ * @throws {Error} On the first invalid rule
+ */
+export function compileRewriteRules(rules) {
+    if (rules !== undefined && rules !== null && !Array.isArray(rules)) {
+        throw new Error('Rewrite rules must be a list');
+    }
+    const compiled = (rules || []).map((rule, i) => {
+        try {
+            return compileRule(rule);
+        } catch (error) {
+            throw new Error(`Invalid rewrite rule #${i + 1}: ${error.message}`);
+        }
+    });
+
+    // `present` is checked against the body as earlier rules left it
+    const applies = (rule, context) => (!rule.when.model || rule.when.model.test(context.model || ''))
+        && (!rule.when.format || rule.when.format === context.format)
+        && (!rule.when.present || (context.body !== undefined && getPointer(context.body, rule.when.present) !== undefined));
+
+    return {
+        size: compiled.length,
+
+        /** Upstream model after `model` rules. */
+        model(model, format) {
+            let result = model;
+            for (const rule of compiled) {
+                if (rule.op !== 'model' || !applies(rule, { model, format })) continue;
+                result = String(result ?? '').replace(rule.match, rule.replace);
+            }
+            return result;
+        },
+
+        /**
+         * Copy of the headers after header rules; names match case-insensitively.
+         * Removed headers are kept as `false`, which stops axios adding its defaults.
+         */
+        headers(headers, context = {}) {
+            const result = { ...headers };
+            for (const rule of compiled) {
+                if ((rule.op !== 'setHeader' && rule.op !== 'removeHeader') || !applies(rule, context)) continue;
+                for (const name of Object.keys(result)) {
+                    if (name.toLowerCase() === rule.name.toLowerCase()) delete result[name];
+                }
+                result[rule.name] = rule.op === 'setHeader' ? rule.value : false;
+            }
+            return result;
+        },
+
+        /** Applies body rules in place and returns the body. */
+        body(body, context = {}) {
+            if (!body || typeof body !== 'object') return body;
+            for (const rule of compiled) {
+                if (!['set', 'delete', 'rename'].includes(rule.op) || !applies(rule, { ...context, body })) continue;
+                if (rule.op === 'set') {
+                    setPointer(body, rule.path, structuredClone(rule.value));
+                } else if (rule.op === 'delete') {
+                    deletePointer(body, rule.path);
+                } else {
+                    const value = getPointer(body, rule.from);
+                    if (value === undefined) continue;
+                    deletePointer(body, rule.from);
+                    setPointer(body, rule.path, value);
+                }
+            }
+            return body;
+        },
+    };
+}
+
+function compileRule(rule) {
+    if (!rule || typeof rule !== 'object') throw new Error('not an object');
+    if (!REWRITE_OPS.includes(rule.op)) {
+        throw new Error(`unknown op "${rule.op}" (expected ${REWRITE_OPS.join(', ')})`);
+    }
+
+    const when = {};
+    if (rule.when?.model) when.model = compileAliasPattern(rule.when.model);
+    if (rule.when?.format) when.format = rule.when.format;
+    if (rule.when?.present) when.present = parsePointer(rule.when.present);
+
+    switch (rule.op) {
+        case 'setHeader':
+        case 'removeHeader':
+            if (!rule.name || !/^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/.test(rule.name)) {
+                throw new Error('"name" must be a header name');
+            }
+            if (rule.op === 'setHeader' && (rule.value === undefined || rule.value === null)) {
+                throw new Error('"value" is required');
+            }
+            return { op: rule.op, name: rule.name, value: rule.value === undefined ? undefined : String(rule.value), when };
+        case 'set':
+            if (rule.value === undefined) throw new Error('"value" is required');
+            return { op: rule.op, path: requireTokens(rule.path), value: rule.value, when };
+        case 'delete':
+            return { op: rule.op, path: requireTokens(rule.path), when };
+        case 'rename':
+            return { op: rule.op, from: requireTokens(rule.from), path: requireTokens(rule.path), when };
+        case 'model':
+            if (!rule.match || typeof rule.replace !== 'string') {
+                throw new Error('"match" and "replace" are required');
+            }
+            return { op: rule.op, match: compileAliasPattern(rule.match), replace: rule.replace, when };
+    }
+}
+
+// The whole document cannot be replaced or removed
+function requireTokens(pointer) {
+    const tokens = parsePointer(pointer);
+    if (tokens.length === 0) throw new Error('a body path cannot be the whole body');
+    if (tokens.some(token => token === '__proto__' || token === 'constructor' || token === 'prototype')) {
+        throw new Error(`"${pointer}" is not an allowed body path`);
+    }
+    return tokens;
+}
+
+/**
+ * Splits a JSON Pointer into unescaped reference tokens.
+ * @param {string} pointer - e.g. "/messages/0/content"
+ * @returns {string[]}
+ */
+export function parsePointer(pointer) {
+    if (typeof pointer !== 'string' || (pointer !== '' && !pointer.startsWith('/'))) {
+        throw new Error(`"${pointer}" is not a JSON Pointer (it must start with /)`);
+    }
+    if (pointer === '') return [];
+    return pointer.slice(1).split('/').map(token => token.replace(/~1/g, '/').replace(/~0/g, '~'));
+}
+
+function getPointer(doc, tokens) {
+    let node = doc;
+    for (const token of tokens) {
+        if (node === null || typeof node !== 'object' || !Object.prototype.hasOwnProperty.call(node, token)) {
+            return undefined;
+        }
+        node = node[token];
+    }
+    return node;
+}
+
+// Missing parents are created: arrays before a `-` token, objects otherwise
+function setPointer(doc, tokens, value) {
+    let node = doc;
+    tokens.slice(0, -1).forEach((token, i) => {
+        if (node[token] === null || typeof node[token] !== 'object') {
+            node[token] = tokens[i + 1] === '-' ? [] : {};
+        }
+        node = node[token];
+    });
+    const last = tokens[tokens.length - 1];
+    if (Array.isArray(node) && last === '-') {
+        node.push(value);
+    } else {
+        node[last] = value;
+    }
+}
+
+function deletePointer(doc, tokens) {
+    const parent = getPointer(doc, tokens.slice(0, -1));
+    if (parent === null || typeof parent !== 'object') return;
+    const last = tokens[tokens.length - 1];
+    if (Array.isArray(parent)) {
+        if (/^\d+$/.test(last) && Number(last) < parent.length) parent.splice(Number(last), 1);
+    } else {
+        delete parent[last];
+    }
+}
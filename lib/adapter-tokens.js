@@ -0,0 +1,91 @@
+/**
+ * Adapter Tokens - local input token estimate for count_tokens
+ *
+ * Used when the upstream has no tokenizer endpoint. The estimate follows the
+ * usual BPE rule of thumb (about 4 characters per token for Latin text, about
+ * one token per CJK character) plus small per-message and per-tool overheads,
+ * so it is close enough for Claude Code's context accounting but not exact.
+ */
+
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD = 4;
+const TOOL_OVERHEAD = 8;
+const IMAGE_TOKENS = 1600;          // a typical image at Claude's default resize limit
+const PDF_BYTES_PER_PAGE = 50000;
+const PDF_TOKENS_PER_PAGE = 1500;
+
+// CJK ideographs, kana and hangul are roughly one token each
+const WIDE_CHAR = /[぀-ヿ㐀-䶿一-鿿가-힯豈-﫿]/g;
+
+/**
+ * Estimates the input tokens of an Anthropic Messages / count_tokens request.
+ * @param {object} anthropicReq - { system?, messages, tools? }
+ * @returns {number}
+ */
+export function estimateInputTokens(anthropicReq) {
+    let tokens = 0;
+
+    const system = anthropicReq.system;
+    if (system) {
+        tokens += Array.isArray(system)
+            ? system.reduce((sum, block) => sum + countBlock(block), 0)
+            : countText(system);
+    }
+
+    for (const msg of anthropicReq.messages || []) {
+        tokens += MESSAGE_OVERHEAD;
+        tokens += Array.isArray(msg.content)
+            ? msg.content.reduce((sum, block) => sum + countBlock(block), 0)
+            : countText(msg.content);
+    }
+
+    for (const tool of anthropicReq.tools || []) {
+        tokens += TOOL_OVERHEAD + countText(tool.name) + countText(tool.description);
+        if (tool.input_schema) tokens += countText(JSON.stringify(tool.input_schema));
+    }
+
+    return Math.max(1, tokens);
+}
+
+function countBlock(block) {
+    if (!block || typeof block !== 'object') return countText(block);
+    switch (block.type) {
+        case 'text':
+            return countText(block.text);
+        case 'thinking':
+            return countText(block.thinking);
+        case 'redacted_thinking':
+            return 0;
+        case 'tool_use':
+            return countText(block.name) + countText(JSON.stringify(block.input || {}));
+        case 'tool_result':
+            return Array.isArray(block.content)
+                ? block.content.reduce((sum, inner) => sum + countBlock(inner), 0)
+                : countText(block.content);
+        case 'image':
+            return IMAGE_TOKENS;
+        case 'document':
+            return countDocument(block.source || {});
+        default:
+            return countText(JSON.stringify(block));
+    }
+}
+
+function countDocument(source) {
+    if (source.type === 'text') return countText(source.data);
+    if (source.type === 'content' && Array.isArray(source.content)) {
+        return source.content.reduce((sum, block) => sum + countBlock(block), 0);
+    }
+    if (source.type === 'base64' && source.data) {
+        const bytes = Math.floor(source.data.length * 3 / 4);
+        return Math.max(1, Math.ceil(bytes / PDF_BYTES_PER_PAGE)) * PDF_TOKENS_PER_PAGE;
+    }
+    return PDF_TOKENS_PER_PAGE;
+}
+
+function countText(text) {
+    if (!text) return 0;
+    const str = String(text);
+    const wide = (str.match(WIDE_CHAR) || []).length;
+    return wide + Math.ceil((str.length - wide) / CHARS_PER_TOKEN);
+}
@@ -0,0 +1,206 @@
+/**
+ * Adapter Upstreams - weighted upstream pool, failover cooldowns and retries
+ *
+ * A profile can list several upstreams:
+ *   upstreams: [{ url, key, weight?, format?, modelMap?, name? }]
+ * Requests are spread by weight (smooth weighted round-robin); an upstream that
+ * fails is put on a cooldown that grows with consecutive failures, and the
+ * request moves on to the next upstream.
+ */
+
+import { proxyEvents } from './adapter-common.js';
+
+const DEFAULT_COOLDOWN_MS = 30 * 1000;
+const MAX_COOLDOWN_MS = 10 * 60 * 1000;
+
+const DEFAULT_RETRY_POLICY = {
+    maxRetries: 3,
+    baseDelayMs: 1000,
+    maxDelayMs: 20 * 1000,
+    maxTotalWaitMs: 60 * 1000,
+};
+
+const RETRY_STATUSES = [429, 502, 503, 504];
+const RETRY_ERROR_CODES = ['ECONNRESET', 'EPIPE'];
+
+/**
+ * Returns true if an upstream HTTP status should move the request to another upstream.
+ * Auth failures count because every upstream has its own key.
+ * @param {number} status - Upstream HTTP status
+ */
+export function isFailoverStatus(status) {
+    return status === 401 || status === 403 || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Creates the upstream pool for one adapter proxy.
+ * @param {Array<object>} upstreams - [{ url, key, weight?, format?, modelMap?, name? }]
+ * @param {object} [options]
+ * @param {number} [options.cooldownMs] - Cooldown after the first failure (doubles per consecutive failure)
+ */
+export function createUpstreamPool(upstreams, options = {}) {
+    const cooldownMs = options.cooldownMs ?? DEFAULT_COOLDOWN_MS;
+    const members = upstreams.map((upstream, i) => ({
+        ...upstream,
+        name: upstream.name || describeUpstream(upstream.url, i),
+        weight: upstream.weight > 0 ? upstream.weight : 1,
+        currentWeight: 0,
+        failures: 0,
+        cooldownUntil: 0,
+    }));
+
+    return {
+        get size() { return members.length; },
+
+        /**
+         * Upstreams to try for one request, best first: the weighted round-robin
+         * pick, the other healthy upstreams by weight, then cooling-down upstreams
+         * by the time they recover.
+         */
+        order() {
+            const now = Date.now();
+            const healthy = members.filter(m => m.cooldownUntil <= now);
+            const cooling = members
+                .filter(m => m.cooldownUntil > now)
+                .sort((a, b) => a.cooldownUntil - b.cooldownUntil);
+            if (healthy.length === 0) return cooling;
+
+            const totalWeight = healthy.reduce((sum, m) => sum + m.weight, 0);
+            let pick = healthy[0];
+            for (const m of healthy) {
+                m.currentWeight += m.weight;
+                if (m.currentWeight > pick.currentWeight) pick = m;
+            }
+            pick.currentWeight -= totalWeight;
+
+            const rest = healthy.filter(m => m !== pick).sort((a, b) => b.weight - a.weight);
+            return [pick, ...rest, ...cooling];
+        },
+
+        markFailure(member, reason) {
+            member.failures++;
+            const duration = Math.min(cooldownMs * 2 ** (member.failures - 1), MAX_COOLDOWN_MS);
+            member.cooldownUntil = Date.now() + duration;
+            proxyEvents.emit('log', `[Proxy] Upstream ${member.name} cooling down for ${Math.round(duration / 1000)}s: ${reason}`);
+            proxyEvents.emit('upstream-cooldown', {
+                upstream: member.name,
+                reason,
+                failures: member.failures,
+                until: member.cooldownUntil,
+            });
+        },
+
+        markSuccess(member) {
+            member.failures = 0;
+            member.cooldownUntil = 0;
+        },
+    };
+}
+
+/**
+ * Resolves a retry policy from proxy config. `false` disables retries;
+ * an object overrides individual defaults.
+ * @param {object|boolean} [retry] - { maxRetries, baseDelayMs, maxDelayMs, maxTotalWaitMs }
+ */
+export function resolveRetryPolicy(retry) {
+    if (retry === false) return { ...DEFAULT_RETRY_POLICY, maxRetries: 0 };
+    return { ...DEFAULT_RETRY_POLICY, ...(typeof retry === 'object' ? retry : {}) };
+}
+
+/**
+ * Sends an upstream request, retrying 429/502/503/504 responses and socket
+ * resets with exponential backoff and jitter. `Retry-After` is honored, and
+ * the total wait is capped by `policy.maxTotalWaitMs`.
+ *
+ * Retrying is only safe before anything has been written to the client, so
+ * callers invoke this before sending response headers.
+ *
+ * @param {object} policy - From resolveRetryPolicy
+ * @param {() => Promise<any>} send - Performs one attempt
+ * @param {object} [options]
+ * @param {(result: any) => object} [options.getResponse] - Extracts the axios response from a result
+ * @param {() => boolean} [options.isCancelled] - Stops retrying (e.g. client disconnected)
+ * @returns {Promise<any>} The last attempt's result
+ */
+export async function withRetry(policy, send, options = {}) {
+    const getResponse = options.getResponse || (result => result);
+    const isCancelled = options.isCancelled || (() => false);
+    let waited = 0;
+
+    for (let attempt = 0; ; attempt++) {
+        let result;
+        let error = null;
+        try {
+            result = await send();
+        } catch (e) {
+            error = e;
+        }
+
+        const response = error ? null : getResponse(result);
+        const retryable = error
+            ? RETRY_ERROR_CODES.includes(error.code)
+            : RETRY_STATUSES.includes(response.status);
+        const delay = retryable && attempt < policy.maxRetries
+            ? retryDelay(policy, attempt, response?.headers?.['retry-after'])
+            : null;
+
+        if (delay === null || waited + delay > policy.maxTotalWaitMs || isCancelled()) {
+            if (error) throw error;
+            return result;
+        }
+
+        // Discard the failed body before trying again
+        if (response?.data && typeof response.data.destroy === 'function') {
+            response.data.destroy();
+        }
+
+        const reason = error ? error.code : `HTTP ${response.status}`;
+        proxyEvents.emit('log', `[Proxy] Retrying in ${delay}ms (attempt ${attempt + 1}/${policy.maxRetries}, ${reason})`);
+        proxyEvents.emit('retry', { attempt: attempt + 1, delayMs: delay, reason });
+
+        await new Promise(resolve => setTimeout(resolve, delay));
+        waited += delay;
+        if (isCancelled()) {
+            if (error) throw error;
+            return result;
+        }
+    }
+}
+
+// Retry-After when the upstream sends one, otherwise exponential backoff with jitter
+function retryDelay(policy, attempt, retryAfter) {
+    const requested = parseRetryAfter(retryAfter);
+    if (requested !== null) return requested;
+
+    const ceiling = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** attempt);
+    return Math.round(ceiling / 2 + Math.random() * ceiling / 2);
+}
+
+// Retry-After is either seconds or an HTTP date
+function parseRetryAfter(value) {
+    if (value === undefined || value === null || value === '') return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Looks up the upstream-specific model for a requested model.
+ * `modelMap` keys are exact model names; '*' matches any model.
+ * @returns {string|null} Mapped model, or null when the upstream has no mapping
+ */
+export function mapUpstreamModel(member, requestedModel) {
+    const map = member.modelMap;
+    if (!map) return null;
+    return map[requestedModel] ?? map['*'] ?? null;
+}
+
+// Host name for logs; keys and paths stay out of events
+function describeUpstream(url, index) {
+    try {
+        return new URL(url).host;
+    } catch {
+        return `upstream-${index + 1}`;
+    }
+}
@@ -0,0 +1,181 @@
+/**
+ * Budgets - spend and token limits enforced by the adapter proxy
+ *
+ * Stored on the profile:
+ *   budgets: [{ scope, period, metric, soft?, hard? }]
+ *     scope   'profile' (all projects) | 'project' (each project directory separately)
+ *     period  'daily' | 'weekly' | 'monthly' (calendar periods, local time)
+ *     metric  'usd' (ledger cost) | 'tokens' (input + output + cache tokens)
+ * Spend comes from the usage ledger, so every session on the profile counts.
+ * Crossing `soft` emits a 'budget-warning' event and marks the project in the
+ * statusline state file; reaching `hard` makes the adapter refuse requests
+ * with an Anthropic rate_limit_error until the period ends.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { proxyEvents } from './adapter-common.js';
+import { readUsage } from './usage-ledger.js';
+
+export const BUDGET_SCOPES = ['profile', 'project'];
+export const BUDGET_PERIODS = ['daily', 'weekly', 'monthly'];
+export const BUDGET_METRICS = ['usd', 'tokens'];
+
+// Other sessions write to the ledger too; re-read it this often
+const REFRESH_MS = 30 * 1000;
+
+/** File the statusline reads budget warnings from: { [projectDir]: { level, label, until } } */
+export const getBudgetStatePath = () => path.join(os.homedir(), '.claude', '.cchelper-budget.json');
+
+/**
+ * Start and end of the calendar period containing `now` (weeks start on Monday).
+ * @returns {{ start: Date, end: Date }}
+ */
+export const budgetPeriodRange = (period, now = new Date()) => {
+    const start = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+    const end = new Date(start);
+    if (period === 'monthly') {
+        start.setDate(1);
+        end.setFullYear(start.getFullYear(), start.getMonth() + 1, 1);
+    } else if (period === 'weekly') {
+        start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+        end.setTime(start.getTime());
+        end.setDate(end.getDate() + 7);
+    } else {
+        end.setDate(start.getDate() + 1);
+    }
+    return { start, end };
+};
+
+/**
+ * Human-readable budget, e.g. "daily $5.00 hard / $4.00 soft (per project)".
+ */
+export const describeBudget = (budget) => {
+    const limits = [
+        budget.hard !== undefined && `${formatAmount(budget.hard, budget.metric)} hard`,
+        budget.soft !== undefined && `${formatAmount(budget.soft, budget.metric)} soft`,
+    ].filter(Boolean).join(' / ');
+    return `${budget.period} ${limits}${budget.scope === 'project' ? ' (per project)' : ''}`;
+};
+
+export const formatAmount = (value, metric) => (metric === 'usd'
+    ? `$${Number(value).toFixed(2)}`
+    : `${Number(value).toLocaleString('en-US')} tokens`);
+
+/**
+ * Creates the budget guard for one adapter proxy.
+ * @param {Array<object>} budgets - Profile budgets
+ * @param {object} context - { profile, project }
+ */
+export function createBudgetGuard(budgets, context) {
+    const active = (budgets || []).filter(b => BUDGET_PERIODS.includes(b.period)
+        && BUDGET_METRICS.includes(b.metric)
+        && (Number.isFinite(b.soft) || Number.isFinite(b.hard)));
+    let spent = [];          // per budget, same order as `active`
+    let refreshedAt = 0;
+    let periodEnds = [];
+    const warned = new Set(); // soft warnings already emitted, per budget and period
+    let stateKey = null;      // last statusline state written for this project
+
+    const matches = (budget, entry) => entry.profile === context.profile
+        && (budget.scope !== 'project' || entry.project === context.project);
+    const amountOf = (budget, entry) => (budget.metric === 'usd'
+        ? entry.cost || 0
+        : (entry.inputTokens || 0) + (entry.outputTokens || 0) + (entry.cacheReadTokens || 0) + (entry.cacheWriteTokens || 0));
+
+    const refresh = () => {
+        const now = new Date();
+        const ranges = active.map(b => budgetPeriodRange(b.period, now));
+        const since = new Date(Math.min(...ranges.map(r => r.start.getTime())));
+        const entries = readUsage({ since });
+        spent = active.map((budget, i) => entries
+            .filter(e => new Date(e.ts) >= ranges[i].start && matches(budget, e))
+            .reduce((sum, e) => sum + amountOf(budget, e), 0));
+        periodEnds = ranges.map(r => r.end.getTime());
+        refreshedAt = now.getTime();
+    };
+
+    return {
+        get size() { return active.length; },
+
+        /**
+         * Evaluates the budgets before a request.
+         * @returns {{ blocked: object|null, warnings: Array<object> }} Each item: { budget, spent, limit, until }
+         */
+        check() {
+            if (active.length === 0) return { blocked: null, warnings: [] };
+            const now = Date.now();
+            if (now - refreshedAt > REFRESH_MS || periodEnds.some(end => now >= end)) {
+                refresh();
+            }
+
+            let blocked = null;
+            const warnings = [];
+            active.forEach((budget, i) => {
+                const status = { budget, spent: spent[i], until: new Date(periodEnds[i]) };
+                if (Number.isFinite(budget.hard) && spent[i] >= budget.hard) {
+                    if (!blocked) blocked = { ...status, limit: budget.hard };
+                } else if (Number.isFinite(budget.soft) && spent[i] >= budget.soft) {
+                    warnings.push({ ...status, limit: budget.soft });
+                    const key = `${i}:${periodEnds[i]}`;
+                    if (!warned.has(key)) {
+                        warned.add(key);
+                        proxyEvents.emit('log', `[Proxy] Budget warning: ${formatBudgetStatus(warnings[warnings.length - 1])}`);
+                        proxyEvents.emit('budget-warning', { ...warnings[warnings.length - 1], profile: context.profile, project: context.project });
+                    }
+                }
+            });
+
+            stateKey = writeBudgetState(context.project, blocked ? 'hard' : warnings.length ? 'soft' : null, blocked || warnings[0], stateKey);
+            return { blocked, warnings };
+        },
+
+        /**
+         * Adds a ledger line written by this proxy, so limits apply before the next refresh.
+         * @param {object} line - From recordUsage
+         */
+        add(line) {
+            if (!line || refreshedAt === 0) return;
+            active.forEach((budget, i) => {
+                if (matches(budget, line)) spent[i] += amountOf(budget, line);
+            });
+        },
+    };
+}
+
+/**
+ * One-line status, e.g. "daily spend $5.12 of $5.00 for this project".
+ */
+export const formatBudgetStatus = ({ budget, spent, limit }) => {
+    const what = budget.metric === 'usd' ? 'spend' : 'tokens';
+    return `${budget.period} ${what} ${formatAmount(budget.metric === 'usd' ? spent : Math.round(spent), budget.metric)} of ${formatAmount(limit, budget.metric)}${budget.scope === 'project' ? ' for this project' : ''}`;
+};
+
+// Statusline state: only rewritten when this project's level or label changes
+function writeBudgetState(project, level, status, previousKey) {
+    if (!project) return previousKey;
+    const label = status ? formatBudgetStatus(status) : null;
+    const key = `${level}|${label}`;
+    if (key === previousKey) return previousKey;
+
+    const file = getBudgetStatePath();
+    try {
+        let state = {};
+        try {
+            state = JSON.parse(fs.readFileSync(file, 'utf8'));
+        } catch {
+            // missing or unreadable: start over
+        }
+        if (level) {
+            state[project] = { level, label, until: status.until.getTime() };
+        } else {
+            delete state[project];
+        }
+        fs.mkdirSync(path.dirname(file), { recursive: true });
+        fs.writeFileSync(file, JSON.stringify(state, null, 2), 'utf8');
+    } catch {
+        // the statusline hint is best effort
+    }
+    return key;
+}
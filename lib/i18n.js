@@ -49,6 +49,7 @@ const messages = {
             queryingSonnetModels: '正在查询可用的 Sonnet 模型...',
             autoSelected: '自动选择',
             noModelsDetected: '未检测到模型，使用备选',
+            projectModels: '项目模型: {models}',
             exit: '退出'
         },
 
@@ -104,7 +105,74 @@ const messages = {
             testSuccess: '连接成功',
             testAuthFail: 'API Key 认证失败',
             testReachable: '端点可达但返回异常',
-            testMissingInfo: '缺少 URL 或 API Key'
+            testMissingInfo: '缺少 URL 或 API Key',
+            selectProfile: '选择配置:',
+            back: '返回',
+            modelAliases: '模型别名',
+            budgets: '预算',
+            autoResume: '自动续接',
+            endpointFormat: '端点格式:',
+            autoDetect: '自动检测',
+            usePassthrough: '通过本地透传代理连接（错误跟踪、用量、预算）？'
+        },
+
+        // === 模型别名 ===
+        modelAliases: {
+            title: '模型别名: {name}',
+            empty: '暂无别名：请求的模型名原样发送到上游。',
+            hint: '匹配规则为通配符 (claude-opus-*) 或 /正则/标志；第一个匹配生效，$1..$9 插入正则分组。',
+            add: '添加别名',
+            remove: '删除别名',
+            moveTop: '将别名移到最前',
+            pattern: '请求的模型匹配规则 (如 claude-sonnet-*):',
+            patternRequired: '匹配规则不能为空',
+            invalidRegex: '无效的正则: {error}',
+            upstreamModel: '上游模型:',
+            upstreamModelRequired: '上游模型不能为空',
+            selectToRemove: '选择要删除的别名:',
+            selectFirst: '优先匹配的别名:'
+        },
+
+        // === 预算 ===
+        budgets: {
+            title: '预算: {name}',
+            empty: '暂无预算：适配器用量不受限制。',
+            hint: '软限制在状态栏中提示；硬限制会让适配器拒绝请求，直到周期结束。',
+            add: '添加预算',
+            remove: '删除预算',
+            scope: '适用范围:',
+            scopeProfile: '整个配置',
+            scopeProject: '每个项目目录单独计算',
+            period: '周期:',
+            metric: '限制:',
+            metricUsd: '费用 (USD)',
+            metricTokens: 'Token 数',
+            soft: '软限制 (提示，留空表示不设):',
+            hard: '硬限制 (拒绝，留空表示不设):',
+            invalidLimit: '请输入正数或留空',
+            limitRequired: '请设置软限制或硬限制',
+            hardAboveSoft: '硬限制必须高于软限制',
+            selectToRemove: '选择要删除的预算:'
+        },
+
+        // === 自动续接 ===
+        autoResume: {
+            title: '自动续接: {name}',
+            off: '已关闭：会话失败时打开恢复菜单。',
+            invalid: '无效的策略: {error}',
+            hint: 'API 失败后，会话会在备用配置上以 --resume 续接，直到达到尝试次数上限。',
+            edit: '编辑策略',
+            turnOn: '开启',
+            turnOff: '关闭',
+            fallback: '备用配置 (按此顺序；不选则在本配置上重试):',
+            maxAttempts: '放弃前的尝试次数:',
+            invalidAttempts: '请输入正整数',
+            continue: '向续接的会话发送 "continue":',
+            continueInterrupted: '回答被中断时',
+            continueAlways: '总是',
+            continueNever: '从不',
+            delay: '重新启动前等待的秒数:',
+            invalidDelay: '请输入秒数'
         },
 
         // === Runner ===
@@ -112,6 +180,7 @@ const messages = {
             loadedProfile: '已加载配置: {name}',
             apiUrl: 'API 地址: {url}',
             noActiveProfile: '无激活配置，使用系统默认值',
+            projectConfig: '项目配置: {path}',
             loadingRole: '正在加载角色: {role}',
             usingOpusModel: '使用 Opus 模型: {model}',
             usingSonnetModel: '使用 Sonnet 模型: {model}',
@@ -405,6 +474,7 @@ const messages = {
             queryingSonnetModels: 'Querying available Sonnet models...',
             autoSelected: 'Auto-selected',
             noModelsDetected: 'No models detected, using fallback',
+            projectModels: 'Project models: {models}',
             exit: 'Exit'
         },
 
@@ -460,7 +530,74 @@ const messages = {
             testSuccess: 'Connection successful',
             testAuthFail: 'API Key authentication failed',
             testReachable: 'Endpoint reachable but returned error',
-            testMissingInfo: 'Missing URL or API Key'
+            testMissingInfo: 'Missing URL or API Key',
+            selectProfile: 'Select profile:',
+            back: 'Back',
+            modelAliases: 'Model aliases',
+            budgets: 'Budgets',
+            autoResume: 'Auto-resume',
+            endpointFormat: 'Endpoint format:',
+            autoDetect: 'Auto-detect',
+            usePassthrough: 'Route through the local pass-through proxy (error tracking, usage, budgets)?'
+        },
+
+        // === Model Aliases ===
+        modelAliases: {
+            title: 'Model Aliases: {name}',
+            empty: 'No aliases: requested models are sent upstream unchanged.',
+            hint: 'Patterns are globs (claude-opus-*) or /regex/flags; the first match wins, $1..$9 insert regex groups.',
+            add: 'Add alias',
+            remove: 'Remove aliases',
+            moveTop: 'Move alias to top',
+            pattern: 'Requested model pattern (e.g. claude-sonnet-*):',
+            patternRequired: 'Pattern is required',
+            invalidRegex: 'Invalid regex: {error}',
+            upstreamModel: 'Upstream model:',
+            upstreamModelRequired: 'Upstream model is required',
+            selectToRemove: 'Select aliases to remove:',
+            selectFirst: 'Alias to match first:'
+        },
+
+        // === Budgets ===
+        budgets: {
+            title: 'Budgets: {name}',
+            empty: 'No budgets: adapter spend is not limited.',
+            hint: 'Soft limits warn in the statusline; hard limits make the adapter refuse requests until the period ends.',
+            add: 'Add budget',
+            remove: 'Remove budgets',
+            scope: 'Applies to:',
+            scopeProfile: 'The whole profile',
+            scopeProject: 'Each project directory separately',
+            period: 'Period:',
+            metric: 'Limit:',
+            metricUsd: 'Cost (USD)',
+            metricTokens: 'Tokens',
+            soft: 'Soft limit (warn, empty for none):',
+            hard: 'Hard limit (refuse, empty for none):',
+            invalidLimit: 'Enter a positive number or leave empty',
+            limitRequired: 'Set a soft or a hard limit',
+            hardAboveSoft: 'The hard limit must be above the soft limit',
+            selectToRemove: 'Select budgets to remove:'
+        },
+
+        // === Auto-resume ===
+        autoResume: {
+            title: 'Auto-resume: {name}',
+            off: 'Off: failed sessions open the recovery menu.',
+            invalid: 'Invalid policy: {error}',
+            hint: 'After an API failure the session is resumed with --resume on the fallback profiles, up to the attempt limit.',
+            edit: 'Edit policy',
+            turnOn: 'Turn on',
+            turnOff: 'Turn off',
+            fallback: 'Fallback profiles (in this order; none = retry on this profile):',
+            maxAttempts: 'Attempts before giving up:',
+            invalidAttempts: 'Enter a positive whole number',
+            continue: 'Send "continue" to the resumed session:',
+            continueInterrupted: 'When the answer was cut off',
+            continueAlways: 'Always',
+            continueNever: 'Never',
+            delay: 'Seconds to wait before relaunching:',
+            invalidDelay: 'Enter a number of seconds'
         },
 
         // === Runner ===
@@ -468,6 +605,7 @@ const messages = {
             loadedProfile: 'Loaded profile: {name}',
             apiUrl: 'API URL: {url}',
             noActiveProfile: 'No active profile. Using system defaults.',
+            projectConfig: 'Project config: {path}',
             loadingRole: 'Loading role status: {role}',
             usingOpusModel: 'Using Opus model: {model}',
             usingSonnetModel: 'Using Sonnet model: {model}',
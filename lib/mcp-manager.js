@@ -104,16 +104,17 @@ export const waitForPort = (port, timeoutMs = 15000) => {
  * If the port is already in use, assumes the service is already running and skips spawn.
  *
  * @param {{ name: string, installPath: string, port: number, startCmd: string }} service
+ * @param {Function} [log=console.log] - Where progress lines go
  * @returns {Promise<{ url: string, process: ChildProcess | null, alreadyRunning: boolean }>}
  */
-export const startMcpService = async (service) => {
+export const startMcpService = async (service, log = console.log) => {
     const { name, installPath, port, startCmd } = service;
     const url = `http://127.0.0.1:${port}/mcp`;
 
     // Check if already running
     const inUse = await checkPortInUse(port);
     if (inUse) {
-        console.log(chalk.dim(`  → MCP [${name}] already running on :${port}`));
+        log(chalk.dim(`  → MCP [${name}] already running on :${port}`));
         return { url, process: null, alreadyRunning: true };
     }
 
@@ -122,7 +123,7 @@ export const startMcpService = async (service) => {
     const exe = parts[0];
     const args = parts.slice(1);
 
-    console.log(chalk.dim(`  → Starting MCP [${name}]: ${startCmd}`));
+    log(chalk.dim(`  → Starting MCP [${name}]: ${startCmd}`));
 
     const proc = spawn(exe, args, {
         cwd: installPath,
@@ -136,7 +137,7 @@ export const startMcpService = async (service) => {
         if (line) {
             // Only emit startup-related lines to avoid noise
             if (line.toLowerCase().includes('start') || line.toLowerCase().includes('listen') || line.toLowerCase().includes('ready')) {
-                console.log(chalk.dim(`    [${name}] ${line}`));
+                log(chalk.dim(`    [${name}] ${line}`));
             }
         }
     });
@@ -149,9 +150,9 @@ export const startMcpService = async (service) => {
     // Wait for port to accept connections
     const ready = await waitForPort(port, 20000);
     if (ready) {
-        console.log(chalk.green(`  ✓ MCP [${name}] ready at ${url}`));
+        log(chalk.green(`  ✓ MCP [${name}] ready at ${url}`));
     } else {
-        console.log(chalk.yellow(`  △ MCP [${name}] may not be ready (port ${port} not responding after 20s)`));
+        log(chalk.yellow(`  △ MCP [${name}] may not be ready (port ${port} not responding after 20s)`));
     }
 
     return { url, process: proc, alreadyRunning: false };
@@ -176,18 +177,28 @@ export const stopMcpService = (proc) => {
 
 /**
  * Starts all configured MCP services.
+ * @param {object} [options]
+ * @param {Array<string>} [options.only] - Start just these services (from .cchelper.json)
+ * @param {Function} [options.log=console.log] - Where progress lines go
  * @returns {Promise<Array<{ name: string, url: string, process: ChildProcess | null }>>}
  */
-export const startAllMcpServices = async () => {
-    const services = getMcpServices();
+export const startAllMcpServices = async (options = {}) => {
+    let services = getMcpServices();
+    if (options.only) {
+        for (const name of options.only.filter(n => !services.some(s => s.name === n))) {
+            console.error(chalk.yellow(`  △ MCP service "${name}" is not configured`));
+        }
+        services = services.filter(s => options.only.includes(s.name));
+    }
     if (services.length === 0) return [];
 
-    console.log(chalk.dim(`\n  Starting ${services.length} MCP service(s)...`));
+    const log = options.log || console.log;
+    log(chalk.dim(`\n  Starting ${services.length} MCP service(s)...`));
     const results = [];
 
     for (const svc of services) {
         try {
-            const { url, process: proc } = await startMcpService(svc);
+            const { url, process: proc } = await startMcpService(svc, log);
             results.push({ name: svc.name, url, process: proc });
         } catch (err) {
             console.error(chalk.yellow(`  △ Failed to start MCP [${svc.name}]: ${err.message}`));
@@ -0,0 +1,411 @@
+/**
+ * Mock Upstream - local fake LLM provider for offline testing
+ *
+ * Speaks Anthropic Messages (POST /v1/messages, /v1/messages/count_tokens) and
+ * OpenAI Chat Completions (POST /v1/chat/completions), streaming and not, plus
+ * GET /v1/models. Every request takes one reply:
+ *   1. a `[mock:...]` directive in the last user message (see parseDirective):
+ *        [mock:429]  [mock:500]  [mock:truncate]  [mock:overloaded]
+ *        [mock:tool Bash {"command":"ls"}]
+ *   2. the first script entry whose `match` regex matches the last user message
+ *   3. the next script entry without `match`, in order
+ *   4. an echo of the last user message
+ * Reply spec (script entries and directives alike):
+ *   { text?, tool?: { name, input }, error?: status, message?, retryAfter?,
+ *     truncate?: true, streamError?: 'overloaded_error', match?: '/regex/' or substring }
+ * `truncate` cuts the connection halfway through the response; `streamError`
+ * sends an Anthropic `error` event inside an otherwise successful stream.
+ * `{ raw: { status?, headers?, body?, chunks? } }` sends exactly the given
+ * response whatever the endpoint: `body` as JSON (or verbatim if a string), or
+ * `chunks` written one by one as an event stream, for byte-level fixtures.
+ */
+
+import http from 'http';
+import { estimateInputTokens } from './adapter-tokens.js';
+
+export const DEFAULT_MOCK_PORT = 18800;
+export const DEFAULT_MOCK_MODELS = ['claude-sonnet-4-5', 'claude-opus-4-5', 'claude-haiku-4-5', 'gpt-4o-mini', 'mock-model'];
+
+const ERROR_TYPES = {
+    400: 'invalid_request_error',
+    401: 'authentication_error',
+    403: 'permission_error',
+    404: 'not_found_error',
+    429: 'rate_limit_error',
+    529: 'overloaded_error',
+};
+
+/**
+ * Starts the mock upstream.
+ * @param {object} [options]
+ * @param {number} [options.port] - Port (0 for random)
+ * @param {Array<object>} [options.script] - Reply specs (see above)
+ * @param {string} [options.key] - Require this API key (x-api-key or Bearer); any key is accepted when unset
+ * @param {Array<string>} [options.models] - Ids served by /v1/models
+ * @param {number} [options.latencyMs] - Delay before each response
+ * @param {number} [options.chunkDelayMs] - Delay between stream events
+ * @returns {Promise<object>} { url, port, server, requests, close() }; `requests` logs
+ *   every request as { method, path, headers, body }
+ */
+export function startMockUpstream(options = {}) {
+    const script = (options.script || []).map(normalizeSpec);
+    const queue = script.filter(spec => !spec.match);
+    const rules = script.filter(spec => spec.match);
+    const models = options.models?.length ? options.models : DEFAULT_MOCK_MODELS;
+    const requests = [];
+    let counter = 0;
+
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url || '/', 'http://localhost');
+        const raw = await readBody(req);
+        let body = null;
+        try {
+            body = raw ? JSON.parse(raw) : null;
+        } catch {
+            // answered below as invalid JSON
+        }
+        requests.push({ method: req.method, path: url.pathname + url.search, headers: req.headers, body: body ?? raw });
+
+        const dialect = url.pathname.endsWith('/chat/completions') ? 'openai' : 'anthropic';
+        if (options.key && !hasKey(req, options.key)) {
+            sendError(res, dialect, 401, 'Invalid API key');
+            return;
+        }
+        if (options.latencyMs) await sleep(options.latencyMs);
+
+        if (req.method === 'GET' && /\/v1\/models\/?$/.test(url.pathname)) {
+            sendJson(res, 200, {
+                object: 'list',
+                data: models.map(toModelInfo),
+                has_more: false,
+                first_id: models[0],
+                last_id: models[models.length - 1],
+            });
+            return;
+        }
+        const modelMatch = req.method === 'GET' && /\/v1\/models\/(.+)$/.exec(url.pathname);
+        if (modelMatch) {
+            const id = decodeURIComponent(modelMatch[1]);
+            if (models.includes(id)) {
+                sendJson(res, 200, toModelInfo(id));
+            } else {
+                sendError(res, 'anthropic', 404, `model: ${id}`);
+            }
+            return;
+        }
+        if (req.method !== 'POST' || !/\/v1\/(messages(\/count_tokens)?|chat\/completions)$/.test(url.pathname)) {
+            sendError(res, dialect, 404, `Cannot ${req.method} ${url.pathname}`);
+            return;
+        }
+        if (!body || typeof body !== 'object') {
+            sendError(res, dialect, 400, 'Request body must be JSON');
+            return;
+        }
+        if (url.pathname.endsWith('/count_tokens')) {
+            sendJson(res, 200, { input_tokens: estimateInputTokens(body) });
+            return;
+        }
+
+        const prompt = lastUserText(body.messages);
+        const spec = parseDirective(prompt)
+            || rules.find(rule => rule.match.test(prompt))
+            || queue.shift()
+            || { text: `Echo: ${prompt}` };
+        const reply = {
+            ...spec,
+            id: ++counter,
+            model: body.model || 'mock-model',
+            inputTokens: dialect === 'openai' ? estimateOpenAIInput(body) : estimateInputTokens(body),
+        };
+
+        if (spec.raw) {
+            await sendRaw(res, spec.raw, options);
+            return;
+        }
+        if (spec.error) {
+            if (spec.retryAfter !== undefined) res.setHeader('Retry-After', String(spec.retryAfter));
+            sendError(res, dialect, spec.error, spec.message || `Mock error ${spec.error}`);
+            return;
+        }
+        if (dialect === 'openai') {
+            await (body.stream ? streamOpenAI(res, reply, options) : sendOpenAI(res, reply));
+        } else {
+            await (body.stream ? streamAnthropic(res, reply, options) : sendAnthropic(res, reply));
+        }
+    });
+
+    return new Promise((resolve, reject) => {
+        server.on('error', reject);
+        server.listen(options.port ?? DEFAULT_MOCK_PORT, '127.0.0.1', () => {
+            const port = server.address().port;
+            resolve({
+                url: `http://127.0.0.1:${port}`,
+                port,
+                server,
+                requests,
+                close: () => new Promise(done => {
+                    server.closeAllConnections?.();
+                    server.close(() => done());
+                }),
+            });
+        });
+    });
+}
+
+/**
+ * Reads a `[mock:...]` directive from a prompt.
+ * @param {string} text - Last user message
+ * @returns {object|null} Reply spec
+ */
+export function parseDirective(text) {
+    const match = /\[mock:(\w+)(?:\s+([^\s\]]+)(?:\s+(\{.*?\}))?)?\]/s.exec(text || '');
+    if (!match) return null;
+    const [, name, arg, json] = match;
+    if (/^\d{3}$/.test(name)) return { error: Number(name) };
+    if (name === 'truncate') return { text: 'This response is cut off halfway through, mid-sentence as if the connection dropped.', truncate: true };
+    if (name === 'overloaded') return { text: 'Partial answer', streamError: 'overloaded_error' };
+    if (name === 'tool' && arg) {
+        let input = {};
+        try {
+            input = json ? JSON.parse(json) : {};
+        } catch {
+            // keep {}
+        }
+        return { tool: { name: arg, input } };
+    }
+    return null;
+}
+
+function normalizeSpec(spec, i) {
+    if (typeof spec === 'string') return { text: spec };
+    if (!spec || typeof spec !== 'object') throw new Error(`Script entry #${i + 1} must be an object or a string`);
+    if (!spec.match) return spec;
+    const literal = /^\/(.+)\/([a-z]*)$/.exec(spec.match);
+    return {
+        ...spec,
+        match: literal
+            ? new RegExp(literal[1], literal[2])
+            : new RegExp(spec.match.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i'),
+    };
+}
+
+// --- Anthropic ---
+
+function anthropicContent(reply) {
+    const content = [];
+    if (reply.text || !reply.tool) content.push({ type: 'text', text: reply.text || '' });
+    if (reply.tool) {
+        content.push({ type: 'tool_use', id: `toolu_mock_${reply.id}`, name: reply.tool.name, input: reply.tool.input || {} });
+    }
+    return content;
+}
+
+function sendAnthropic(res, reply) {
+    sendJson(res, 200, {
+        id: `msg_mock_${reply.id}`,
+        type: 'message',
+        role: 'assistant',
+        model: reply.model,
+        content: anthropicContent(reply),
+        stop_reason: reply.tool ? 'tool_use' : 'end_turn',
+        stop_sequence: null,
+        usage: { input_tokens: reply.inputTokens, output_tokens: outputTokens(reply) },
+    });
+}
+
+async function streamAnthropic(res, reply, options) {
+    const events = [['message_start', {
+        type: 'message_start',
+        message: {
+            id: `msg_mock_${reply.id}`,
+            type: 'message',
+            role: 'assistant',
+            model: reply.model,
+            content: [],
+            stop_reason: null,
+            stop_sequence: null,
+            usage: { input_tokens: reply.inputTokens, output_tokens: 1 },
+        },
+    }]];
+    anthropicContent(reply).forEach((block, index) => {
+        if (block.type === 'text') {
+            events.push(['content_block_start', { type: 'content_block_start', index, content_block: { type: 'text', text: '' } }]);
+            for (const piece of splitText(block.text)) {
+                events.push(['content_block_delta', { type: 'content_block_delta', index, delta: { type: 'text_delta', text: piece } }]);
+            }
+        } else {
+            events.push(['content_block_start', { type: 'content_block_start', index, content_block: { ...block, input: {} } }]);
+            for (const piece of splitJson(block.input)) {
+                events.push(['content_block_delta', { type: 'content_block_delta', index, delta: { type: 'input_json_delta', partial_json: piece } }]);
+            }
+        }
+        events.push(['content_block_stop', { type: 'content_block_stop', index }]);
+    });
+    if (reply.streamError) {
+        events.splice(2, events.length, ['error', { type: 'error', error: { type: reply.streamError, message: 'Mock stream error' } }]);
+    } else {
+        events.push(['message_delta', {
+            type: 'message_delta',
+            delta: { stop_reason: reply.tool ? 'tool_use' : 'end_turn', stop_sequence: null },
+            usage: { output_tokens: outputTokens(reply) },
+        }]);
+        events.push(['message_stop', { type: 'message_stop' }]);
+    }
+
+    await writeStream(res, events.map(([name, data]) => `event: ${name}\ndata: ${JSON.stringify(data)}\n\n`), reply, options);
+}
+
+// --- OpenAI ---
+
+function sendOpenAI(res, reply) {
+    const message = { role: 'assistant', content: reply.text || (reply.tool ? null : '') };
+    if (reply.tool) {
+        message.tool_calls = [{
+            id: `call_mock_${reply.id}`,
+            type: 'function',
+            function: { name: reply.tool.name, arguments: JSON.stringify(reply.tool.input || {}) },
+        }];
+    }
+    sendJson(res, 200, {
+        id: `chatcmpl-mock-${reply.id}`,
+        object: 'chat.completion',
+        created: Math.floor(Date.now() / 1000),
+        model: reply.model,
+        choices: [{ index: 0, message, finish_reason: reply.tool ? 'tool_calls' : 'stop' }],
+        usage: openAIUsage(reply),
+    });
+}
+
+async function streamOpenAI(res, reply, options) {
+    const base = { id: `chatcmpl-mock-${reply.id}`, object: 'chat.completion.chunk', created: Math.floor(Date.now() / 1000), model: reply.model };
+    const chunk = (delta, finishReason = null) => ({ ...base, choices: [{ index: 0, delta, finish_reason: finishReason }] });
+    const chunks = [chunk({ role: 'assistant', content: '' })];
+    for (const piece of reply.text ? splitText(reply.text) : []) {
+        chunks.push(chunk({ content: piece }));
+    }
+    if (reply.tool) {
+        chunks.push(chunk({ tool_calls: [{ index: 0, id: `call_mock_${reply.id}`, type: 'function', function: { name: reply.tool.name, arguments: '' } }] }));
+        for (const piece of splitJson(reply.tool.input)) {
+            chunks.push(chunk({ tool_calls: [{ index: 0, function: { arguments: piece } }] }));
+        }
+    }
+    chunks.push(chunk({}, reply.tool ? 'tool_calls' : 'stop'));
+    chunks.push({ ...base, choices: [], usage: openAIUsage(reply) });
+
+    const lines = chunks.map(data => `data: ${JSON.stringify(data)}\n\n`);
+    lines.push('data: [DONE]\n\n');
+    await writeStream(res, lines, reply, options);
+}
+
+function openAIUsage(reply) {
+    const completion = outputTokens(reply);
+    return { prompt_tokens: reply.inputTokens, completion_tokens: completion, total_tokens: reply.inputTokens + completion };
+}
+
+// --- Shared ---
+
+// A truncated reply stops halfway and drops the connection without a final event
+async function writeStream(res, parts, reply, options) {
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', 'Connection': 'keep-alive' });
+    const count = reply.truncate ? Math.max(1, Math.floor(parts.length / 2)) : parts.length;
+    for (const part of parts.slice(0, count)) {
+        if (res.destroyed) return;
+        // Flushed before the next part, so a truncated stream really delivers its first half
+        await new Promise(resolve => res.write(part, resolve));
+        await sleep(options.chunkDelayMs || 0);
+    }
+    if (reply.truncate) {
+        res.socket?.destroy();
+    } else {
+        res.end();
+    }
+}
+
+async function sendRaw(res, raw, options) {
+    const status = raw.status || 200;
+    if (Array.isArray(raw.chunks)) {
+        res.writeHead(status, { 'Content-Type': 'text/event-stream', ...raw.headers });
+        for (const chunk of raw.chunks) {
+            if (res.destroyed) return;
+            await new Promise(resolve => res.write(chunk, resolve));
+            await sleep(options.chunkDelayMs || 0);
+        }
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', ...raw.headers });
+    res.end(typeof raw.body === 'string' ? raw.body : JSON.stringify(raw.body ?? {}));
+}
+
+function sendError(res, dialect, status, message) {
+    const body = dialect === 'openai'
+        ? { error: { message, type: status === 429 ? 'rate_limit_exceeded' : status >= 500 ? 'server_error' : 'invalid_request_error', code: status } }
+        : { type: 'error', error: { type: ERROR_TYPES[status] || 'api_error', message } };
+    sendJson(res, status, body);
+}
+
+function sendJson(res, status, data) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+}
+
+function hasKey(req, key) {
+    return req.headers['x-api-key'] === key
+        || req.headers['x-goog-api-key'] === key
+        || req.headers.authorization === `Bearer ${key}`;
+}
+
+function lastUserText(messages) {
+    const last = [...(messages || [])].reverse().find(m => m.role === 'user');
+    if (!last) return '';
+    if (typeof last.content === 'string') return last.content;
+    return (last.content || [])
+        .map(part => part.text ?? (typeof part.content === 'string' ? part.content : ''))
+        .filter(Boolean)
+        .join('\n');
+}
+
+function estimateOpenAIInput(body) {
+    return Math.max(1, Math.ceil(JSON.stringify(body.messages || []).length / 4));
+}
+
+function outputTokens(reply) {
+    return Math.max(1, Math.ceil(((reply.text || '').length + (reply.tool ? JSON.stringify(reply.tool.input || {}).length : 0)) / 4));
+}
+
+// Word-sized pieces, so clients see several deltas
+function splitText(text) {
+    return text.match(/\S+\s*|\s+/g) || [''];
+}
+
+function splitJson(input) {
+    const json = JSON.stringify(input || {});
+    const pieces = [];
+    for (let i = 0; i < json.length; i += 8) pieces.push(json.slice(i, i + 8));
+    return pieces;
+}
+
+function toModelInfo(id) {
+    return {
+        type: 'model',
+        id,
+        display_name: id,
+        created_at: new Date(0).toISOString(),
+        object: 'model',
+        created: 0,
+        owned_by: 'mock',
+    };
+}
+
+function readBody(req) {
+    return new Promise(resolve => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => resolve(body));
+        req.on('error', () => resolve(body));
+    });
+}
+
+function sleep(ms) {
+    return ms > 0 ? new Promise(resolve => setTimeout(resolve, ms)) : Promise.resolve();
+}
@@ -0,0 +1,73 @@
+/**
+ * Model Aliases - per-profile table that routes requested models to upstream models
+ *
+ * Stored on the profile as an ordered list; the first matching entry wins:
+ *   modelAliases: [
+ *     { match: 'claude-opus-*', model: 'anthropic/claude-opus-4.6' },
+ *     { match: '/^claude-(sonnet|haiku)-(\d+)-(\d+)/i', model: 'anthropic/claude-$1-$2.$3' },
+ *   ]
+ * `match` is a glob (`*`, `?`, case-insensitive, whole name) or a /regex/flags
+ * literal whose capture groups can be used as $1..$9 in `model`.
+ */
+
+/**
+ * Compiles an alias pattern to a RegExp.
+ * @param {string} pattern - Glob or /regex/flags
+ * @returns {RegExp}
+ * @throws {Error} If a regex pattern is invalid
+ */
+export const compileAliasPattern = (pattern) => {
+    const regexLiteral = /^\/(.+)\/([a-z]*)$/.exec(pattern);
+    if (regexLiteral) {
+        return new RegExp(regexLiteral[1], regexLiteral[2]);
+    }
+    const source = pattern
+        .split('')
+        .map(ch => (ch === '*' ? '.*' : ch === '?' ? '.' : ch.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+        .join('');
+    return new RegExp(`^${source}$`, 'i');
+};
+
+/**
+ * Returns true if the pattern names exactly one model (no wildcards, not a regex).
+ */
+export const isLiteralAlias = (pattern) => !/^\/.+\/[a-z]*$/.test(pattern) && !/[*?]/.test(pattern);
+
+/**
+ * Resolves a requested model through an alias table.
+ * @param {Array<{match: string, model: string}>} aliases - Ordered alias table
+ * @param {string} model - Requested model
+ * @returns {string|null} Upstream model, or null when no alias matches
+ */
+export const resolveModelAlias = (aliases, model) => {
+    if (!model || !Array.isArray(aliases)) return null;
+
+    for (const alias of aliases) {
+        if (!alias?.match || !alias.model) continue;
+        let regex;
+        try {
+            regex = compileAliasPattern(alias.match);
+        } catch {
+            continue; // invalid entries are rejected when edited; skip hand-edited ones
+        }
+        const match = regex.exec(model);
+        if (match) {
+            return alias.model.replace(/\$(\d)/g, (_, group) => match[Number(group)] ?? '');
+        }
+    }
+    return null;
+};
+
+/**
+ * Model ids to advertise for an alias table: literal patterns and targets.
+ * @param {Array<{match: string, model: string}>} aliases
+ * @returns {string[]}
+ */
+export const listAliasModels = (aliases) => {
+    const ids = new Set();
+    for (const alias of aliases || []) {
+        if (alias?.match && isLiteralAlias(alias.match)) ids.add(alias.match);
+        if (alias?.model && !alias.model.includes('$')) ids.add(alias.model);
+    }
+    return [...ids];
+};
@@ -0,0 +1,75 @@
+/**
+ * Model Prices - per-model token prices for the usage ledger
+ *
+ * Prices are USD per million tokens:
+ *   { match, input, output, cacheRead?, cacheWrite? }
+ * `match` uses the model alias pattern syntax (glob or /regex/, see
+ * model-aliases.js) against the model id sent upstream. A profile can list its
+ * own `prices` (resellers rarely charge list price); they are checked before
+ * the defaults below, which are provider list prices and need updating when
+ * providers change them.
+ */
+
+import { compileAliasPattern } from './model-aliases.js';
+
+// Most specific patterns first: the first match wins
+export const DEFAULT_MODEL_PRICES = [
+    { match: '*claude-opus-4-5*', input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+    { match: '*claude-opus-4.5*', input: 5, output: 25, cacheRead: 0.5, cacheWrite: 6.25 },
+    { match: '*claude-opus-4*', input: 15, output: 75, cacheRead: 1.5, cacheWrite: 18.75 },
+    { match: '*claude-sonnet-4*', input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    { match: '*claude-3-7-sonnet*', input: 3, output: 15, cacheRead: 0.3, cacheWrite: 3.75 },
+    { match: '*claude-haiku-4*', input: 1, output: 5, cacheRead: 0.1, cacheWrite: 1.25 },
+    { match: '*claude-3-5-haiku*', input: 0.8, output: 4, cacheRead: 0.08, cacheWrite: 1 },
+    { match: '*gpt-5-nano*', input: 0.05, output: 0.4, cacheRead: 0.005 },
+    { match: '*gpt-5-mini*', input: 0.25, output: 2, cacheRead: 0.025 },
+    { match: '*gpt-5*', input: 1.25, output: 10, cacheRead: 0.125 },
+    { match: '*gpt-4.1-nano*', input: 0.1, output: 0.4, cacheRead: 0.025 },
+    { match: '*gpt-4.1-mini*', input: 0.4, output: 1.6, cacheRead: 0.1 },
+    { match: '*gpt-4.1*', input: 2, output: 8, cacheRead: 0.5 },
+    { match: '*gpt-4o-mini*', input: 0.15, output: 0.6, cacheRead: 0.075 },
+    { match: '*gpt-4o*', input: 2.5, output: 10, cacheRead: 1.25 },
+    { match: '/(^|\\/)o4-mini/i', input: 1.1, output: 4.4, cacheRead: 0.275 },
+    { match: '/(^|\\/)o3-mini/i', input: 1.1, output: 4.4, cacheRead: 0.55 },
+    { match: '/(^|\\/)o3($|-)/i', input: 2, output: 8, cacheRead: 0.5 },
+    { match: '*deepseek-chat*', input: 0.28, output: 0.42, cacheRead: 0.028 },
+    { match: '*deepseek-reasoner*', input: 0.28, output: 0.42, cacheRead: 0.028 },
+    { match: '*gemini-2.5-pro*', input: 1.25, output: 10, cacheRead: 0.31 },
+    { match: '*gemini-2.5-flash-lite*', input: 0.1, output: 0.4, cacheRead: 0.025 },
+    { match: '*gemini-2.5-flash*', input: 0.3, output: 2.5, cacheRead: 0.075 },
+];
+
+/**
+ * Finds the price entry for a model.
+ * @param {string} model - Upstream model id
+ * @param {Array<object>} [profilePrices] - Profile `prices`, checked first
+ * @returns {object|null} Price entry, or null when the model is not priced
+ */
+export const findModelPrice = (model, profilePrices) => {
+    if (!model) return null;
+    for (const price of [...(profilePrices || []), ...DEFAULT_MODEL_PRICES]) {
+        if (!price?.match) continue;
+        try {
+            if (compileAliasPattern(price.match).test(model)) return price;
+        } catch {
+            // skip hand-edited invalid patterns
+        }
+    }
+    return null;
+};
+
+/**
+ * Computes the cost of one response in USD.
+ * Cache reads and writes fall back to the input price when the entry has none.
+ * @param {object} usage - Anthropic usage (input, output and cache token counts)
+ * @param {object|null} price - From findModelPrice
+ * @returns {number|null} Cost, or null when there is no price
+ */
+export const computeCost = (usage, price) => {
+    if (!price || !usage) return null;
+    const perToken = (perMillion) => (Number(perMillion) || 0) / 1e6;
+    return (usage.input_tokens || 0) * perToken(price.input)
+        + (usage.output_tokens || 0) * perToken(price.output)
+        + (usage.cache_read_input_tokens || 0) * perToken(price.cacheRead ?? price.input)
+        + (usage.cache_creation_input_tokens || 0) * perToken(price.cacheWrite ?? price.input);
+};
@@ -5,10 +5,14 @@ import fs from 'fs';
 import path from 'path';
 import os from 'os';
 import axios from 'axios';
+import { buildGeminiModelsRequest } from './adapter-gemini.js';
 
 const config = new Conf({ projectName: 'cc-helper' });
 
 export const getProfiles = () => config.get('profiles', []);
+
+/** Directory holding the cc-helper config file; other local data (recordings, ledgers) lives beside it. */
+export const getConfigDir = () => path.dirname(config.path);
 export const getActiveProfileName = () => config.get('activeProfile');
 
 export const getActiveProfile = (name) => {
@@ -17,16 +21,24 @@ export const getActiveProfile = (name) => {
     return profiles.find(p => p.name === activeName);
 };
 
+/**
+ * Endpoint formats a profile can use. Everything except 'anthropic' goes through the adapter proxy.
+ * 'openai-responses' is never auto-detected and must be chosen explicitly.
+ */
+export const PROFILE_FORMATS = ['anthropic', 'openai-compat', 'openai-responses', 'gemini'];
+
 /**
  * Detects whether an endpoint uses Anthropic format or OpenAI-compatible format.
+ * Google's Gemini API host is recognized by URL.
  * @param {object} profile - Profile with url and key
- * @returns {Promise<'anthropic'|'openai-compat'>}
+ * @returns {Promise<'anthropic'|'openai-compat'|'gemini'>}
  */
 export const detectEndpointFormat = async (profile) => {
     if (!profile?.url) return 'openai-compat';
 
     // api.anthropic.com is always anthropic
     if (profile.url.includes('api.anthropic.com')) return 'anthropic';
+    if (profile.url.includes('generativelanguage.googleapis.com')) return 'gemini';
 
     // Auto-detect via testAnthropicEndpoint
     try {
@@ -47,6 +59,7 @@ export const getProfileFormat = (profile) => {
     if (profile.format) return profile.format;
     // Legacy profiles without format field: check URL as heuristic
     if (profile.url && profile.url.includes('api.anthropic.com')) return 'anthropic';
+    if (profile.url && profile.url.includes('generativelanguage.googleapis.com')) return 'gemini';
     return 'openai-compat';
 };
 
@@ -54,17 +67,20 @@ export const getProfileFormat = (profile) => {
  * Ensures a profile has a `format` field. If missing, auto-detects via network
  * and persists the result. Called lazily before launching Claude.
  * @param {object} profile - Profile object (mutated in-place)
+ * @param {object} [options]
+ * @param {Function} [options.log=console.log] - Where progress lines go
  * @returns {Promise<string>} The detected or existing format
  */
-export const ensureProfileFormat = async (profile) => {
+export const ensureProfileFormat = async (profile, options = {}) => {
+    const log = options.log || console.log;
     if (!profile) return 'openai-compat';
     if (profile.format) return profile.format;
 
     // Legacy profile: auto-detect and persist
     try {
-        console.log(chalk.cyan('  → Detecting endpoint format (one-time migration)...'));
+        log(chalk.cyan('  → Detecting endpoint format (one-time migration)...'));
         profile.format = await detectEndpointFormat(profile);
-        console.log(chalk.green(`  → Format: ${profile.format}`));
+        log(chalk.green(`  → Format: ${profile.format}`));
 
         // Persist to config
         const profiles = getProfiles();
@@ -181,6 +197,34 @@ export const editProfile = async (name, updates) => {
     if (updates.format) {
         profiles[idx].format = updates.format;
     }
+    if (updates.modelAliases !== undefined) {
+        if (updates.modelAliases.length > 0) {
+            profiles[idx].modelAliases = updates.modelAliases;
+        } else {
+            delete profiles[idx].modelAliases;
+        }
+    }
+    if (updates.passthrough !== undefined) {
+        if (updates.passthrough) {
+            profiles[idx].passthrough = true;
+        } else {
+            delete profiles[idx].passthrough;
+        }
+    }
+    if (updates.budgets !== undefined) {
+        if (updates.budgets.length > 0) {
+            profiles[idx].budgets = updates.budgets;
+        } else {
+            delete profiles[idx].budgets;
+        }
+    }
+    if (updates.autoResume !== undefined) {
+        if (updates.autoResume) {
+            profiles[idx].autoResume = updates.autoResume;
+        } else {
+            delete profiles[idx].autoResume; // null = turn auto-resume off
+        }
+    }
 
     // Handle OAuth updates
     if (updates.oauth) {
@@ -402,7 +446,44 @@ const SONNET_MODELS = [
 ];
 
 /**
- * Queries upstream API for available models
+ * Fetches every model id from the upstream catalogue (GET /v1/models, or the
+ * Gemini models list for format 'gemini').
+ * @param {object} profile - Profile-like object with url, key and optional format
+ * @param {object} [options]
+ * @param {number} [options.timeout] - Request timeout in ms
+ * @param {Function} [options.rewriteHeaders] - Final say over the request headers (profile rewrite rules)
+ * @returns {Promise<string[]|null>} Model ids, or null if the upstream has no usable catalogue
+ * @throws {Error} On network errors
+ */
+export const fetchUpstreamModelIds = async (profile, options = {}) => {
+    const request = getProfileFormat(profile) === 'gemini'
+        ? buildGeminiModelsRequest(profile.url, profile.key)
+        : { url: buildModelsUrl(profile.url), headers: { 'Authorization': `Bearer ${profile.key}` } };
+
+    const headers = {
+        ...request.headers,
+        'Content-Type': 'application/json'
+    };
+    const response = await axios.get(request.url, {
+        headers: options.rewriteHeaders ? options.rewriteHeaders(headers) : headers,
+        timeout: options.timeout || 8000,
+        validateStatus: () => true
+    });
+
+    if (response.status < 200 || response.status >= 300) {
+        return null;
+    }
+    if (Array.isArray(response.data?.data)) {
+        return response.data.data.map(m => m.id).filter(Boolean);
+    }
+    if (Array.isArray(response.data?.models)) {
+        return response.data.models.map(m => (m.name || '').replace(/^models\//, '')).filter(Boolean);
+    }
+    return null;
+};
+
+/**
+ * Queries upstream API for available Claude models
  * @param {object} profile - Profile with url and key
  * @returns {Promise<string[]>} List of model IDs, or empty array on failure
  */
@@ -412,24 +493,8 @@ export const queryUpstreamModels = async (profile) => {
     }
 
     try {
-        const modelsUrl = buildModelsUrl(profile.url);
-
-        const response = await axios.get(modelsUrl, {
-            headers: {
-                'Authorization': `Bearer ${profile.key}`,
-                'Content-Type': 'application/json'
-            },
-            timeout: 8000,
-            validateStatus: () => true
-        });
-
-        if (response.status >= 200 && response.status < 300 && response.data?.data) {
-            return response.data.data
-                .filter(m => m.id && m.id.toLowerCase().includes('claude'))
-                .map(m => m.id);
-        }
-
-        return [];
+        const ids = await fetchUpstreamModelIds(profile);
+        return (ids || []).filter(id => id.toLowerCase().includes('claude'));
     } catch (error) {
         console.error(chalk.yellow(`Warning: Could not query upstream models: ${error.message}`));
         return [];
@@ -0,0 +1,158 @@
+/**
+ * Project Config - per-project defaults from .cchelper.json
+ *
+ * The nearest .cchelper.json in the working directory or one of its parents:
+ *   {
+ *     "profile": "work",
+ *     "role": ["reviewer", "security"],      // or "reviewer"
+ *     "rolePosition": "top",
+ *     "models": { "opus": "...", "sonnet": "..." },
+ *     "mcp": ["context7"],                   // MCP services to start; [] for none
+ *     "env": { "MAX_THINKING_TOKENS": "8000" },
+ *     "ccswitch": false                      // true, or a CC Switch provider name or id
+ *   }
+ * Every field is optional and fills in what the command line or the
+ * interactive menu left open; explicit choices always win. The file is
+ * usually committed and may come from a repository nobody has reviewed, so
+ * `env` only takes the Claude Code tuning variables in PROJECT_ENV_KEYS.
+ * Anything that could redirect traffic or load code (endpoints, keys, proxies,
+ * NODE_OPTIONS, Bedrock/Vertex switches, ...) comes from the profile only.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ROLE_POSITIONS } from './role-overlay.js';
+
+export const PROJECT_CONFIG_FILE = '.cchelper.json';
+
+// Variables `env` may set: they tune Claude Code without changing where requests go
+export const PROJECT_ENV_KEYS = [
+    'MAX_THINKING_TOKENS',
+    'CLAUDE_CODE_MAX_OUTPUT_TOKENS',
+    'MAX_MCP_OUTPUT_TOKENS',
+    'MCP_TIMEOUT',
+    'MCP_TOOL_TIMEOUT',
+    'BASH_DEFAULT_TIMEOUT_MS',
+    'BASH_MAX_TIMEOUT_MS',
+    'BASH_MAX_OUTPUT_LENGTH',
+    'CLAUDE_BASH_MAINTAIN_PROJECT_WORKING_DIR',
+    'CLAUDE_CODE_DISABLE_NONESSENTIAL_TRAFFIC',
+    'CLAUDE_CODE_DISABLE_TERMINAL_TITLE',
+    'DISABLE_AUTOUPDATER',
+    'DISABLE_BUG_COMMAND',
+    'DISABLE_COST_WARNINGS',
+    'DISABLE_ERROR_REPORTING',
+    'DISABLE_NON_ESSENTIAL_MODEL_CALLS',
+    'DISABLE_PROMPT_CACHING',
+    'DISABLE_TELEMETRY',
+];
+
+/**
+ * Finds the nearest .cchelper.json.
+ * @param {string} [dir=process.cwd()]
+ * @returns {string|null} Path of the file
+ */
+export const findProjectConfig = (dir = process.cwd()) => {
+    let current = path.resolve(dir);
+    for (;;) {
+        const file = path.join(current, PROJECT_CONFIG_FILE);
+        if (fs.existsSync(file)) return file;
+        const parent = path.dirname(current);
+        if (parent === current) return null;
+        current = parent;
+    }
+};
+
+/**
+ * Reads and checks the nearest .cchelper.json.
+ * @param {string} [dir=process.cwd()]
+ * @returns {object|null} The config plus `path`, or null when there is none
+ * @throws {Error} On invalid JSON or fields, naming the file
+ */
+export const loadProjectConfig = (dir = process.cwd()) => {
+    const file = findProjectConfig(dir);
+    if (!file) return null;
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(file, 'utf8'));
+    } catch (e) {
+        throw new Error(`${file}: ${e.message}`);
+    }
+    try {
+        validateProjectConfig(config);
+    } catch (e) {
+        throw new Error(`${file}: ${e.message}`);
+    }
+    return { ...config, path: file };
+};
+
+/**
+ * @throws {Error} On the first invalid field
+ */
+export const validateProjectConfig = (config) => {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+        throw new Error('must contain a JSON object');
+    }
+    const isString = value => typeof value === 'string' && value !== '';
+    if (config.profile !== undefined && !isString(config.profile)) {
+        throw new Error('profile must be a profile name');
+    }
+    if (config.role !== undefined && !isString(config.role) && !(Array.isArray(config.role) && config.role.every(isString))) {
+        throw new Error('role must be a role name or a list of them');
+    }
+    if (config.rolePosition !== undefined && !ROLE_POSITIONS.includes(config.rolePosition)) {
+        throw new Error(`rolePosition must be ${ROLE_POSITIONS.join(' or ')}`);
+    }
+    if (config.models !== undefined) {
+        if (!config.models || typeof config.models !== 'object' || Array.isArray(config.models)) {
+            throw new Error('models must be an object like { "opus": "...", "sonnet": "..." }');
+        }
+        for (const key of Object.keys(config.models)) {
+            if (!['opus', 'sonnet'].includes(key)) throw new Error(`models.${key} is not supported (use opus or sonnet)`);
+            if (!isString(config.models[key])) throw new Error(`models.${key} must be a model name`);
+        }
+    }
+    if (config.mcp !== undefined && !(Array.isArray(config.mcp) && config.mcp.every(isString))) {
+        throw new Error('mcp must be a list of MCP service names');
+    }
+    if (config.env !== undefined) {
+        if (!config.env || typeof config.env !== 'object' || Array.isArray(config.env)) {
+            throw new Error('env must be an object of variable names and values');
+        }
+        for (const [key, value] of Object.entries(config.env)) {
+            if (!PROJECT_ENV_KEYS.includes(key)) {
+                throw new Error(`env.${key} cannot be set from a project file (allowed: ${PROJECT_ENV_KEYS.join(', ')})`);
+            }
+            if (typeof value !== 'string') throw new Error(`env.${key} must be a string`);
+        }
+    }
+    if (config.ccswitch !== undefined && typeof config.ccswitch !== 'boolean' && !isString(config.ccswitch)) {
+        throw new Error('ccswitch must be true, false or a CC Switch provider');
+    }
+};
+
+/**
+ * Fills launch options the caller left unset from the project config.
+ * A role of [] counts as unset; 'default' is an explicit choice of no role.
+ * @param {object} options - runClaude options
+ * @param {object|null} projectConfig - From loadProjectConfig()
+ * @returns {object} New options, plus `projectEnv` (the project's env overrides)
+ */
+export const applyProjectConfig = (options, projectConfig) => {
+    if (!projectConfig) return options;
+    const merged = { ...options };
+    const roleUnset = merged.role === undefined || (Array.isArray(merged.role) && merged.role.length === 0);
+    if (roleUnset && projectConfig.role !== undefined) merged.role = projectConfig.role;
+    merged.rolePosition = merged.rolePosition ?? projectConfig.rolePosition;
+    merged.opusModel = merged.opusModel ?? projectConfig.models?.opus;
+    merged.sonnetModel = merged.sonnetModel ?? projectConfig.models?.sonnet;
+    if (merged.configSource === undefined && merged.useCcSwitch === undefined && projectConfig.ccswitch) {
+        merged.configSource = 'ccswitch';
+    }
+    if (merged.configSource !== 'ccswitch' && !merged.useCcSwitch) {
+        merged.sessionProfileName = merged.sessionProfileName ?? projectConfig.profile;
+    }
+    merged.mcpServices = merged.mcpServices ?? projectConfig.mcp;
+    merged.projectEnv = projectConfig.env || {};
+    return merged;
+};
@@ -0,0 +1,149 @@
+/**
+ * Role Overlay - session roles without touching the project CLAUDE.md
+ *
+ * Roles (`--role reviewer --role security`) are written into the project's
+ * CLAUDE.local.md, the personal, untracked memory file Claude Code loads next
+ * to CLAUDE.md. They go in one block between markers, above or below the
+ * file's own content:
+ *   <!-- cchelper:roles begin -->
+ *   ## Role: reviewer
+ *   ...
+ *   <!-- cchelper:roles end -->
+ * The tracked CLAUDE.md, and edits teammates make to it during the session,
+ * stay untouched. On exit only the block and the newlines inserted with it are
+ * removed, so the file's own bytes come back as they were and what Claude Code
+ * or the user added to the file during the session is kept. The caller journals the
+ * overlay file (session-journal.js), so it is restored even if cc-helper is killed.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+export const ROLE_OVERLAY_FILE = 'CLAUDE.local.md';
+export const ROLE_POSITIONS = ['top', 'bottom'];
+
+const BEGIN_MARKER = '<!-- cchelper:roles begin (added for this session, removed on exit) -->';
+const END_MARKER = '<!-- cchelper:roles end -->';
+// The block is written as `<block>\n\n<own>` (top), `<own>\n<block>\n` (bottom) or
+// `<block>\n` (no own content); the patterns take back exactly those newlines
+const BLOCK = '<!-- cchelper:roles begin[^>]*-->[\\s\\S]*?<!-- cchelper:roles end -->';
+const TOP_BLOCK_PATTERN = new RegExp(`^${BLOCK}\\n\\n?`);
+const BOTTOM_BLOCK_PATTERN = new RegExp(`\\n${BLOCK}\\n?`, 'g');
+
+/**
+ * Turns the --role option into a list of role names or paths.
+ * Accepts a string (comma-separated allowed) or an array; drops `default`.
+ * @param {string|Array<string>} [role]
+ * @returns {Array<string>}
+ */
+export const normalizeRoles = (role) => {
+    const list = (Array.isArray(role) ? role : [role])
+        .flatMap(r => typeof r === 'string' ? r.split(',') : [])
+        .map(r => r.trim())
+        .filter(r => r && r !== 'default');
+    return [...new Set(list)];
+};
+
+/**
+ * Finds the prompt file of a role: a path, or a name looked up in
+ * ~/.claude/.ccg/prompts/claude/ and then ~/.claude/ (as the role menu lists them).
+ * @param {string} role
+ * @returns {string} Path of the role file; the first candidate when none exists
+ */
+export const resolveRoleFile = (role) => {
+    if (path.isAbsolute(role)) return role;
+    const file = role.endsWith('.md') ? role : `${role}.md`;
+    const candidates = [
+        path.join(os.homedir(), '.claude', '.ccg', 'prompts', 'claude', file),
+        path.join(os.homedir(), '.claude', file),
+    ];
+    return candidates.find(c => fs.existsSync(c)) || candidates[0];
+};
+
+/**
+ * Reads the prompt files of the given roles.
+ * @param {Array<string>} roles - From normalizeRoles()
+ * @returns {object} { loaded: [{ name, path, content }], missing: [path] }
+ */
+export const loadRoles = (roles) => {
+    const loaded = [];
+    const missing = [];
+    for (const role of roles) {
+        const file = resolveRoleFile(role);
+        if (!fs.existsSync(file)) {
+            missing.push(file);
+            continue;
+        }
+        if (loaded.some(r => r.path === file)) continue;
+        loaded.push({ name: path.basename(file, '.md'), path: file, content: fs.readFileSync(file, 'utf8') });
+    }
+    return { loaded, missing };
+};
+
+/**
+ * Removes the cc-helper role block from memory file content.
+ * @param {string} content
+ * @returns {string}
+ */
+export const stripRoleOverlay = (content) => content.replace(TOP_BLOCK_PATTERN, '').replace(BOTTOM_BLOCK_PATTERN, '');
+
+/**
+ * Puts the role block into memory file content, replacing a stale one.
+ * @param {string} content - Current file content ('' when there is none)
+ * @param {Array<object>} roles - From loadRoles().loaded
+ * @param {string} [position='top'] - 'top' or 'bottom' of the file
+ * @returns {string}
+ */
+export const mergeRoleOverlay = (content, roles, position = 'top') => {
+    if (!ROLE_POSITIONS.includes(position)) {
+        throw new Error(`Unknown role position "${position}" (use ${ROLE_POSITIONS.join(' or ')})`);
+    }
+    const own = stripRoleOverlay(content);
+    const sections = roles.map(r => `## Role: ${r.name}\n\n${r.content.trim()}`);
+    const block = [BEGIN_MARKER, sections.join('\n\n'), END_MARKER].join('\n');
+    if (!own) return `${block}\n`;
+    if (position === 'top') return `${block}\n\n${own}`;
+    return `${own}\n${block}\n`;
+};
+
+/**
+ * Writes the roles into the project's CLAUDE.local.md.
+ * @param {string} projectDir
+ * @param {Array<object>} roles - From loadRoles().loaded
+ * @param {object} [options]
+ * @param {string} [options.position='top']
+ * @param {object} [options.journal] - Session journal that backs the file up first
+ * @returns {string} Path of the overlay file
+ */
+export const writeRoleOverlay = (projectDir, roles, options = {}) => {
+    const file = path.join(projectDir, ROLE_OVERLAY_FILE);
+    const current = fs.existsSync(file) ? fs.readFileSync(file, 'utf8') : '';
+    const merged = mergeRoleOverlay(current, roles, options.position || 'top');
+    options.journal?.backup(file);
+    fs.writeFileSync(file, merged);
+    options.journal?.written(file);
+    return file;
+};
+
+/**
+ * Takes the role block out of the project's CLAUDE.local.md again, keeping
+ * anything else written to it byte for byte; deletes the file when nothing
+ * else is left.
+ * @param {string} projectDir
+ * @param {object} [options]
+ * @param {object} [options.journal] - Session journal of writeRoleOverlay; the file is released from it
+ */
+export const removeRoleOverlay = (projectDir, options = {}) => {
+    const file = path.join(projectDir, ROLE_OVERLAY_FILE);
+    if (fs.existsSync(file)) {
+        const content = fs.readFileSync(file, 'utf8');
+        const own = stripRoleOverlay(content);
+        if (own !== content && own) {
+            fs.writeFileSync(file, own);
+        } else if (own !== content) {
+            fs.unlinkSync(file);
+        }
+    }
+    options.journal?.release(file);
+};
@@ -9,65 +9,75 @@ import { colors, symbols, divider } from './theme.js';
 import fs from 'fs';
 import path from 'path';
 import os from 'os';
-import { startOpenAIProxy, getProxyErrorState, resetProxyErrorState } from './adapter-proxy.js';
+import { startOpenAIProxy, startAnthropicPassthroughProxy, isAdapterFormat, getProxyErrorState, resetProxyErrorState, proxyConfigFromProfile, createProxyToken } from './adapter-proxy.js';
+import { connectProxyDaemon } from './adapter-daemon.js';
 import { startAllMcpServices, stopMcpService } from './mcp-manager.js';
 import { getLastSessionId } from './session-utils.js';
+import { openSessionJournal, recoverOrphanedSessions } from './session-journal.js';
+import { normalizeRoles, loadRoles, writeRoleOverlay, removeRoleOverlay } from './role-overlay.js';
+import { loadProjectConfig, applyProjectConfig } from './project-config.js';
 import { cleanApiEnvFromSettings } from './profile.js';
 import { PROVIDER_ENV_KEYS, getCurrentCcSwitchProvider, getCcSwitchProviderSummary } from './ccswitch.js';
 
+/**
+ * Starts Claude Code with the active (or chosen) profile behind the adapter or
+ * pass-through proxy, MCP services and per-session project settings, and
+ * restores the project files when it exits.
+ * @param {object} options
+ * @param {Function} [options.log=console.log] - Where cc-helper's status lines go
+ * @returns {Promise<object>} { exitCode, signal, proxyErrors, lastSessionId }
+ */
 export const runClaude = async (options = {}) => {
+    // The nearest .cchelper.json fills in what the caller left open (project-config.js)
+    const cwd = process.cwd();
+    const projectConfig = options.projectConfig !== undefined ? options.projectConfig : loadProjectConfig(cwd);
+    options = applyProjectConfig(options, projectConfig);
     const useCcSwitch = options.configSource === 'ccswitch' || options.useCcSwitch;
+    const headless = !!options.headless;
+    const log = options.log || console.log;
     const profile = useCcSwitch ? null : getActiveProfile(options.sessionProfileName);
     const env = { ...process.env }; // Start with current env
     let proxyServer = null;
+    let daemonSession = null; // set when the shared proxy daemon serves this session
+    let proxyToken = null; // session token Claude Code sends to a local proxy instead of the profile key
     let mcpProcesses = []; // Track spawned MCP child processes
 
     // --- Cleanup state (shared across signal handlers) ---
-    let backupClaudeMd = null;
-    let tempClaudeMdCreated = false;
-    let backupSettingsLocal = null;
-    let tempSettingsLocalCreated = false;
     let cleanupDone = false;
-    const cwd = process.cwd();
-    const claudeMdPath = path.join(cwd, 'CLAUDE.md');
     const projectClaudeDir = path.join(cwd, '.claude');
     const projectSettingsLocalPath = path.join(projectClaudeDir, 'settings.local.json');
 
+    // Put back what an interrupted session left in this project before backing
+    // the files up again, then journal the originals on disk (session-journal.js)
+    reportRecoveredSessions(recoverOrphanedSessions({ project: cwd }), log);
+    const journal = openSessionJournal(cwd);
+    const roles = normalizeRoles(options.role);
+    const roleLabel = roles.length > 0 ? roles.map(r => path.basename(r, '.md')).join(', ') : 'default';
+
     // Centralized cleanup function — safe to call multiple times
     const cleanup = async () => {
         if (cleanupDone) return;
         cleanupDone = true;
 
-        // Restore CLAUDE.md
-        if (tempClaudeMdCreated) {
-            try {
-                if (backupClaudeMd !== null) {
-                    fs.writeFileSync(claudeMdPath, backupClaudeMd);
-                } else {
-                    fs.unlinkSync(claudeMdPath);
-                }
-            } catch {
-                // ignore cleanup errors
-            }
-        }
-
-        // Restore project-level settings.local.json
-        if (tempSettingsLocalCreated) {
-            try {
-                if (backupSettingsLocal !== null) {
-                    fs.writeFileSync(projectSettingsLocalPath, backupSettingsLocal);
-                } else {
-                    fs.unlinkSync(projectSettingsLocalPath);
-                }
-            } catch {
-                // ignore cleanup errors
-            }
+        // Take the role block out of CLAUDE.local.md, keeping what was added during the
+        // session, and restore project-level settings.local.json. If the block cannot be
+        // removed, the file stays journaled and is restored like after a crash.
+        try {
+            if (roles.length > 0) removeRoleOverlay(cwd, { journal });
+        } catch { }
+        try {
+            journal.restore();
+        } catch {
+            // ignore cleanup errors; the journal stays for `cchelper recover`
         }
 
         // Kill Proxy
         if (proxyServer) {
             try { proxyServer.close(); } catch { }
         }
+        if (daemonSession) {
+            await daemonSession.close();
+        }
 
         // Kill MCP processes (no need to clean global settings.json
         // since MCP servers are now in project-level settings.local.json
@@ -80,38 +90,25 @@ export const runClaude = async (options = {}) => {
 
         // Notify Monitor End
         try {
-            await sendMonitorEvent('end', profile, options.role || 'default');
+            await sendMonitorEvent('end', profile, roleLabel);
         } catch { }
     };
 
-    if (options.role && options.role !== 'default') {
-        try {
-            // Find role file
-            // 1. Try absolute path
-            // 2. Try in .claude/.ccg/prompts/claude/
-            const homeDir = os.homedir();
-            const rolePath = path.isAbsolute(options.role)
-                ? options.role
-                : path.join(homeDir, '.claude', '.ccg', 'prompts', 'claude', options.role.endsWith('.md') ? options.role : `${options.role}.md`);
-
-            if (fs.existsSync(rolePath)) {
-                console.log(colors.textDim(t('runner.loadingRole', { role: colors.primary(path.basename(rolePath)) })));
-                const roleContent = fs.readFileSync(rolePath, 'utf8');
-
-                // Backup existing CLAUDE.md
-                if (fs.existsSync(claudeMdPath)) {
-                    backupClaudeMd = fs.readFileSync(claudeMdPath, 'utf8');
-                }
+    if (projectConfig) {
+        log(colors.textDim(`${symbols.bullet} ${t('runner.projectConfig', { path: projectConfig.path })}`));
+    }
 
-                // Write new CLAUDE.md with role content
-                // If there was existing content, prepend or append? 
-                // Usually Role definition is System Prompt, so it should be dominant.
-                // We'll Prepend it if existing content exists, or just overwrite for this session.
-                // Let's overwite/create for the session to ensure strict role adherence.
-                fs.writeFileSync(claudeMdPath, roleContent);
-                tempClaudeMdCreated = true;
-            } else {
-                console.log(colors.warning(`Role file not found: ${rolePath}`));
+    // Roles go into the untracked CLAUDE.local.md overlay; CLAUDE.md stays as it is
+    if (roles.length > 0) {
+        try {
+            const { loaded, missing } = loadRoles(roles);
+            for (const rolePath of missing) {
+                log(colors.warning(`Role file not found: ${rolePath}`));
+            }
+            if (loaded.length > 0) {
+                log(colors.textDim(t('runner.loadingRole', { role: colors.primary(loaded.map(r => r.name).join(', ')) })));
+                const overlayPath = writeRoleOverlay(cwd, loaded, { position: options.rolePosition, journal });
+                log(colors.textDim(`${symbols.success} Role prompt added to ${path.basename(overlayPath)} (${options.rolePosition || 'top'})`));
             }
         } catch (e) {
             console.error(colors.error('Failed to configure role:'), e.message);
@@ -127,44 +124,83 @@ export const runClaude = async (options = {}) => {
             const provider = getCurrentCcSwitchProvider('claude');
             const summary = provider ? getCcSwitchProviderSummary(provider) : null;
             if (summary) {
-                console.log(colors.textDim(t('runner.loadedProfile', { name: colors.primary(`CC Switch: ${summary.name}`) })));
-                console.log(colors.textDim(t('runner.apiUrl', { url: colors.primary(summary.baseUrl || 'managed by CC Switch') })) + '\n');
+                log(colors.textDim(t('runner.loadedProfile', { name: colors.primary(`CC Switch: ${summary.name}`) })));
+                log(colors.textDim(t('runner.apiUrl', { url: colors.primary(summary.baseUrl || 'managed by CC Switch') })) + '\n');
             } else {
-                console.log(colors.warning('CC Switch provider not selected. Open CC Switch or run: cchelper ccswitch use') + '\n');
+                log(colors.warning('CC Switch provider not selected. Open CC Switch or run: cchelper ccswitch use') + '\n');
             }
         } catch (e) {
-            console.log(colors.warning(`Warning: Could not read CC Switch provider: ${e.message}`));
+            log(colors.warning(`Warning: Could not read CC Switch provider: ${e.message}`));
         }
     } else if (profile) {
         // Map profile fields to standard Environment Variables
         if (profile.url) {
             // Determine endpoint type from profile format:
             //   'anthropic'     → native Anthropic or third-party Anthropic-format proxy
-            //   'openai-compat' → needs adapter proxy (Anthropic→OpenAI conversion)
-            const format = await ensureProfileFormat(profile);
+            //   'openai-compat' / 'openai-responses' / 'gemini' → needs adapter proxy (Anthropic→upstream conversion)
+            const format = await ensureProfileFormat(profile, { log });
             const isOfficialAnthropic = profile.url.includes('api.anthropic.com');
             const isThirdPartyAnthropic = (format === 'anthropic') && !isOfficialAnthropic;
-            const isOpenAICompat = (format === 'openai-compat');
+            const needsAdapter = isAdapterFormat(format);
 
-            if (isOpenAICompat) {
-                // OpenAI-compatible endpoint: start adapter proxy
+            // A running proxy daemon (cchelper proxy start) serves the session instead of a private proxy
+            if (needsAdapter || profile.passthrough) {
+                daemonSession = await connectProxyDaemon({ profile: profile.name, format, project: cwd, recordFile: options.recordFile });
+            }
+
+            if (daemonSession) {
+                proxyToken = daemonSession.token;
+                env['CLAUDE_BASE_URL'] = daemonSession.url;
+                env['ANTHROPIC_BASE_URL'] = daemonSession.url;
+                log(colors.textDim(`${symbols.success} Proxy daemon (${daemonSession.mode}): ${daemonSession.url} → ${profile.url}`));
+                if (options.recordFile) {
+                    log(colors.textDim(`${symbols.bullet} Recording adapter traffic to ${options.recordFile}`));
+                }
+            } else if (needsAdapter) {
+                // Non-Anthropic endpoint: start adapter proxy
                 try {
+                    const authToken = createProxyToken();
                     const { url, server } = await startOpenAIProxy({
-                        targetUrl: profile.url,
-                        apiKey: profile.key || '',
+                        ...proxyConfigFromProfile(profile, { format, project: cwd, recordFile: options.recordFile }),
+                        authToken,
                         port: 0 // random port
                     });
                     proxyServer = server;
+                    proxyToken = authToken;
 
                     // Point Claude CLI to our local proxy
                     env['CLAUDE_BASE_URL'] = url;
                     env['ANTHROPIC_BASE_URL'] = url;
 
-                    console.log(colors.textDim(`${symbols.success} Adapter: ${url} → ${profile.url}`));
+                    const upstreamCount = profile.upstreams?.length || 0;
+                    log(colors.textDim(`${symbols.success} Adapter: ${url} → ${upstreamCount > 0 ? `${upstreamCount} upstream(s)` : profile.url}`));
+                    if (options.recordFile) {
+                        log(colors.textDim(`${symbols.bullet} Recording adapter traffic to ${options.recordFile}`));
+                    }
                 } catch (e) {
                     console.error('Failed to start adapter:', e);
                 }
                 // REMOVED: env['OPENAI_BASE_URL'] = profile.url; (to avoid affecting Codex CLI)
+            } else if (profile.passthrough) {
+                // Anthropic format through the pass-through proxy: bytes unchanged,
+                // but errors, usage and budgets are tracked like adapter profiles
+                try {
+                    const authToken = createProxyToken();
+                    const { url, server } = await startAnthropicPassthroughProxy({
+                        ...proxyConfigFromProfile(profile, { format, project: cwd }),
+                        authToken,
+                        port: 0
+                    });
+                    proxyServer = server;
+                    proxyToken = authToken;
+                    env['CLAUDE_BASE_URL'] = url;
+                    env['ANTHROPIC_BASE_URL'] = url;
+                    log(colors.textDim(`${symbols.success} Pass-through: ${url} → ${profile.url}`));
+                } catch (e) {
+                    console.error('Failed to start pass-through proxy:', e.message);
+                    env['CLAUDE_BASE_URL'] = profile.url;
+                    env['ANTHROPIC_BASE_URL'] = profile.url;
+                }
             } else {
                 // Anthropic format (official or third-party): direct connect, no adapter
                 env['CLAUDE_BASE_URL'] = profile.url;
@@ -180,19 +216,25 @@ export const runClaude = async (options = {}) => {
             }
         }
         // Handle OAuth or API key authentication
-        if (profile.oauth) {
+        if (proxyToken) {
+            // The local proxy holds the real key; Claude Code only gets the session token.
+            // As ANTHROPIC_AUTH_TOKEN it is sent as a Bearer token without an API key approval prompt.
+            env['ANTHROPIC_AUTH_TOKEN'] = proxyToken;
+            delete env['ANTHROPIC_API_KEY'];
+            delete env['CLAUDE_API_KEY'];
+        } else if (profile.oauth) {
             // OAuth authentication
             const oauth = profile.oauth;
 
             // Check if token is expired
             if (oauth.expiresAt && Date.now() > oauth.expiresAt) {
-                console.log(colors.warning('⚠ OAuth token expired. Please refresh your token.'));
+                log(colors.warning('⚠ OAuth token expired. Please refresh your token.'));
             }
 
             // Use accessToken as API key
             env['CLAUDE_API_KEY'] = oauth.accessToken;
             env['ANTHROPIC_API_KEY'] = oauth.accessToken;
-            console.log(colors.textDim('Using OAuth authentication'));
+            log(colors.textDim('Using OAuth authentication'));
         } else if (profile.key) {
             // Standard API key authentication
             env['CLAUDE_API_KEY'] = profile.key;
@@ -203,19 +245,22 @@ export const runClaude = async (options = {}) => {
         // Set Opus/Sonnet models if specified
         if (options.opusModel) {
             env['ANTHROPIC_DEFAULT_OPUS_MODEL'] = options.opusModel;
-            console.log(colors.textDim(t('runner.usingOpusModel', { model: colors.primary(options.opusModel) })));
+            log(colors.textDim(t('runner.usingOpusModel', { model: colors.primary(options.opusModel) })));
         }
         if (options.sonnetModel) {
             env['ANTHROPIC_DEFAULT_SONNET_MODEL'] = options.sonnetModel;
-            console.log(colors.textDim(t('runner.usingSonnetModel', { model: colors.primary(options.sonnetModel) })));
+            log(colors.textDim(t('runner.usingSonnetModel', { model: colors.primary(options.sonnetModel) })));
         }
 
-        console.log(colors.textDim(t('runner.loadedProfile', { name: colors.primary(profile.name) })));
-        console.log(colors.textDim(t('runner.apiUrl', { url: colors.primary(profile.url) })) + '\n');
+        log(colors.textDim(t('runner.loadedProfile', { name: colors.primary(profile.name) })));
+        log(colors.textDim(t('runner.apiUrl', { url: colors.primary(profile.url) })) + '\n');
     } else {
-        console.log(colors.warning(t('runner.noActiveProfile')) + '\n');
+        log(colors.warning(t('runner.noActiveProfile')) + '\n');
     }
 
+    // Project env overrides (only the tuning variables of PROJECT_ENV_KEYS, see project-config.js)
+    Object.assign(env, options.projectEnv);
+
     const command = options.command || 'claude';
     const args = [...(options.args || [])];
 
@@ -229,7 +274,7 @@ export const runClaude = async (options = {}) => {
     // Start MCP services (URLs will be injected into project-level settings below)
     let mcpServerList = [];
     try {
-        const started = await startAllMcpServices();
+        const started = await startAllMcpServices({ only: options.mcpServices, log });
         if (started.length > 0) {
             mcpServerList = started.map(s => ({ name: s.name, url: s.url }));
             // Track only processes we actually spawned (not already-running ones)
@@ -239,11 +284,11 @@ export const runClaude = async (options = {}) => {
         console.error(colors.warning(`Warning: MCP startup error: ${err.message}`));
     }
 
-    console.log(colors.primary(`${symbols.arrowRight} ${t('runner.starting', { command: colors.text(command) })}`) + '\n');
-    console.log(divider(50) + '\n');
+    log(colors.primary(`${symbols.arrowRight} ${t('runner.starting', { command: colors.text(command) })}`) + '\n');
+    log(divider(50) + '\n');
 
     // Notify Monitor
-    await sendMonitorEvent('start', profile, options.role || 'default');
+    await sendMonitorEvent('start', profile, roleLabel);
 
     // Deploy and configure native statusline
     ensureStatusLine();
@@ -260,9 +305,7 @@ export const runClaude = async (options = {}) => {
             fs.mkdirSync(projectClaudeDir, { recursive: true });
 
             // Backup existing settings.local.json
-            if (fs.existsSync(projectSettingsLocalPath)) {
-                backupSettingsLocal = fs.readFileSync(projectSettingsLocalPath, 'utf8');
-            }
+            journal.backup(projectSettingsLocalPath);
 
             // Read global settings for model defaults
             const homeDir = os.homedir();
@@ -282,6 +325,7 @@ export const runClaude = async (options = {}) => {
             if (env['ANTHROPIC_BASE_URL']) localSettings.env.ANTHROPIC_BASE_URL = env['ANTHROPIC_BASE_URL'];
             if (env['CLAUDE_BASE_URL']) localSettings.env.CLAUDE_BASE_URL = env['CLAUDE_BASE_URL'];
             if (env['CLAUDE_API_KEY']) localSettings.env.CLAUDE_API_KEY = env['CLAUDE_API_KEY'];
+            if (proxyToken) localSettings.env.ANTHROPIC_AUTH_TOKEN = proxyToken;
             if (options.opusModel) {
                 localSettings.env.ANTHROPIC_DEFAULT_OPUS_MODEL = options.opusModel;
             } else if (globalOpusModel) {
@@ -299,9 +343,11 @@ export const runClaude = async (options = {}) => {
                 localSettings.env.CLAUDE_CODE_DISABLE_NONESSENTIAL_TRAFFIC = '1';
                 localSettings.env.CLAUDE_CODE_ATTRIBUTION_HEADER = '0';
             }
+            // settings.local.json env wins over the process env in Claude Code
+            Object.assign(localSettings.env, options.projectEnv);
 
             fs.writeFileSync(projectSettingsLocalPath, JSON.stringify(localSettings, null, 2), 'utf8');
-            tempSettingsLocalCreated = true;
+            journal.written(projectSettingsLocalPath);
 
             // Inject MCP servers into project-level settings (not global)
             if (mcpServerList.length > 0) {
@@ -310,15 +356,16 @@ export const runClaude = async (options = {}) => {
                     if (!currentLocal.mcpServers) currentLocal.mcpServers = {};
                     for (const { name, url } of mcpServerList) {
                         currentLocal.mcpServers[name] = { type: 'sse', url };
-                        console.log(colors.textDim(`  → MCP "${name}": ${url}`));
+                        log(colors.textDim(`  → MCP "${name}": ${url}`));
                     }
                     fs.writeFileSync(projectSettingsLocalPath, JSON.stringify(currentLocal, null, 2), 'utf8');
+                    journal.written(projectSettingsLocalPath);
                 } catch { /* non-fatal */ }
             }
 
-            console.log(colors.textDim(`${symbols.success} Session config isolated in ${projectClaudeDir}`));
+            log(colors.textDim(`${symbols.success} Session config isolated in ${projectClaudeDir}`));
         } catch (e) {
-            console.log(colors.warning(`Warning: Could not create session settings: ${e.message}`));
+            log(colors.warning(`Warning: Could not create session settings: ${e.message}`));
         }
     }
 
@@ -335,22 +382,39 @@ export const runClaude = async (options = {}) => {
     return new Promise((resolve, reject) => {
         try {
             // Use stdio: 'inherit' for full TTY passthrough
-            // Token tracking is handled by Claude Code's native statusline hook
+            // Token tracking is handled by Claude Code's native statusline hook.
+            // Headless runs pipe the prompt in and capture stdout instead, and skip
+            // the shell so arguments need no quoting (Windows needs it for claude.cmd)
             const subprocess = spawn(command, args, {
                 env,
-                stdio: 'inherit',
-                shell: true
+                stdio: headless ? ['pipe', 'pipe', 'inherit'] : 'inherit',
+                shell: headless ? process.platform === 'win32' : true
             });
 
-            subprocess.on('close', async (code) => {
+            let stdout = '';
+            if (headless) {
+                subprocess.stdout.setEncoding('utf8');
+                subprocess.stdout.on('data', (chunk) => {
+                    stdout += chunk;
+                    options.onOutput?.(chunk);
+                });
+                subprocess.stdin.on('error', () => { }); // EPIPE when the command exits before reading
+                subprocess.stdin.end(options.input ?? '');
+            }
+
+            let spawnFailed = false;
+            subprocess.on('close', async (code, signal) => {
+                // 'close' also follows a spawn 'error', which has settled the promise already
+                if (spawnFailed) return;
+
                 // Remove signal handlers
                 process.removeListener('SIGINT', signalHandler);
                 process.removeListener('SIGTERM', signalHandler);
 
-                console.log('\n' + divider(50));
+                log('\n' + divider(50));
 
                 // Collect proxy error state
-                const proxyErrors = getProxyErrorState();
+                const proxyErrors = daemonSession ? await daemonSession.errors() : getProxyErrorState();
 
                 // Get last sessionId for potential resume
                 let lastSessionId = null;
@@ -359,29 +423,31 @@ export const runClaude = async (options = {}) => {
                 } catch { }
 
                 if (code === 0) {
-                    console.log(colors.success(`\n${symbols.success} ${t('runner.sessionCompleted')}\n`));
+                    log(colors.success(`\n${symbols.success} ${t('runner.sessionCompleted')}\n`));
                 } else {
-                    console.log(colors.warning(`\n${symbols.warning} ${t('runner.exitedWithCode', { code })}\n`));
+                    log(colors.warning(`\n${symbols.warning} ${t('runner.exitedWithCode', { code })}\n`));
                 }
 
                 await cleanup().catch(() => { });
 
-                resolve({ exitCode: code, proxyErrors, lastSessionId });
+                resolve({ exitCode: code, signal, proxyErrors, lastSessionId, ...(headless ? { stdout, profile: profile?.name ?? null } : {}) });
             });
 
             subprocess.on('error', async (error) => {
+                spawnFailed = true;
+
                 // Remove signal handlers
                 process.removeListener('SIGINT', signalHandler);
                 process.removeListener('SIGTERM', signalHandler);
 
-                console.log('\n' + divider(50));
+                log('\n' + divider(50));
                 console.error(colors.error(`\n${symbols.error} ${t('runner.failedToRun', { command })}`), error.message);
 
                 if (error.message.includes('ENOENT')) {
-                    console.log(colors.warning(`\n${symbols.warning} ${t('runner.troubleshooting')}`));
-                    console.log(colors.textDim(`  ${symbols.bullet} ${t('runner.ensureInstalled', { command })}`));
-                    console.log(colors.textDim(`  ${symbols.bullet} ${t('runner.tryRunning')}`));
-                    console.log(colors.textDim(`  ${symbols.bullet} ${t('runner.visitDocs')}\n`));
+                    log(colors.warning(`\n${symbols.warning} ${t('runner.troubleshooting')}`));
+                    log(colors.textDim(`  ${symbols.bullet} ${t('runner.ensureInstalled', { command })}`));
+                    log(colors.textDim(`  ${symbols.bullet} ${t('runner.tryRunning')}`));
+                    log(colors.textDim(`  ${symbols.bullet} ${t('runner.visitDocs')}\n`));
                 }
 
                 await cleanup().catch(() => { });
@@ -394,14 +460,14 @@ export const runClaude = async (options = {}) => {
             process.removeListener('SIGINT', signalHandler);
             process.removeListener('SIGTERM', signalHandler);
 
-            console.log('\n' + divider(50));
+            log('\n' + divider(50));
             console.error(colors.error(`\n${symbols.error} ${t('runner.failedToRun', { command })}`), e.message);
 
             if (e.message.includes('ENOENT')) {
-                console.log(colors.warning(`\n${symbols.warning} ${t('runner.troubleshooting')}`));
-                console.log(colors.textDim(`  ${symbols.bullet} ${t('runner.ensureInstalled', { command })}`));
-                console.log(colors.textDim(`  ${symbols.bullet} ${t('runner.tryRunning')}`));
-                console.log(colors.textDim(`  ${symbols.bullet} ${t('runner.visitDocs')}\n`));
+                log(colors.warning(`\n${symbols.warning} ${t('runner.troubleshooting')}`));
+                log(colors.textDim(`  ${symbols.bullet} ${t('runner.ensureInstalled', { command })}`));
+                log(colors.textDim(`  ${symbols.bullet} ${t('runner.tryRunning')}`));
+                log(colors.textDim(`  ${symbols.bullet} ${t('runner.visitDocs')}\n`));
             }
 
             cleanup().catch(() => { });
@@ -411,6 +477,85 @@ export const runClaude = async (options = {}) => {
     });
 };
 
+export const HEADLESS_OUTPUT_FORMATS = ['text', 'json', 'stream-json'];
+
+/**
+ * Runs Claude Code non-interactively (`claude -p`) with the same profile,
+ * adapter, MCP and isolation setup as runClaude. The prompt is piped to stdin.
+ * cc-helper's own messages go to stderr, so stdout only carries Claude's output:
+ * 'text' and 'stream-json' are streamed through as they arrive, 'json' is
+ * captured and summarized.
+ * @param {object} options - runClaude options plus:
+ * @param {string} options.prompt - Prompt text
+ * @param {string} [options.outputFormat='text'] - text | json | stream-json
+ * @param {Array<string>} [options.args] - Extra Claude Code flags (--max-turns, --resume, ...)
+ * @param {object} [options.stdout=process.stdout] - Where streamed output is written
+ * @param {Function} [options.log=console.error] - Where cc-helper's status lines go
+ * @returns {Promise<object>} { exitCode, isError, sessionId, profile, result, proxyErrors, claude, error? }
+ *   where `claude` is Claude Code's own JSON result when it printed one
+ */
+export const runClaudeHeadless = async (options = {}) => {
+    const outputFormat = options.outputFormat || 'text';
+    if (!HEADLESS_OUTPUT_FORMATS.includes(outputFormat)) {
+        throw new Error(`Unknown output format "${outputFormat}" (use ${HEADLESS_OUTPUT_FORMATS.join(', ')})`);
+    }
+    const args = ['-p', '--output-format', outputFormat, ...(options.args || [])];
+    if (outputFormat === 'stream-json' && !args.includes('--verbose')) {
+        args.push('--verbose'); // Claude Code requires it for stream-json in print mode
+    }
+
+    let run;
+    try {
+        run = await runClaude({
+            ...options,
+            args,
+            headless: true,
+            log: options.log || console.error,
+            input: options.prompt,
+            onOutput: outputFormat === 'json' ? undefined : chunk => (options.stdout || process.stdout).write(chunk),
+        });
+    } catch (error) {
+        return { exitCode: 1, isError: true, sessionId: null, profile: null, result: null, proxyErrors: null, claude: null, error: error.message };
+    }
+
+    const claude = parseClaudeResult(run.stdout, outputFormat);
+    return {
+        exitCode: run.exitCode,
+        // lastError stays set after a retried request succeeded; consecutiveErrors is reset
+        isError: run.exitCode !== 0 || !!claude?.is_error || run.proxyErrors?.consecutiveErrors > 0,
+        sessionId: claude?.session_id || run.lastSessionId || null,
+        profile: run.profile,
+        result: claude ? claude.result ?? null : (outputFormat === 'text' ? run.stdout : null),
+        proxyErrors: run.proxyErrors,
+        claude,
+    };
+};
+
+// Claude Code's result object: the whole output for json, the `result` event for stream-json
+const parseClaudeResult = (stdout, outputFormat) => {
+    try {
+        if (outputFormat === 'json') return JSON.parse(stdout);
+        if (outputFormat === 'stream-json') {
+            const lines = stdout.split('\n').filter(line => line.trim());
+            return lines.map(line => JSON.parse(line)).reverse().find(event => event.type === 'result') || null;
+        }
+    } catch { }
+    return null;
+};
+
+// One line per session restored before this run; edited files are left for `cchelper recover --force`
+const reportRecoveredSessions = (sessions, log) => {
+    for (const session of sessions) {
+        const modified = session.results.filter(r => r.status === 'modified');
+        if (modified.length === 0) {
+            log(colors.textDim(`${symbols.success} Restored project files left by an interrupted session (${session.id})`));
+        } else {
+            log(colors.warning(`${symbols.warning} An interrupted session (${session.id}) left files that were edited since: ${modified.map(r => path.basename(r.path)).join(', ')}`));
+            log(colors.textDim(`  Run 'cchelper recover --force' to restore the originals.`));
+        }
+    }
+};
+
 export const checkClaudeInstallation = async () => {
     try {
         const result = await execa('claude', ['--version'], { reject: false });
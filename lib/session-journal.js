@@ -0,0 +1,198 @@
+/**
+ * Session Journal - on-disk backups of project files a session changes
+ *
+ * `runClaude` rewrites the project's CLAUDE.local.md (roles, see role-overlay.js)
+ * and .claude/settings.local.json (profile isolation) for the length of a session.
+ * Before the first change each original is copied into
+ * <config dir>/sessions/<id>/ next to a manifest:
+ *   { id, pid, project, startedAt,
+ *     files: [{ path, existed, backup, writtenHash }] }
+ * `writtenHash` is the SHA-256 of what cc-helper last wrote. A session whose
+ * process is gone but whose journal is still there was interrupted (SIGKILL,
+ * closed terminal, power loss); recoverSession() puts the originals back,
+ * skipping files that were edited since cc-helper wrote them unless forced.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './profile.js';
+
+const MANIFEST = 'manifest.json';
+
+export const getJournalDir = () => path.join(getConfigDir(), 'sessions');
+
+/**
+ * Starts the journal of a session. Nothing is written until the first backup().
+ * @param {string} project - Project directory
+ * @returns {object} { id, backup(file), written(file), release(file), restore() }
+ */
+export const openSessionJournal = (project) => {
+    const id = `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+    const dir = path.join(getJournalDir(), id);
+    const manifest = { id, pid: process.pid, project, startedAt: new Date().toISOString(), files: [] };
+    const findEntry = (file) => manifest.files.find(f => f.path === path.resolve(file));
+    let backups = 0;
+
+    return {
+        id,
+
+        /**
+         * Saves the current state of a file before cc-helper first changes it.
+         * Throws when the backup cannot be written, so the caller leaves the file alone.
+         */
+        backup(file) {
+            if (findEntry(file)) return;
+            fs.mkdirSync(dir, { recursive: true, mode: 0o700 });
+            const entry = { path: path.resolve(file), existed: fs.existsSync(file), backup: null, writtenHash: null };
+            if (entry.existed) {
+                entry.backup = `${backups++}.bak`;
+                fs.copyFileSync(file, path.join(dir, entry.backup));
+                fs.chmodSync(path.join(dir, entry.backup), 0o600); // originals may hold API keys
+            }
+            manifest.files.push(entry);
+            writeManifest(dir, manifest);
+        },
+
+        /** Records what cc-helper wrote to a backed-up file */
+        written(file) {
+            const entry = findEntry(file);
+            if (!entry) return;
+            entry.writtenHash = hashFile(entry.path);
+            writeManifest(dir, manifest);
+        },
+
+        /**
+         * Drops a file from the journal once the caller has cleaned it up itself,
+         * e.g. the role block removed from CLAUDE.local.md while the rest stays.
+         */
+        release(file) {
+            const entry = findEntry(file);
+            if (!entry) return;
+            manifest.files = manifest.files.filter(f => f !== entry);
+            if (manifest.files.length === 0) {
+                fs.rmSync(dir, { recursive: true, force: true });
+                return;
+            }
+            if (entry.backup) fs.rmSync(path.join(dir, entry.backup), { force: true });
+            writeManifest(dir, manifest);
+        },
+
+        /** Restores every backed-up file unconditionally and deletes the journal */
+        restore() {
+            if (manifest.files.length === 0) return [];
+            const results = restoreFiles(dir, manifest, { force: true });
+            if (results.every(r => r.status !== 'failed')) {
+                fs.rmSync(dir, { recursive: true, force: true });
+            }
+            return results;
+        },
+    };
+};
+
+/**
+ * Lists journaled sessions.
+ * @returns {Array<object>} Manifests plus `dir` and `active` (the owning process still runs)
+ */
+export const listSessions = () => {
+    let ids;
+    try {
+        ids = fs.readdirSync(getJournalDir());
+    } catch {
+        return [];
+    }
+    const sessions = [];
+    for (const id of ids) {
+        const dir = path.join(getJournalDir(), id);
+        try {
+            const manifest = JSON.parse(fs.readFileSync(path.join(dir, MANIFEST), 'utf8'));
+            sessions.push({ ...manifest, dir, active: isProcessAlive(manifest.pid) });
+        } catch {
+            // not a journal, or one whose manifest was never completed
+        }
+    }
+    return sessions.sort((a, b) => a.startedAt.localeCompare(b.startedAt));
+};
+
+/**
+ * Interrupted sessions: journals whose process has exited.
+ * @param {object} [options]
+ * @param {string} [options.project] - Only sessions of this project directory
+ * @returns {Array<object>}
+ */
+export const findOrphanedSessions = (options = {}) => listSessions()
+    .filter(s => !s.active)
+    .filter(s => !options.project || path.resolve(s.project) === path.resolve(options.project));
+
+/**
+ * Restores the files of an interrupted session. The journal is deleted once
+ * every file is back; files edited after cc-helper wrote them are reported as
+ * `modified` and kept (with the journal) unless `force` is set.
+ * @param {object} session - From listSessions()
+ * @param {object} [options]
+ * @param {boolean} [options.force] - Overwrite files that changed since the session wrote them
+ * @returns {Array<object>} [{ path, status: restored | removed | unchanged | modified | failed, error? }]
+ */
+export const recoverSession = (session, options = {}) => {
+    const results = restoreFiles(session.dir, session, options);
+    if (results.every(r => r.status !== 'modified' && r.status !== 'failed')) {
+        fs.rmSync(session.dir, { recursive: true, force: true });
+    }
+    return results;
+};
+
+/**
+ * Recovers every interrupted session (see recoverSession).
+ * @param {object} [options] - { project?, force? }
+ * @returns {Array<object>} Sessions with their `results`
+ */
+export const recoverOrphanedSessions = (options = {}) =>
+    findOrphanedSessions(options).map(session => ({ ...session, results: recoverSession(session, options) }));
+
+function restoreFiles(dir, manifest, { force = false } = {}) {
+    return manifest.files.map(entry => {
+        const backupPath = entry.backup ? path.join(dir, entry.backup) : null;
+        try {
+            const current = hashFile(entry.path);
+            if (current === (backupPath ? hashFile(backupPath) : null)) {
+                return { path: entry.path, status: 'unchanged' };
+            }
+            if (!force && current !== entry.writtenHash) {
+                return { path: entry.path, status: 'modified' };
+            }
+            if (backupPath) {
+                fs.mkdirSync(path.dirname(entry.path), { recursive: true });
+                fs.copyFileSync(backupPath, entry.path);
+                return { path: entry.path, status: 'restored' };
+            }
+            fs.rmSync(entry.path, { force: true });
+            return { path: entry.path, status: 'removed' };
+        } catch (error) {
+            return { path: entry.path, status: 'failed', error: error.message };
+        }
+    });
+}
+
+// Written to a temporary file and renamed, so a crash never leaves half a manifest
+function writeManifest(dir, manifest) {
+    const file = path.join(dir, MANIFEST);
+    fs.writeFileSync(`${file}.tmp`, JSON.stringify(manifest, null, 2), { mode: 0o600 });
+    fs.renameSync(`${file}.tmp`, file);
+}
+
+function hashFile(file) {
+    try {
+        return crypto.createHash('sha256').update(fs.readFileSync(file)).digest('hex');
+    } catch {
+        return null;
+    }
+}
+
+function isProcessAlive(pid) {
+    try {
+        process.kill(pid, 0);
+        return true;
+    } catch (error) {
+        return error.code === 'EPERM';
+    }
+}
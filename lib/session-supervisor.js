@@ -0,0 +1,158 @@
+/**
+ * Session Supervisor - resumes Claude Code sessions after API failures
+ *
+ * Stored on the profile the session starts with:
+ *   autoResume: { fallback: ['backup', ...], maxAttempts: 3, continue: 'interrupted', delaySeconds: 5 }
+ *     fallback      profiles to switch to, one per attempt; the last one is kept
+ *                   for further attempts (empty: retry on the same profile)
+ *     maxAttempts   relaunches before giving up
+ *     continue      when to send "continue" to the resumed session:
+ *                   'interrupted' (the stream broke mid-answer) | 'always' | 'never'
+ *     delaySeconds  wait before each relaunch
+ * A run counts as an API failure when Claude Code exits non-zero (not by a
+ * signal such as Ctrl+C) and the proxy (adapter or pass-through) recorded an
+ * upstream error that was not followed by a successful request, or a stream
+ * that broke off.
+ * The supervisor relaunches with `--resume <sessionId>` on the next profile, or
+ * starts fresh when Claude Code never created a session.
+ */
+
+import { getActiveProfile } from './profile.js';
+import { runClaude, runClaudeHeadless } from './runner.js';
+import { colors, symbols } from './theme.js';
+
+export const AUTO_RESUME_CONTINUE = ['interrupted', 'always', 'never'];
+export const CONTINUE_PROMPT = 'continue';
+
+const DEFAULT_POLICY = { fallback: [], maxAttempts: 3, continue: 'interrupted', delaySeconds: 5 };
+
+// What a shell reports when its child was stopped by SIGINT or SIGTERM (128 + signal number)
+const SIGNAL_EXIT_CODES = [130, 143];
+
+/**
+ * Fills in defaults and checks a policy.
+ * @param {object} policy - Profile `autoResume`
+ * @returns {object} Complete policy
+ * @throws {Error} On invalid values
+ */
+export const normalizeAutoResumePolicy = (policy) => {
+    const normalized = { ...DEFAULT_POLICY, ...policy };
+    if (!Array.isArray(normalized.fallback) || normalized.fallback.some(name => typeof name !== 'string' || !name)) {
+        throw new Error('autoResume.fallback must be a list of profile names');
+    }
+    if (!Number.isInteger(normalized.maxAttempts) || normalized.maxAttempts < 1) {
+        throw new Error('autoResume.maxAttempts must be a positive integer');
+    }
+    if (!AUTO_RESUME_CONTINUE.includes(normalized.continue)) {
+        throw new Error(`autoResume.continue must be one of ${AUTO_RESUME_CONTINUE.join(', ')}`);
+    }
+    if (!(Number.isFinite(normalized.delaySeconds) && normalized.delaySeconds >= 0)) {
+        throw new Error('autoResume.delaySeconds must be a number of seconds');
+    }
+    return normalized;
+};
+
+/**
+ * Human-readable policy, e.g. "3 attempt(s) via backup → spare, continue if interrupted, 5s delay".
+ */
+export const describeAutoResumePolicy = (policy) => {
+    const p = normalizeAutoResumePolicy(policy);
+    const via = p.fallback.length > 0 ? `via ${p.fallback.join(' → ')}` : 'on the same profile';
+    const cont = { interrupted: 'continue if interrupted', always: 'always continue', never: 'never continue' }[p.continue];
+    return `${p.maxAttempts} attempt(s) ${via}, ${cont}, ${p.delaySeconds}s delay`;
+};
+
+/**
+ * Whether a run ended because of the upstream API. `lastError` stays set for
+ * the rest of a session, so only an error still unresolved at exit
+ * (`consecutiveErrors`) or an interrupted stream counts.
+ * @param {object} result - From runClaude() or runClaudeHeadless()
+ */
+export const isApiFailure = (result) => {
+    const stoppedBySignal = result.exitCode === null || !!result.signal || SIGNAL_EXIT_CODES.includes(result.exitCode);
+    if (result.exitCode === 0 || stoppedBySignal) return false;
+    const errors = result.proxyErrors;
+    return !!errors?.lastError && (errors.consecutiveErrors > 0 || !!errors.isStreamInterrupted);
+};
+
+/**
+ * Runs Claude Code and relaunches it after API failures as the policy says.
+ * @param {object} launchOptions - runClaude (or runClaudeHeadless) options
+ * @param {object} options
+ * @param {object} options.policy - autoResume policy
+ * @param {boolean} [options.headless] - Use runClaudeHeadless; the resumed session always gets the continue prompt
+ * @param {Function} [options.run] - Replaces runClaude/runClaudeHeadless (tests)
+ * @param {Function} [options.log] - Progress messages (default: warnings on stdout)
+ * @param {Function} [options.sleep] - Waits the given milliseconds
+ * @returns {Promise<object>} { result, attempts: [{ profile, exitCode, sessionId, error }], gaveUp }
+ *   where `gaveUp` is set when the last run still failed
+ */
+export const superviseClaude = async (launchOptions, options) => {
+    const policy = normalizeAutoResumePolicy(options.policy);
+    const run = options.run || (options.headless ? runClaudeHeadless : runClaude);
+    const log = options.log || (message => console.log(colors.warning(`${symbols.warning} ${message}`)));
+    const sleep = options.sleep || (ms => new Promise(resolve => setTimeout(resolve, ms)));
+    const fallback = policy.fallback.filter(name => {
+        if (getActiveProfile(name)) return true;
+        log(`Auto-resume: fallback profile "${name}" does not exist, skipping it`);
+        return false;
+    });
+
+    let current = { ...launchOptions };
+    let result = await run(current);
+    const attempts = [describeAttempt(current, result)];
+
+    for (let attempt = 1; attempt <= policy.maxAttempts && isApiFailure(result); attempt++) {
+        const profile = fallback[Math.min(attempt, fallback.length) - 1] ?? current.sessionProfileName;
+        const sessionId = result.sessionId ?? result.lastSessionId ?? null;
+        const error = result.proxyErrors.lastError;
+        const sendContinue = policy.continue === 'always'
+            || (policy.continue === 'interrupted' && result.proxyErrors.isStreamInterrupted);
+
+        current = { ...launchOptions, sessionProfileName: profile, args: withoutResumeArgs(launchOptions.args) };
+        if (profile !== launchOptions.sessionProfileName) {
+            // Model names are provider-specific; the fallback profile's defaults apply
+            delete current.opusModel;
+            delete current.sonnetModel;
+        }
+        if (sessionId) {
+            current.args.push('--resume', sessionId);
+            if (options.headless) {
+                current.prompt = CONTINUE_PROMPT; // print mode needs a prompt
+            } else if (sendContinue) {
+                current.args.push(CONTINUE_PROMPT);
+            }
+        }
+
+        const reason = ['API error', error.statusCode, error.errorType].filter(Boolean).join(' ');
+        const next = sessionId ? `resuming session ${sessionId}` : 'starting a new session';
+        log(`Auto-resume ${attempt}/${policy.maxAttempts}: ${reason}, ${next} on ${profile ? `profile "${profile}"` : 'the active profile'}`);
+        await sleep(policy.delaySeconds * 1000);
+        result = await run(current);
+        attempts.push(describeAttempt(current, result));
+    }
+
+    return { result, attempts, gaveUp: isApiFailure(result) };
+};
+
+function describeAttempt(options, result) {
+    return {
+        profile: options.sessionProfileName ?? null,
+        exitCode: result.exitCode,
+        sessionId: result.sessionId ?? result.lastSessionId ?? null,
+        error: result.proxyErrors?.lastError ?? null,
+    };
+}
+
+// Drops --resume <id>, --continue and -c so the relaunch picks the session itself
+function withoutResumeArgs(args = []) {
+    const kept = [];
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--resume' || args[i] === '-r') {
+            i++;
+        } else if (args[i] !== '--continue' && args[i] !== '-c') {
+            kept.push(args[i]);
+        }
+    }
+    return kept;
+}
@@ -50,6 +50,17 @@ function isYoloActive() {
     try { return _fs.existsSync(YOLO_BACKUP); } catch { return false; }
 }
 
+// --- Budget Warnings (written by the cchelper adapter proxy, keyed by project dir) ---
+const BUDGET_STATE = _path.join(process.env.HOME || process.env.USERPROFILE || '', '.claude', '.cchelper-budget.json');
+function budgetWarning(data) {
+    try {
+        const state = JSON.parse(_fs.readFileSync(BUDGET_STATE, 'utf8'));
+        const dir = data?.workspace?.project_dir || data?.workspace?.current_dir || data?.cwd;
+        const entry = dir ? state[dir] : null;
+        return entry && entry.until > Date.now() ? entry : null;
+    } catch { return null; }
+}
+
 // --- Helpers ---
 function formatNum(n) {
     if (n == null || isNaN(n)) return '0';
@@ -91,6 +102,7 @@ function buildStatusLine(data) {
     const totalIn = ctx.total_input_tokens || 0;
     const totalOut = ctx.total_output_tokens || 0;
     const usedPct = ctx.used_percentage || 0;
+    const budget = budgetWarning(data);
 
     const sep = `${palette.sep} ${SEP} ${RESET}`;
 
@@ -105,6 +117,8 @@ function buildStatusLine(data) {
         `${palette.label}Out${RESET} ${palette.outputTk}${formatNum(totalOut)}${RESET}`,
         // Cost
         `${palette.cost}$${formatCost(cost)}${RESET}`,
+        // Budget soft (yellow) / hard (red) limit
+        ...(budget ? [`${bold}${budget.level === 'hard' ? palette.ctxHigh : palette.ctxMid}BUDGET${RESET} ${palette.label}${budget.label}${RESET}`] : []),
         // Context progress bar
         `${palette.label}Ctx${RESET} ${progressBar(usedPct)} ${ctxColor(usedPct)}${Math.round(usedPct)}%${RESET}`,
     ];
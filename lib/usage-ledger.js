@@ -0,0 +1,188 @@
+/**
+ * Usage Ledger - persistent record of responses served through the adapter proxy
+ *
+ * One JSONL file per month in <config dir>/usage/YYYY-MM.jsonl, one line per
+ * /v1/messages response:
+ *   { ts, profile, project, session, model, upstreamModel, upstream, status,
+ *     stream, latencyMs, inputTokens, outputTokens, cacheReadTokens,
+ *     cacheWriteTokens, cost }
+ * `cost` (USD) is computed from model-prices.js when the line is written, so
+ * later price changes do not rewrite history; it is null for unpriced models.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { getConfigDir } from './profile.js';
+import { computeCost, findModelPrice } from './model-prices.js';
+
+export const USAGE_PERIODS = ['daily', 'weekly', 'monthly'];
+export const USAGE_DIMENSIONS = ['model', 'profile', 'project', 'session', 'upstream'];
+
+export const getLedgerDir = () => path.join(getConfigDir(), 'usage');
+
+/**
+ * Appends one response to the ledger. Never throws: accounting must not break the proxy.
+ * @param {object} entry - { profile, project, session, model, upstreamModel, upstream, status, stream, latencyMs, usage }
+ * @param {object} [options]
+ * @param {Array<object>} [options.prices] - Profile price overrides (see model-prices.js)
+ * @returns {object|null} The written line
+ */
+export const recordUsage = (entry, options = {}) => {
+    const usage = entry.usage || {};
+    const price = findModelPrice(entry.upstreamModel || entry.model, options.prices);
+    const now = new Date();
+    const line = {
+        ts: now.toISOString(),
+        profile: entry.profile || null,
+        project: entry.project || null,
+        session: entry.session || null,
+        model: entry.model || null,
+        upstreamModel: entry.upstreamModel || null,
+        upstream: entry.upstream || null,
+        status: entry.status,
+        stream: !!entry.stream,
+        latencyMs: entry.latencyMs ?? null,
+        inputTokens: usage.input_tokens || 0,
+        outputTokens: usage.output_tokens || 0,
+        cacheReadTokens: usage.cache_read_input_tokens || 0,
+        cacheWriteTokens: usage.cache_creation_input_tokens || 0,
+        cost: entry.usage ? computeCost(usage, price) : 0,
+    };
+    try {
+        const dir = getLedgerDir();
+        fs.mkdirSync(dir, { recursive: true });
+        fs.appendFileSync(path.join(dir, `${monthKey(now)}.jsonl`), JSON.stringify(line) + '\n', 'utf8');
+        return line;
+    } catch {
+        return null;
+    }
+};
+
+/**
+ * Reads ledger lines, oldest first.
+ * @param {object} [filter]
+ * @param {Date} [filter.since] - Inclusive start
+ * @param {Date} [filter.until] - Exclusive end
+ * @returns {Array<object>}
+ */
+export const readUsage = (filter = {}) => {
+    const dir = getLedgerDir();
+    if (!fs.existsSync(dir)) return [];
+
+    const sinceMonth = filter.since ? monthKey(filter.since) : null;
+    const untilMonth = filter.until ? monthKey(filter.until) : null;
+    const files = fs.readdirSync(dir)
+        .filter(f => /^\d{4}-\d{2}\.jsonl$/.test(f))
+        .filter(f => {
+            const month = f.slice(0, 7);
+            return (!sinceMonth || month >= sinceMonth) && (!untilMonth || month <= untilMonth);
+        })
+        .sort();
+
+    const entries = [];
+    for (const file of files) {
+        for (const text of fs.readFileSync(path.join(dir, file), 'utf8').split('\n')) {
+            if (!text.trim()) continue;
+            let entry;
+            try {
+                entry = JSON.parse(text);
+            } catch {
+                continue;
+            }
+            const ts = new Date(entry.ts);
+            if (filter.since && ts < filter.since) continue;
+            if (filter.until && ts >= filter.until) continue;
+            entries.push(entry);
+        }
+    }
+    return entries;
+};
+
+/**
+ * Groups ledger lines by period and one dimension.
+ * @param {Array<object>} entries - From readUsage
+ * @param {object} [options]
+ * @param {string} [options.period] - 'daily' | 'weekly' | 'monthly'
+ * @param {string} [options.by] - One of USAGE_DIMENSIONS
+ * @returns {Array<object>} Rows sorted by period then cost:
+ *   { period, key, requests, errors, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens, cost, unpriced, avgLatencyMs }
+ */
+export const summarizeUsage = (entries, options = {}) => {
+    const period = options.period || 'daily';
+    const by = options.by || 'model';
+    const groups = new Map();
+
+    for (const entry of entries) {
+        const periodLabel = periodKey(new Date(entry.ts), period);
+        const key = (by === 'model' ? entry.upstreamModel || entry.model : entry[by]) || '(unknown)';
+        const id = `${periodLabel}\u0000${key}`;
+        let row = groups.get(id);
+        if (!row) {
+            row = {
+                period: periodLabel,
+                key,
+                requests: 0,
+                errors: 0,
+                inputTokens: 0,
+                outputTokens: 0,
+                cacheReadTokens: 0,
+                cacheWriteTokens: 0,
+                cost: 0,
+                unpriced: 0,
+                latencyTotal: 0,
+            };
+            groups.set(id, row);
+        }
+        row.requests++;
+        if (entry.status !== 200) row.errors++;
+        row.inputTokens += entry.inputTokens || 0;
+        row.outputTokens += entry.outputTokens || 0;
+        row.cacheReadTokens += entry.cacheReadTokens || 0;
+        row.cacheWriteTokens += entry.cacheWriteTokens || 0;
+        if (entry.cost === null || entry.cost === undefined) row.unpriced++;
+        else row.cost += entry.cost;
+        row.latencyTotal += entry.latencyMs || 0;
+    }
+
+    return [...groups.values()]
+        .map(({ latencyTotal, ...row }) => ({
+            ...row,
+            cost: Math.round(row.cost * 1e6) / 1e6,
+            avgLatencyMs: row.requests ? Math.round(latencyTotal / row.requests) : 0,
+        }))
+        .sort((a, b) => a.period.localeCompare(b.period) || b.cost - a.cost);
+};
+
+/**
+ * Formats summary rows as CSV (header line included).
+ * @param {Array<object>} rows - From summarizeUsage
+ * @returns {string}
+ */
+export const usageToCsv = (rows) => {
+    if (rows.length === 0) return '';
+    const columns = Object.keys(rows[0]);
+    const cell = (value) => {
+        const text = value === null || value === undefined ? '' : String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+    return [columns.join(','), ...rows.map(row => columns.map(c => cell(row[c])).join(','))].join('\n') + '\n';
+};
+
+/**
+ * Label of the period a date falls in (local time): YYYY-MM-DD, ISO week YYYY-Www, or YYYY-MM.
+ */
+export const periodKey = (date, period) => {
+    if (period === 'monthly') return monthKey(date);
+    if (period === 'weekly') {
+        // ISO 8601 week: the week with the year's first Thursday is week 1
+        const day = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+        const weekday = (day.getDay() + 6) % 7;
+        day.setDate(day.getDate() - weekday + 3);
+        const firstThursday = new Date(day.getFullYear(), 0, 4);
+        const week = 1 + Math.round(((day - firstThursday) / 86400000 - 3 + (firstThursday.getDay() + 6) % 7) / 7);
+        return `${day.getFullYear()}-W${String(week).padStart(2, '0')}`;
+    }
+    return `${monthKey(date)}-${String(date.getDate()).padStart(2, '0')}`;
+};
+
+const monthKey = (date) => `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}`;
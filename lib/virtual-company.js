@@ -15,7 +15,7 @@ import { planCompany, planCompanyFromPreset, getTaskTypePresets, toSwarmIdeForma
 import { generateAllPrompts } from './role-prompt-writer.js';
 import * as storage from './virtual-company-storage.js';
 import * as runtime from './virtual-company-runtime.js';
-import { startServer, stopServer } from './web-server.js';
+import { createLoginLink, startServer, stopServer } from './web-server.js';
 
 /**
  * 虚拟公司主菜单
@@ -644,8 +644,9 @@ async function openWebUI() {
     try {
         // 1. 启动后端 API 服务器
         console.log(chalk.yellow(`  📡 Starting backend API server...`));
-        const { port: backendPort, url: backendUrl } = await startServer();
+        const { port: backendPort, url: backendUrl, token: backendToken } = await startServer();
         console.log(chalk.green(`  ${symbols.success} Backend API running at ${backendUrl}`));
+        console.log(chalk.gray(`  API token (send as Authorization: Bearer): ${backendToken}`));
 
         // 2. 检查并启动 Next.js 前端
         const fs = await import('fs');
@@ -696,14 +697,21 @@ async function openWebUI() {
             cwd: webNextPath,
             stdio: 'pipe',
             shell: true,
+            // 后端地址；浏览器端代码用 NEXT_PUBLIC_ 版本。令牌不经过前端，由登录链接写入 Cookie（见下文）
+            env: { ...process.env, CCHELPER_API_URL: backendUrl, NEXT_PUBLIC_CCHELPER_API_URL: backendUrl },
         });
 
-        let frontendUrl = 'http://localhost:3017';
+        // 前端与后端都用 127.0.0.1，令牌 Cookie（SameSite=Strict）才会随 API 请求发送
+        let frontendUrl = 'http://127.0.0.1:3000';
         let serverReady = false;
 
-        // 监听输出，等待服务器启动
+        // 监听输出，等待服务器启动，并从 "Local: http://localhost:3000" 读取实际端口
         nextProcess.stdout.on('data', (data) => {
             const output = data.toString();
+            const local = /https?:\/\/(?:localhost|127\.0\.0\.1|\[::1\]):(\d+)/.exec(output);
+            if (local) {
+                frontendUrl = `http://127.0.0.1:${local[1]}`;
+            }
             if (output.includes('Ready') || output.includes('started server')) {
                 serverReady = true;
             }
@@ -729,12 +737,13 @@ async function openWebUI() {
         console.log(chalk.green(`  ${symbols.success} ${t('virtualCompany.webUIReady', { url: frontendUrl })}`));
         console.log(chalk.cyan(`  ${t('virtualCompany.webUIOpening')}\n`));
 
-        // 4. 打开浏览器
+        // 4. 打开浏览器：一次性登录链接写入令牌 Cookie 后跳转到前端
+        const loginUrl = createLoginLink(frontendUrl);
         try {
             const open = (await import('open')).default;
-            await open(frontendUrl);
+            await open(loginUrl);
         } catch (e) {
-            console.log(chalk.yellow(`  Please open ${frontendUrl} in your browser.\n`));
+            console.log(chalk.yellow(`  Please open ${loginUrl} in your browser within a minute.\n`));
         }
 
         // 5. 等待用户按回车返回
@@ -6,6 +6,7 @@
  * Why it's good: 无需额外依赖，使用 Node.js 内置模块
  */
 
+import crypto from 'crypto';
 import http from 'http';
 import fs from 'fs';
 import path from 'path';
@@ -37,6 +38,17 @@ const MIME_TYPES = {
 // SSE 客户端列表
 const sseClients = new Set();
 
+// 每次启动生成的 API 令牌；除 /api/health 外的 API 请求都必须携带
+let apiToken = null;
+const TOKEN_COOKIE = 'cchelper_token';
+
+// 一次性登录码 -> { expiresAt, redirect }；浏览器凭它换取令牌 Cookie（见 createLoginLink）
+const loginCodes = new Map();
+const LOGIN_CODE_TTL_MS = 60 * 1000;
+
+// 可以跨域调用 API 的 Web UI origin（createLoginLink 跳转的前端），精确匹配
+let frontendOrigin = null;
+
 /**
  * 发送 SSE 事件到所有客户端
  */
@@ -92,7 +104,6 @@ async function parseBody(req) {
 function sendJson(res, data, status = 200) {
     res.writeHead(status, {
         'Content-Type': 'application/json; charset=utf-8',
-        'Access-Control-Allow-Origin': '*',
     });
     res.end(JSON.stringify(data));
 }
@@ -208,7 +219,6 @@ async function handleApi(req, res, pathname) {
                 'Content-Type': 'text/event-stream',
                 'Cache-Control': 'no-cache',
                 'Connection': 'keep-alive',
-                'Access-Control-Allow-Origin': '*',
             });
             sseClients.add(res);
             req.on('close', () => sseClients.delete(res));
@@ -317,7 +327,6 @@ async function handleApi(req, res, pathname) {
                 'Content-Type': 'text/event-stream',
                 'Cache-Control': 'no-cache',
                 'Connection': 'keep-alive',
-                'Access-Control-Allow-Origin': '*',
             });
             sseClients.add(res);
             req.on('close', () => sseClients.delete(res));
@@ -424,16 +433,70 @@ function handleStatic(req, res, pathname) {
     });
 }
 
+/**
+ * 是否为本机地址（localhost / 127.0.0.1 / [::1]，端口任意）
+ */
+function isLoopbackHost(host) {
+    if (!host) return false;
+    try {
+        const { hostname } = new URL(`http://${host}`);
+        return hostname === 'localhost' || hostname === '127.0.0.1' || hostname === '[::1]';
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * 只允许同源页面和登录链接跳转的前端访问；没有 Origin 的请求（curl、同源导航）放行。
+ * 本机其它端口的页面与前端同站，会带上 SameSite Cookie，所以不能按 localhost 整体放行。
+ */
+function isAllowedOrigin(origin, host) {
+    if (!origin) return true;
+    if (origin === frontendOrigin) return true;
+    try {
+        const url = new URL(origin);
+        return url.protocol === 'http:' && url.host === host;
+    } catch {
+        return false; // 包括 "null"（file:// 或沙箱 iframe）
+    }
+}
+
+/**
+ * 检查 API 令牌：Authorization: Bearer、X-CCHelper-Token 头、?token=（EventSource 无法设置请求头）或 Cookie
+ */
+function isAuthorized(req, url) {
+    const bearer = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || '')?.[1];
+    const cookie = (req.headers.cookie || '').split(';')
+        .map(c => c.trim())
+        .find(c => c.startsWith(`${TOKEN_COOKIE}=`))
+        ?.slice(TOKEN_COOKIE.length + 1);
+    const given = Buffer.from(bearer || req.headers['x-cchelper-token'] || url.searchParams.get('token') || cookie || '');
+    const expected = Buffer.from(apiToken || '');
+    return expected.length > 0 && given.length === expected.length && crypto.timingSafeEqual(given, expected);
+}
+
 /**
  * 请求处理器
  */
 function requestHandler(req, res) {
+    // Host 检查防止 DNS rebinding，Origin 检查防止其它网站调用 API
+    const origin = req.headers.origin;
+    if (!isLoopbackHost(req.headers.host) || !isAllowedOrigin(origin, req.headers.host)) {
+        res.writeHead(403, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Forbidden');
+        return;
+    }
+    if (origin) {
+        res.setHeader('Access-Control-Allow-Origin', origin);
+        res.setHeader('Access-Control-Allow-Credentials', 'true');
+        res.setHeader('Vary', 'Origin');
+    }
+
     // CORS 预检
     if (req.method === 'OPTIONS') {
         res.writeHead(204, {
-            'Access-Control-Allow-Origin': '*',
             'Access-Control-Allow-Methods': 'GET, POST, PUT, DELETE, OPTIONS',
-            'Access-Control-Allow-Headers': 'Content-Type',
+            'Access-Control-Allow-Headers': 'Content-Type, Authorization, X-CCHelper-Token',
         });
         res.end();
         return;
@@ -442,25 +505,58 @@ function requestHandler(req, res) {
     const url = new URL(req.url, `http://${req.headers.host}`);
     const pathname = url.pathname;
 
-    if (pathname.startsWith('/api/')) {
+    if (pathname === '/auth/login') {
+        handleLogin(res, url);
+    } else if (pathname.startsWith('/api/')) {
+        if (pathname !== '/api/health' && !isAuthorized(req, url)) {
+            sendError(res, 'Missing or invalid cc-helper API token', 401);
+            return;
+        }
         handleApi(req, res, pathname);
     } else {
+        // 用 ?token= 打开页面时写入 Cookie，内置页面之后的 API 请求自动带上令牌
+        if (url.searchParams.has('token') && isAuthorized(req, url)) {
+            res.setHeader('Set-Cookie', `${TOKEN_COOKIE}=${apiToken}; HttpOnly; SameSite=Strict; Path=/`);
+        }
         handleStatic(req, res, pathname);
     }
 }
 
+/**
+ * 用一次性登录码写入令牌 Cookie，然后跳转到登录链接指定的页面
+ */
+function handleLogin(res, url) {
+    const code = url.searchParams.get('code') || '';
+    const login = loginCodes.get(code);
+    loginCodes.delete(code);
+    if (!login || login.expiresAt < Date.now()) {
+        res.writeHead(401, { 'Content-Type': 'text/plain; charset=utf-8' });
+        res.end('Login link expired or already used. Reopen the web UI from cc-helper.');
+        return;
+    }
+    res.writeHead(302, {
+        'Set-Cookie': `${TOKEN_COOKIE}=${apiToken}; HttpOnly; SameSite=Strict; Path=/`,
+        'Location': login.redirect,
+        'Cache-Control': 'no-store',
+    });
+    res.end();
+}
+
 let server = null;
 
 /**
- * 启动 Web 服务器
+ * 启动 Web 服务器（只监听 127.0.0.1）
+ * @returns {Promise<{ port: number, url: string, token: string }>} token 为本次启动的 API 令牌
  */
 export function startServer(port = 3017) {
     return new Promise((resolve, reject) => {
         if (server) {
-            resolve({ port, url: `http://localhost:${port}` });
+            const actualPort = server.address()?.port || port;
+            resolve({ port: actualPort, url: `http://127.0.0.1:${actualPort}`, token: apiToken });
             return;
         }
 
+        apiToken = crypto.randomBytes(24).toString('hex');
         server = http.createServer(requestHandler);
 
         server.on('error', (err) => {
@@ -473,13 +569,39 @@ export function startServer(port = 3017) {
             }
         });
 
-        server.listen(port, () => {
-            console.log(`Web server running at http://localhost:${port}`);
-            resolve({ port, url: `http://localhost:${port}` });
+        server.listen(port, '127.0.0.1', () => {
+            const actualPort = server.address().port;
+            console.log(`Web server running at http://127.0.0.1:${actualPort}`);
+            resolve({ port: actualPort, url: `http://127.0.0.1:${actualPort}`, token: apiToken });
         });
     });
 }
 
+/**
+ * 生成一次性登录链接，交给浏览器打开：后端写入 HttpOnly 令牌 Cookie 后跳转到 Web UI，
+ * 令牌本身不出现在前端代码、URL 或浏览器历史里。链接 60 秒内有效，只能用一次。
+ * 前端与后端都在 127.0.0.1 上（端口不同也算同站），请求 API 时带上
+ * `credentials: 'include'` 即可携带该 Cookie。
+ * @param {string} [redirect='/'] - 登录后打开的页面；完整 URL（如 Next.js 前端地址）的 origin
+ *   同时成为唯一允许跨域调用 API 的 origin
+ * @returns {string} 登录链接
+ */
+export function createLoginLink(redirect = '/') {
+    if (!server) {
+        throw new Error('Web server is not running');
+    }
+    const now = Date.now();
+    for (const [code, login] of loginCodes) {
+        if (login.expiresAt < now) loginCodes.delete(code);
+    }
+    if (/^https?:\/\//.test(redirect)) {
+        frontendOrigin = new URL(redirect).origin;
+    }
+    const code = crypto.randomBytes(24).toString('hex');
+    loginCodes.set(code, { expiresAt: now + LOGIN_CODE_TTL_MS, redirect });
+    return `http://127.0.0.1:${server.address().port}/auth/login?code=${code}`;
+}
+
 /**
  * 停止 Web 服务器
  */
@@ -488,6 +610,9 @@ export function stopServer() {
         if (server) {
             server.close(() => {
                 server = null;
+                apiToken = null;
+                loginCodes.clear();
+                frontendOrigin = null;
                 resolve();
             });
         } else {
@@ -496,4 +621,4 @@ export function stopServer() {
     });
 }
 
-export default { startServer, stopServer, broadcastEvent };
+export default { startServer, stopServer, broadcastEvent, createLoginLink };
@@ -3,7 +3,10 @@ import fs from 'fs';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import { getActiveProfile, getProfileFormat, ensureProfileFormat, queryAvailableOpusModels, cleanApiEnvFromSettings } from './profile.js';
-import { startOpenAIProxy, resetProxyErrorState } from './adapter-proxy.js';
+import { startOpenAIProxy, startAnthropicPassthroughProxy, isAdapterFormat, resetProxyErrorState, proxyConfigFromProfile, createProxyToken } from './adapter-proxy.js';
+import { connectProxyDaemon } from './adapter-daemon.js';
+import { openSessionJournal } from './session-journal.js';
+import { normalizeRoles, loadRoles, writeRoleOverlay, removeRoleOverlay } from './role-overlay.js';
 import { t } from './i18n.js';
 import { colors, symbols, divider } from './theme.js';
 import os from 'os';
@@ -98,6 +101,25 @@ export const ensureYoloImage = () => {
     }
 };
 
+// --- Role Injection ---
+
+const injectRoles = (projectDir, role, journal) => {
+    const roles = normalizeRoles(role);
+    if (roles.length === 0) return;
+    try {
+        const { loaded, missing } = loadRoles(roles);
+        for (const rolePath of missing) {
+            console.log(colors.warning(`${symbols.warning} Role file not found: ${rolePath}`));
+        }
+        if (loaded.length > 0) {
+            writeRoleOverlay(projectDir, loaded, { journal });
+            console.log(colors.textDim(`${symbols.success} Role loaded: ${loaded.map(r => r.name).join(', ')}`));
+        }
+    } catch (e) {
+        console.log(colors.warning(`${symbols.warning} Failed to inject role: ${e.message}`));
+    }
+};
+
 // --- Docker YOLO ---
 
 export const runYoloDocker = (projectPath, role, options = {}) => {
@@ -132,26 +154,9 @@ export const runYoloDocker = (projectPath, role, options = {}) => {
     // Ensure statusline is configured (for host-side config, Docker will use its own)
     ensureStatusLine();
 
-    // Inject CLAUDE.md for role (backup & restore for docker since it mounts original dir)
-    const claudeMdPath = path.join(projectPath, 'CLAUDE.md');
-    let backupClaudeMd = null;
-    let tempClaudeMdCreated = false;
-
-    if (role && role !== 'default') {
-        try {
-            if (fs.existsSync(role)) {
-                const roleContent = fs.readFileSync(role, 'utf8');
-                if (fs.existsSync(claudeMdPath)) {
-                    backupClaudeMd = fs.readFileSync(claudeMdPath, 'utf8');
-                }
-                fs.writeFileSync(claudeMdPath, roleContent);
-                tempClaudeMdCreated = true;
-                console.log(colors.textDim(`${symbols.success} Role loaded: ${path.basename(role)}`));
-            }
-        } catch (e) {
-            console.log(colors.warning(`${symbols.warning} Failed to inject role: ${e.message}`));
-        }
-    }
+    // Add the role to CLAUDE.local.md (journaled for docker since it mounts original dir)
+    const journal = openSessionJournal(projectPath);
+    injectRoles(projectPath, role, journal);
 
     console.log(colors.primary(`\n${symbols.arrowRight} ${t('yolo.startingDocker')}\n`));
     console.log(divider(50) + '\n');
@@ -166,31 +171,17 @@ export const runYoloDocker = (projectPath, role, options = {}) => {
             console.log('\n' + divider(50));
             console.log(colors.primary(`\n${symbols.success} ${t('yolo.sessionDone')}\n`));
 
-            // Restore CLAUDE.md
-            if (tempClaudeMdCreated) {
-                try {
-                    if (backupClaudeMd !== null) {
-                        fs.writeFileSync(claudeMdPath, backupClaudeMd);
-                    } else {
-                        fs.unlinkSync(claudeMdPath);
-                    }
-                } catch { }
-            }
+            // Remove the role block from CLAUDE.local.md
+            try { removeRoleOverlay(projectPath, { journal }); } catch { }
+            try { journal.restore(); } catch { }
 
             resolve({ exitCode: code, sandboxPath: null });
         });
 
         proc.on('error', (err) => {
-            // Restore CLAUDE.md on error too
-            if (tempClaudeMdCreated) {
-                try {
-                    if (backupClaudeMd !== null) {
-                        fs.writeFileSync(claudeMdPath, backupClaudeMd);
-                    } else {
-                        fs.unlinkSync(claudeMdPath);
-                    }
-                } catch { }
-            }
+            // Remove the role block on error too
+            try { removeRoleOverlay(projectPath, { journal }); } catch { }
+            try { journal.restore(); } catch { }
             console.log(colors.error(`${symbols.error} Docker error: ${err.message}`));
             reject(err);
         });
@@ -239,41 +230,45 @@ export const runYoloTempDir = async (projectPath, role, options = {}) => {
     }
     console.log(colors.textDim(`${symbols.success} ${t('yolo.copyDone', { path: tempDir })}\n`));
 
-    // Inject CLAUDE.md for role (in tempDir, no need to restore since it's a copy)
-    if (role && role !== 'default') {
-        try {
-            if (fs.existsSync(role)) {
-                const roleContent = fs.readFileSync(role, 'utf8');
-                const claudeMdPath = path.join(tempDir, 'CLAUDE.md');
-                fs.writeFileSync(claudeMdPath, roleContent);
-                console.log(colors.textDim(`${symbols.success} Role loaded: ${path.basename(role)}`));
-            }
-        } catch (e) {
-            console.log(colors.warning(`${symbols.warning} Failed to inject role: ${e.message}`));
-        }
-    }
+    // Add the role to CLAUDE.local.md in tempDir; taken out again before the sandbox can be merged back
+    injectRoles(tempDir, role);
 
     // Build environment
     const env = { ...process.env };
     let proxyServer = null;
     let proxyUrl = null;
+    let daemonSession = null;
+    let proxyToken = null; // session token Claude Code sends to a local proxy instead of the profile key
 
     if (profile?.url) {
         const format = await ensureProfileFormat(profile);
         const isOfficialAnthropic = profile.url.includes('api.anthropic.com');
-        const isOpenAICompat = (format === 'openai-compat');
+        const needsAdapter = isAdapterFormat(format);
 
-        if (isOpenAICompat) {
-            // OpenAI-compatible endpoint: start adapter proxy
-            console.log(colors.textDim('Detected OpenAI-compatible Endpoint. Starting Adapter Proxy...'));
+        // Reuse the shared proxy daemon when one is running
+        if (needsAdapter || profile.passthrough) {
+            daemonSession = await connectProxyDaemon({ profile: profile.name, format, project: projectPath });
+        }
+
+        if (daemonSession) {
+            proxyUrl = daemonSession.url;
+            proxyToken = daemonSession.token;
+            env['CLAUDE_BASE_URL'] = daemonSession.url;
+            env['ANTHROPIC_BASE_URL'] = daemonSession.url;
+            console.log(colors.success(`Using proxy daemon (${daemonSession.mode}) at ${daemonSession.url} -> ${profile.url}`));
+        } else if (needsAdapter) {
+            // Non-Anthropic endpoint: start adapter proxy
+            console.log(colors.textDim(`Detected ${format} endpoint. Starting Adapter Proxy...`));
             try {
+                const authToken = createProxyToken();
                 const { url, server } = await startOpenAIProxy({
-                    targetUrl: profile.url,
-                    apiKey: profile.key || '',
+                    ...proxyConfigFromProfile(profile, { format, project: projectPath }),
+                    authToken,
                     port: 0
                 });
                 proxyServer = server;
                 proxyUrl = url;
+                proxyToken = authToken;
                 env['CLAUDE_BASE_URL'] = url;
                 env['ANTHROPIC_BASE_URL'] = url;
                 console.log(colors.success(`Adapter running at ${url} -> ${profile.url}`));
@@ -281,6 +276,26 @@ export const runYoloTempDir = async (projectPath, role, options = {}) => {
                 console.error('Failed to start adapter:', e.message);
             }
             // REMOVED: env['OPENAI_BASE_URL'] = profile.url; (to avoid affecting Codex CLI)
+        } else if (profile.passthrough) {
+            // Anthropic format through the pass-through proxy (error and usage tracking)
+            try {
+                const authToken = createProxyToken();
+                const { url, server } = await startAnthropicPassthroughProxy({
+                    ...proxyConfigFromProfile(profile, { format, project: projectPath }),
+                    authToken,
+                    port: 0
+                });
+                proxyServer = server;
+                proxyUrl = url;
+                proxyToken = authToken;
+                env['CLAUDE_BASE_URL'] = url;
+                env['ANTHROPIC_BASE_URL'] = url;
+                console.log(colors.success(`Pass-through proxy running at ${url} -> ${profile.url}`));
+            } catch (e) {
+                console.error('Failed to start pass-through proxy:', e.message);
+                env['CLAUDE_BASE_URL'] = profile.url;
+                env['ANTHROPIC_BASE_URL'] = profile.url;
+            }
         } else {
             // Anthropic format (official or third-party): direct connect
             env['CLAUDE_BASE_URL'] = profile.url;
@@ -293,7 +308,12 @@ export const runYoloTempDir = async (projectPath, role, options = {}) => {
             env['CLAUDE_CODE_ATTRIBUTION_HEADER'] = '0';
         }
     }
-    if (profile?.key) {
+    if (proxyToken) {
+        // The proxy holds the real key (see runner.js)
+        env['ANTHROPIC_AUTH_TOKEN'] = proxyToken;
+        delete env['ANTHROPIC_API_KEY'];
+        delete env['CLAUDE_API_KEY'];
+    } else if (profile?.key) {
         env['ANTHROPIC_API_KEY'] = profile.key;
         env['CLAUDE_API_KEY'] = profile.key;
         env['OPENAI_API_KEY'] = profile.key;
@@ -343,6 +363,9 @@ export const runYoloTempDir = async (projectPath, role, options = {}) => {
         if (env['CLAUDE_API_KEY']) {
             localSettings.env.CLAUDE_API_KEY = env['CLAUDE_API_KEY'];
         }
+        if (proxyToken) {
+            localSettings.env.ANTHROPIC_AUTH_TOKEN = proxyToken;
+        }
         if (globalOpusModel) {
             localSettings.env.ANTHROPIC_DEFAULT_OPUS_MODEL = globalOpusModel;
         }
@@ -400,19 +423,22 @@ export const runYoloTempDir = async (projectPath, role, options = {}) => {
             shell: true
         });
 
-        proc.on('close', (code) => {
+        proc.on('close', async (code) => {
             if (proxyServer) {
                 try { proxyServer.close(); } catch { }
             }
+            await daemonSession?.close();
+            try { removeRoleOverlay(tempDir); } catch { }
             console.log('\n' + divider(50));
             console.log(colors.primary(`\n${symbols.success} ${t('yolo.sessionDone')}\n`));
             resolve({ exitCode: code, sandboxPath: tempDir, originalPath: projectPath });
         });
 
-        proc.on('error', (err) => {
+        proc.on('error', async (err) => {
             if (proxyServer) {
                 try { proxyServer.close(); } catch { }
             }
+            await daemonSession?.close();
             console.log(colors.error(`${symbols.error} Error: ${err.message}`));
             reject(err);
         });
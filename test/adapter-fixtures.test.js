@@ -0,0 +1,82 @@
+/**
+ * Fixture-driven adapter tests: each file in fixtures/adapter sends one
+ * Anthropic request through the adapter to a mock upstream that answers with
+ * the fixture's `upstream` reply (see lib/mock-upstream.js), then checks
+ *   expect.upstreamRequest  subset of the OpenAI request the upstream received
+ *   expect.status           HTTP status returned to the client (default 200)
+ *   expect.response         subset of the JSON response
+ *   expect.message          subset of the message assembled from the SSE response
+ *   expect.events           exact list of SSE event names
+ * `config` is merged into the proxy config (reasoningFormat, promptCaching, ...).
+ */
+
+import './setup.js';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import axios from 'axios';
+import { createProxyErrorState, startOpenAIProxy } from '../lib/adapter-proxy.js';
+import { startMockUpstream } from '../lib/mock-upstream.js';
+import { assembleMessage, assertSubset, loadFixtures, parseSse } from './helpers.js';
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'adapter');
+
+describe('adapter fixtures', () => {
+    for (const fixture of loadFixtures(FIXTURE_DIR)) {
+        describe(`${fixture.file}: ${fixture.name}`, () => {
+            let mock;
+            let proxy;
+            let errorState;
+
+            before(async () => {
+                mock = await startMockUpstream({ port: 0, script: [fixture.upstream] });
+                errorState = createProxyErrorState();
+                proxy = await startOpenAIProxy({
+                    port: 0,
+                    targetUrl: mock.url,
+                    apiKey: 'test-key',
+                    format: 'openai-compat',
+                    retry: false,
+                    errorState,
+                    ...fixture.config,
+                });
+            });
+
+            after(async () => {
+                proxy.server.closeAllConnections();
+                await new Promise(resolve => proxy.server.close(resolve));
+                await mock.close();
+            });
+
+            test('translates the request and the response', async () => {
+                const response = await axios.post(`${proxy.url}/v1/messages`, fixture.request, {
+                    headers: { 'x-api-key': 'client-key' },
+                    responseType: 'text',
+                    validateStatus: () => true,
+                });
+                const expect = fixture.expect;
+
+                assert.equal(response.status, expect.status ?? 200, response.data);
+                if (expect.upstreamRequest) {
+                    assert.equal(mock.requests.length, 1);
+                    assert.equal(mock.requests[0].path, '/v1/chat/completions');
+                    assert.equal(mock.requests[0].headers.authorization, 'Bearer test-key');
+                    assertSubset(mock.requests[0].body, expect.upstreamRequest);
+                }
+                if (expect.response) {
+                    assertSubset(JSON.parse(response.data), expect.response);
+                }
+                if (expect.message || expect.events) {
+                    assert.match(response.headers['content-type'], /text\/event-stream/);
+                    const events = parseSse(response.data);
+                    if (expect.events) assert.deepEqual(events.map(e => e.event), expect.events);
+                    if (expect.message) assertSubset(assembleMessage(events), expect.message);
+                }
+                if (expect.errorState) {
+                    assertSubset(errorState, expect.errorState);
+                }
+            });
+        });
+    }
+});
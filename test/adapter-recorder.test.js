@@ -0,0 +1,78 @@
+/**
+ * Traffic recording: what is redacted in the JSONL file, and replay of a
+ * recording made through a model-mapped upstream pool.
+ */
+
+import './setup.js';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import axios from 'axios';
+import { startOpenAIProxy } from '../lib/adapter-proxy.js';
+import { readRecording } from '../lib/adapter-recorder.js';
+import { replayRecording } from '../lib/adapter-replay.js';
+import { startMockUpstream } from '../lib/mock-upstream.js';
+
+const HEADER_SECRET = 'or-header-secret-value';
+
+describe('adapter recording', () => {
+    let mock;
+    let proxy;
+    let file;
+
+    before(async () => {
+        mock = await startMockUpstream({ port: 0 });
+        file = path.join(fs.mkdtempSync(path.join(os.homedir(), 'recording-')), 'traffic.jsonl'); // removed with the test HOME
+        proxy = await startOpenAIProxy({
+            port: 0,
+            format: 'openai-compat',
+            retry: false,
+            upstreams: [
+                { url: 'http://127.0.0.1:9', key: 'dead-key', weight: 10 },
+                { url: mock.url, key: 'pool-key', modelMap: { 'claude-opus-4-5': 'mapped-model' } },
+            ],
+            rewrite: [
+                { op: 'setHeader', name: 'X-Api-Token', value: HEADER_SECRET },
+                { op: 'set', path: '/user', value: 'recorded' },
+            ],
+            recordFile: file,
+        });
+        await axios.post(`${proxy.url}/v1/messages`, {
+            model: 'claude-opus-4-5',
+            max_tokens: 64,
+            messages: [{ role: 'user', content: 'record me' }],
+        });
+        // The line is written when the client response closes
+        await new Promise(resolve => setTimeout(resolve, 50));
+    });
+
+    after(async () => {
+        proxy.server.closeAllConnections();
+        await new Promise(resolve => proxy.server.close(resolve));
+        await mock.close();
+    });
+
+    test('redacts API keys and headers set by rewrite rules', () => {
+        const text = fs.readFileSync(file, 'utf8');
+        assert.ok(!text.includes(HEADER_SECRET));
+        assert.ok(!text.includes('pool-key'));
+        assert.equal(mock.requests.at(-1).headers['x-api-token'], HEADER_SECRET, 'the upstream still gets the header');
+
+        const [entry] = readRecording(file);
+        assert.equal(entry.attempts.at(-1).headers['X-Api-Token'], '[REDACTED]');
+        assert.equal(entry.config.rewrite[0].value, '[REDACTED]');
+        assert.deepEqual(entry.config.rewrite[1], { op: 'set', path: '/user', value: 'recorded' });
+    });
+
+    test('records the modelMap of the upstream that answered and replays through it', async () => {
+        const [entry] = readRecording(file);
+        assert.equal(entry.attempts.at(-1).body.model, 'mapped-model');
+        assert.deepEqual(entry.attempts.at(-1).modelMap, { 'claude-opus-4-5': 'mapped-model' });
+
+        const [result] = await replayRecording(file);
+        assert.deepEqual(result.differences, []);
+        assert.equal(result.ok, true);
+    });
+});
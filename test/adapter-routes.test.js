@@ -0,0 +1,128 @@
+/**
+ * Adapter routes besides /v1/messages: the model listing and the fallback
+ * passthrough with its failover between upstreams.
+ */
+
+import './setup.js';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import { startOpenAIProxy } from '../lib/adapter-proxy.js';
+import { startMockUpstream } from '../lib/mock-upstream.js';
+
+const DEAD_URL = 'http://127.0.0.1:9';
+
+async function startProxy(upstreams) {
+    return startOpenAIProxy({ port: 0, upstreams, format: 'openai-compat', retry: false });
+}
+
+async function closeProxy(proxy) {
+    proxy.server.closeAllConnections();
+    await new Promise(resolve => proxy.server.close(resolve));
+}
+
+describe('model listing', () => {
+    let mock;
+    let proxy;
+
+    before(async () => {
+        mock = await startMockUpstream({ port: 0, models: ['glm-4.6', 'mock-model'] });
+        proxy = await startProxy([{ url: mock.url, key: 'k', modelMap: { 'claude-opus-4-5': 'glm-4.6', 'claude-gone': 'no-such-model' } }]);
+    });
+
+    after(async () => {
+        await closeProxy(proxy);
+        await mock.close();
+    });
+
+    test('lists models reachable through an upstream modelMap', async () => {
+        const response = await axios.get(`${proxy.url}/v1/models`);
+        const ids = response.data.data.map(m => m.id);
+        assert.ok(ids.includes('claude-opus-4-5'));
+        assert.ok(ids.includes('glm-4.6'));
+        assert.ok(!ids.includes('claude-gone'), 'mapped to a model the upstream does not serve');
+    });
+
+    test('looks up models through an upstream modelMap', async () => {
+        const found = await axios.get(`${proxy.url}/v1/models/claude-opus-4-5`, { validateStatus: () => true });
+        assert.equal(found.status, 200);
+        const missing = await axios.get(`${proxy.url}/v1/models/claude-gone`, { validateStatus: () => true });
+        assert.equal(missing.status, 404);
+    });
+});
+
+describe('fallback passthrough', () => {
+    let mock;
+    let locked;
+
+    before(async () => {
+        mock = await startMockUpstream({ port: 0 });
+        locked = await startMockUpstream({ port: 0, key: 'other-key' });
+    });
+
+    after(async () => {
+        await mock.close();
+        await locked.close();
+    });
+
+    test('fails over to the next upstream on connection errors and auth failures', async () => {
+        const proxy = await startProxy([
+            { url: DEAD_URL, key: 'k', weight: 10 },
+            { url: locked.url, key: 'wrong-key', weight: 5 },
+            { url: mock.url, key: 'k', weight: 1 },
+        ]);
+        try {
+            const response = await axios.post(`${proxy.url}/v1/other`, { a: 1 }, { validateStatus: () => true });
+            assert.equal(response.status, 404, 'the working upstream answers');
+            assert.equal(mock.requests.at(-1).path, '/v1/other');
+            assert.deepEqual(mock.requests.at(-1).body, { a: 1 });
+            assert.equal(locked.requests.at(-1).path, '/v1/other');
+        } finally {
+            await closeProxy(proxy);
+        }
+    });
+
+    test('sends each upstream the auth headers of its format', async () => {
+        const proxy = await startProxy([
+            { url: DEAD_URL, key: 'k', weight: 10 },
+            { url: mock.url, key: 'gemini-key', format: 'gemini', weight: 1 },
+        ]);
+        try {
+            await axios.get(`${proxy.url}/v1/other`, { validateStatus: () => true });
+            const { headers } = mock.requests.at(-1);
+            assert.equal(headers['x-goog-api-key'], 'gemini-key');
+            assert.equal(headers.authorization, undefined);
+        } finally {
+            await closeProxy(proxy);
+        }
+    });
+
+    test('answers 502 when no upstream can be reached', async () => {
+        const proxy = await startProxy([{ url: DEAD_URL, key: 'k' }]);
+        try {
+            const response = await axios.get(`${proxy.url}/v1/other`, { validateStatus: () => true });
+            assert.equal(response.status, 502);
+            assert.equal(response.data.type, 'error');
+            assert.equal(response.data.error.type, 'api_error');
+        } finally {
+            await closeProxy(proxy);
+        }
+    });
+
+    test('rejects a body that is not JSON with 400', async () => {
+        const proxy = await startProxy([{ url: mock.url, key: 'k' }]);
+        const requestsBefore = mock.requests.length;
+        try {
+            const response = await axios.post(`${proxy.url}/v1/other`, '{ nope', {
+                headers: { 'Content-Type': 'application/json' },
+                transformRequest: [data => data],
+                validateStatus: () => true,
+            });
+            assert.equal(response.status, 400);
+            assert.equal(response.data.error.type, 'invalid_request_error');
+            assert.equal(mock.requests.length, requestsBefore);
+        } finally {
+            await closeProxy(proxy);
+        }
+    });
+});
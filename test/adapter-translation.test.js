@@ -0,0 +1,230 @@
+import './setup.js';
+import { describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    convertAnthropicToOpenAI,
+    convertOpenAIToAnthropicResponse,
+    convertToAnthropicError,
+    createOpenAIStreamTranslator,
+    mapFinishReason,
+    matchedStopSequence,
+} from '../lib/adapter-proxy.js';
+import { translateUpstreamStream } from '../lib/adapter-common.js';
+import { assembleMessage, assertSubset, chunkedStream, createResponseRecorder, parseSse } from './helpers.js';
+
+describe('mapFinishReason', () => {
+    const cases = {
+        stop: 'end_turn',
+        length: 'max_tokens',
+        tool_calls: 'tool_use',
+        function_call: 'tool_use',
+        content_filter: 'refusal',
+        something_new: 'end_turn',
+    };
+    for (const [reason, expected] of Object.entries(cases)) {
+        test(`${reason} -> ${expected}`, () => {
+            assert.equal(mapFinishReason(reason), expected);
+        });
+    }
+});
+
+describe('matchedStopSequence', () => {
+    test('vLLM stop_reason and SGLang matched_stop name a requested sequence', () => {
+        assert.equal(matchedStopSequence({ finish_reason: 'stop', stop_reason: '###' }, ['###']), '###');
+        assert.equal(matchedStopSequence({ finish_reason: 'stop', matched_stop: 'END' }, ['###', 'END']), 'END');
+    });
+
+    test('anything else is not a stop sequence', () => {
+        assert.equal(matchedStopSequence({ finish_reason: 'stop' }, ['###']), null);
+        assert.equal(matchedStopSequence({ finish_reason: 'stop', stop_reason: 151643 }, ['###']), null);
+        assert.equal(matchedStopSequence({ finish_reason: 'stop', stop_reason: 'other' }, ['###']), null);
+        assert.equal(matchedStopSequence({ finish_reason: 'length', stop_reason: '###' }, ['###']), null);
+        assert.equal(matchedStopSequence({ finish_reason: 'stop', stop_reason: '###' }, undefined), null);
+    });
+});
+
+describe('convertToAnthropicError', () => {
+    test('OpenAI error objects keep their message', () => {
+        assert.deepEqual(convertToAnthropicError(400, { error: { message: 'bad field', type: 'invalid_request_error' } }), {
+            type: 'error',
+            error: { type: 'invalid_request_error', message: 'bad field' },
+        });
+    });
+
+    test('status decides the error type', () => {
+        const types = { 401: 'authentication_error', 403: 'permission_error', 404: 'not_found_error', 429: 'rate_limit_error', 503: 'api_error' };
+        for (const [status, type] of Object.entries(types)) {
+            assert.equal(convertToAnthropicError(Number(status), { error: { message: 'x', type: 'custom' } }).error.type, type);
+        }
+    });
+
+    test('JSON strings, Gemini arrays, plain text and bare messages', () => {
+        assert.equal(convertToAnthropicError(400, '{"error":{"message":"from string"}}').error.message, 'from string');
+        assert.equal(convertToAnthropicError(400, [{ error: { message: 'from gemini' } }]).error.message, 'from gemini');
+        assert.equal(convertToAnthropicError(502, 'Bad gateway').error.message, 'Bad gateway');
+        assert.equal(convertToAnthropicError(400, { message: 'bare' }).error.message, 'bare');
+        assert.equal(convertToAnthropicError(500, undefined).error.message, 'Unknown upstream error');
+    });
+});
+
+describe('convertAnthropicToOpenAI', () => {
+    test('defaults and stream usage', () => {
+        const req = convertAnthropicToOpenAI({ model: 'm', stream: true, messages: [{ role: 'user', content: 'hi' }] });
+        assertSubset(req, { model: 'm', max_tokens: 4096, stream: true, stream_options: { include_usage: true } });
+        assert.equal(req.tools, undefined);
+        assert.equal(req.tool_choice, undefined);
+    });
+
+    test('tool_choice auto, any and none', () => {
+        const base = { model: 'm', messages: [], tools: [{ name: 't', input_schema: {} }] };
+        assert.equal(convertAnthropicToOpenAI({ ...base, tool_choice: { type: 'auto' } }).tool_choice, 'auto');
+        assert.equal(convertAnthropicToOpenAI({ ...base, tool_choice: { type: 'any' } }).tool_choice, 'required');
+        assert.equal(convertAnthropicToOpenAI({ ...base, tool_choice: { type: 'none' } }).tool_choice, 'none');
+    });
+
+    test('parallel_tool_calls is only sent with tools', () => {
+        const tool_choice = { type: 'any', disable_parallel_tool_use: true };
+        const withTools = convertAnthropicToOpenAI({ model: 'm', messages: [], tools: [{ name: 't' }], tool_choice });
+        assert.equal(withTools.parallel_tool_calls, false);
+        assert.equal('parallel_tool_calls' in convertAnthropicToOpenAI({ model: 'm', messages: [], tool_choice }), false);
+        assert.equal('parallel_tool_calls' in convertAnthropicToOpenAI({ model: 'm', messages: [], tools: [{ name: 't' }] }), false);
+    });
+
+    test('tool_use input given as a string is passed through', () => {
+        const req = convertAnthropicToOpenAI({
+            model: 'm',
+            messages: [{ role: 'assistant', content: [{ type: 'tool_use', id: 't1', name: 'x', input: '{"a":1}' }] }],
+        });
+        assert.deepEqual(req.messages[0], {
+            role: 'assistant',
+            content: null,
+            tool_calls: [{ id: 't1', type: 'function', function: { name: 'x', arguments: '{"a":1}' } }],
+        });
+    });
+
+    test('cache markers are kept only when asked', () => {
+        const anthropicReq = {
+            model: 'm',
+            system: [{ type: 'text', text: 'sys', cache_control: { type: 'ephemeral' } }],
+            messages: [{ role: 'user', content: 'hi' }],
+        };
+        assert.equal(convertAnthropicToOpenAI(anthropicReq).messages[0].content, 'sys');
+        assert.deepEqual(convertAnthropicToOpenAI(anthropicReq, { keepCacheControl: true }).messages[0].content, [
+            { type: 'text', text: 'sys', cache_control: { type: 'ephemeral' } },
+        ]);
+    });
+
+    test('thinking budget maps to the profile reasoning format', () => {
+        const anthropicReq = { model: 'm', messages: [], thinking: { type: 'enabled', budget_tokens: 2000 } };
+        assert.ok(convertAnthropicToOpenAI(anthropicReq).reasoning_effort);
+        assert.deepEqual(convertAnthropicToOpenAI(anthropicReq, { reasoningFormat: 'reasoning' }).reasoning, { max_tokens: 2000 });
+        assert.deepEqual(convertAnthropicToOpenAI(anthropicReq, { reasoningFormat: 'thinking' }).thinking, anthropicReq.thinking);
+        const none = convertAnthropicToOpenAI(anthropicReq, { reasoningFormat: 'none' });
+        assert.equal(none.reasoning_effort, undefined);
+        assert.equal(none.reasoning, undefined);
+    });
+});
+
+describe('convertOpenAIToAnthropicResponse', () => {
+    const completion = (message, finishReason = 'stop') => ({
+        id: 'c1',
+        choices: [{ index: 0, message: { role: 'assistant', ...message }, finish_reason: finishReason }],
+        usage: { prompt_tokens: 10, completion_tokens: 2 },
+    });
+
+    test('reasoning_content becomes a thinking block', () => {
+        const msg = convertOpenAIToAnthropicResponse(completion({ content: 'answer', reasoning_content: 'pondering' }), 'm');
+        assertSubset(msg.content, [{ type: 'thinking', thinking: 'pondering' }, { type: 'text', text: 'answer' }]);
+    });
+
+    test('<think> tags are split from the text', () => {
+        const msg = convertOpenAIToAnthropicResponse(completion({ content: '<think>hmm</think>answer' }), 'm');
+        assertSubset(msg.content, [{ type: 'thinking', thinking: 'hmm' }, { type: 'text', text: 'answer' }]);
+    });
+
+    test('invalid tool arguments become an empty input', () => {
+        const msg = convertOpenAIToAnthropicResponse(completion({
+            content: null,
+            tool_calls: [{ id: 'c', type: 'function', function: { name: 'x', arguments: '{broken' } }],
+        }, 'tool_calls'), 'm');
+        assertSubset(msg, { content: [{ type: 'tool_use', name: 'x', input: {} }], stop_reason: 'tool_use' });
+    });
+
+    test('an empty reply still has one text block', () => {
+        const msg = convertOpenAIToAnthropicResponse(completion({ content: '' }, 'length'), 'm');
+        assertSubset(msg, { content: [{ type: 'text', text: '' }], stop_reason: 'max_tokens', usage: { input_tokens: 10, output_tokens: 2 } });
+    });
+});
+
+describe('OpenAI stream translation', () => {
+    const chunk = (delta, finishReason = null, extra = {}) => `data: ${JSON.stringify({
+        id: 'c1',
+        object: 'chat.completion.chunk',
+        choices: [{ index: 0, delta, finish_reason: finishReason }],
+        ...extra,
+    })}\n\n`;
+    const upstream = [
+        chunk({ role: 'assistant', reasoning_content: 'Let me think. ' }),
+        chunk({ content: 'Résumé: 日本語 ok. ' }),
+        chunk({ tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'Read', arguments: '{"file_' } }] }),
+        chunk({ tool_calls: [{ index: 0, function: { arguments: 'path":"a.txt"}' } }] }),
+        chunk({ tool_calls: [{ index: 1, id: 'call_2', type: 'function', function: { name: 'Glob', arguments: '{"pattern":"*.js"}' } }] }),
+        chunk({}, 'tool_calls'),
+        `data: ${JSON.stringify({ id: 'c1', choices: [], usage: { prompt_tokens: 50, completion_tokens: 20 } })}\n\n`,
+        'data: [DONE]\n\n',
+    ].join('');
+
+    const translate = async (stream) => {
+        const res = createResponseRecorder();
+        const result = await translateUpstreamStream(stream, res, 'm', createOpenAIStreamTranslator);
+        return { result, message: assembleMessage(parseSse(res.body)) };
+    };
+
+    test('every chunk size gives the same message', async () => {
+        const expected = {
+            content: [
+                { type: 'thinking', thinking: 'Let me think. ' },
+                { type: 'text', text: 'Résumé: 日本語 ok. ' },
+                { type: 'tool_use', id: 'call_1', name: 'Read', input: { file_path: 'a.txt' } },
+                { type: 'tool_use', id: 'call_2', name: 'Glob', input: { pattern: '*.js' } },
+            ],
+            stop_reason: 'tool_use',
+            usage: { input_tokens: 50, output_tokens: 20 },
+        };
+        for (const size of [1, 2, 3, 5, 8, 13, 64, upstream.length]) {
+            const { result, message } = await translate(chunkedStream(upstream, size));
+            assert.equal(result.interrupted, false, `chunk size ${size}`);
+            assertSubset(message, expected, `chunk size ${size}`);
+        }
+    });
+
+    test('interleaved argument deltas of parallel tool calls are kept whole', async () => {
+        const text = [
+            chunk({ tool_calls: [{ index: 0, id: 'call_1', type: 'function', function: { name: 'Read', arguments: '{"file_' } }] }),
+            chunk({ tool_calls: [{ index: 1, id: 'call_2', type: 'function', function: { name: 'Glob', arguments: '{"pat' } }] }),
+            chunk({ tool_calls: [{ index: 0, function: { arguments: 'path":"a.txt"}' } }] }),
+            chunk({ tool_calls: [{ index: 1, function: { arguments: 'tern":"*.js"}' } }] }),
+            chunk({}, 'tool_calls'),
+        ].join('');
+        const { result, message } = await translate(chunkedStream(text, 16));
+        assert.equal(result.interrupted, false);
+        assert.deepEqual(message.content.map(block => [block.id, block.input]), [
+            ['call_1', { file_path: 'a.txt' }],
+            ['call_2', { pattern: '*.js' }],
+        ]);
+        assert.equal(message.stop_reason, 'tool_use');
+    });
+
+    test('a final event without a trailing newline is still read', async () => {
+        const text = chunk({ content: 'hi' }) + chunk({}, 'stop').trimEnd();
+        const { result, message } = await translate(chunkedStream(text, 10));
+        assert.equal(result.stopReason, 'end_turn');
+        assertSubset(message, { content: [{ type: 'text', text: 'hi' }], stop_reason: 'end_turn' });
+    });
+
+    test('a stream that ends without finish_reason is interrupted', async () => {
+        const { result, message } = await translate(chunkedStream(chunk({ content: 'cut' }), 4));
+        assert.equal(result.interrupted, true);
+        assertSubset(message, { content: [{ type: 'text', text: 'cut' }], stop_reason: 'end_turn' });
+    });
+});
@@ -0,0 +1,119 @@
+/**
+ * Headless runs: profile and adapter setup around a stand-in for `claude -p`,
+ * captured output and the structured summary.
+ */
+
+import './setup.js';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { PassThrough } from 'stream';
+import { fileURLToPath } from 'url';
+import { addProfile } from '../lib/profile.js';
+import { startMockUpstream } from '../lib/mock-upstream.js';
+import { runClaudeHeadless } from '../lib/runner.js';
+
+const fakeClaude = fileURLToPath(new URL('./fixtures/bin/fake-claude', import.meta.url));
+
+describe('headless run', () => {
+    const cwd = process.cwd();
+    let mock;
+    let project;
+
+    before(async () => {
+        mock = await startMockUpstream({ port: 0 });
+        const log = console.log;
+        console.log = () => { }; // the first profile becomes active with a message on stdout, where node:test reports
+        await addProfile({ name: 'mock', url: mock.url, key: 'upstream-key', format: 'openai-compat', retry: false });
+        console.log = log;
+        project = fs.mkdtempSync(path.join(os.homedir(), 'project-')); // removed with the test HOME
+        process.chdir(project);
+    });
+
+    after(async () => {
+        process.chdir(cwd);
+        await mock.close();
+    });
+
+    function run(prompt, outputFormat, extra = {}) {
+        return runClaudeHeadless({ command: fakeClaude, prompt, outputFormat, sessionProfileName: 'mock', ...extra });
+    }
+
+    test('json: runs through the adapter and summarizes the result', async () => {
+        const summary = await run('hello there', 'json', { args: ['--max-turns', '2'] });
+
+        assert.equal(summary.exitCode, 0);
+        assert.equal(summary.isError, false);
+        assert.equal(summary.sessionId, 'fake-session');
+        assert.equal(summary.profile, 'mock');
+        assert.match(summary.result, /hello there/);
+        assert.equal(summary.proxyErrors.lastError, null);
+        assert.deepEqual(summary.claude.args, ['-p', '--output-format', 'json', '--max-turns', '2']);
+        assert.equal(fs.existsSync(path.join(project, '.claude', 'settings.local.json')), false, 'isolation settings are restored');
+    });
+
+    test('json: reports upstream failures from the proxy error state', async () => {
+        const summary = await run('[mock:500]', 'json');
+
+        assert.equal(summary.exitCode, 1);
+        assert.equal(summary.isError, true);
+        assert.equal(summary.proxyErrors.lastError.statusCode, 500);
+        assert.equal(summary.proxyErrors.consecutiveErrors, 1);
+    });
+
+    test('json: an upstream error that Claude Code retried past is not a failure', async () => {
+        const flaky = await startMockUpstream({ port: 0, script: [{ error: 429 }] });
+        try {
+            const log = console.log;
+            console.log = () => { };
+            await addProfile({ name: 'flaky', url: flaky.url, key: 'k', format: 'openai-compat', retry: false });
+            console.log = log;
+            const summary = await run('second try', 'json', { sessionProfileName: 'flaky' });
+
+            assert.equal(summary.exitCode, 0);
+            assert.equal(summary.isError, false);
+            assert.equal(summary.proxyErrors.lastError.statusCode, 429);
+            assert.equal(summary.proxyErrors.consecutiveErrors, 0);
+        } finally {
+            await flaky.close();
+        }
+    });
+
+    test('stream-json: streams the output, adds --verbose and picks the result event', async () => {
+        const stdout = new PassThrough();
+        let streamed = '';
+        stdout.on('data', chunk => { streamed += chunk; });
+        const summary = await run('streamed', 'stream-json', { stdout });
+
+        assert.equal(streamed.trim().split('\n').length, 2);
+
+        assert.deepEqual(summary.claude.args, ['-p', '--output-format', 'stream-json', '--verbose']);
+        assert.equal(summary.sessionId, 'fake-session');
+        assert.match(summary.result, /streamed/);
+    });
+
+    test('sends status lines to the log option and leaves console.log alone', async () => {
+        const consoleLog = console.log;
+        const lines = [];
+        const running = run('quiet', 'json', { log: line => lines.push(line) });
+        assert.equal(console.log, consoleLog, 'other code in the process keeps its stdout');
+        const summary = await running;
+
+        assert.equal(summary.exitCode, 0);
+        assert.ok(lines.some(line => line.includes('Adapter:')));
+    });
+
+    test('reports a command that cannot be started', async () => {
+        const summary = await run('hi', 'json', { command: path.join(project, 'no-such-claude') });
+
+        assert.equal(summary.exitCode, 1);
+        assert.equal(summary.isError, true);
+        assert.match(summary.error, /ENOENT/);
+    });
+
+    test('rejects unknown output formats', async () => {
+        await assert.rejects(run('hi', 'yaml'), /Unknown output format/);
+    });
+});
@@ -0,0 +1,126 @@
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { Readable } from 'stream';
+
+/**
+ * Asserts that `actual` contains `expected`: objects may have extra keys,
+ * arrays must have the same length, everything else is compared strictly.
+ */
+export function assertSubset(actual, expected, where = '$') {
+    if (Array.isArray(expected)) {
+        assert.ok(Array.isArray(actual), `${where}: expected an array, got ${JSON.stringify(actual)}`);
+        assert.equal(actual.length, expected.length, `${where}: length`);
+        expected.forEach((item, i) => assertSubset(actual[i], item, `${where}[${i}]`));
+    } else if (expected && typeof expected === 'object') {
+        assert.ok(actual && typeof actual === 'object', `${where}: expected an object, got ${JSON.stringify(actual)}`);
+        for (const key of Object.keys(expected)) {
+            assertSubset(actual[key], expected[key], `${where}.${key}`);
+        }
+    } else {
+        assert.deepEqual(actual, expected, where);
+    }
+}
+
+/**
+ * Parses an Anthropic SSE body into [{ event, data }].
+ */
+export function parseSse(text) {
+    return text.split('\n\n').filter(block => block.trim()).map(block => {
+        const event = /^event: (.*)$/m.exec(block)?.[1];
+        const data = /^data: (.*)$/m.exec(block)?.[1];
+        return { event, data: data ? JSON.parse(data) : null };
+    });
+}
+
+/**
+ * Rebuilds the message a client would assemble from Anthropic stream events.
+ * Stream `error` events end up in `error`.
+ */
+export function assembleMessage(events) {
+    let message = null;
+    const partialJson = [];
+    for (const { data } of events) {
+        if (!data) continue;
+        switch (data.type) {
+            case 'message_start':
+                message = { ...data.message, content: [] };
+                break;
+            case 'content_block_start':
+                message.content[data.index] = { ...data.content_block };
+                break;
+            case 'content_block_delta': {
+                const block = message.content[data.index];
+                if (data.delta.type === 'text_delta') block.text += data.delta.text;
+                else if (data.delta.type === 'thinking_delta') block.thinking += data.delta.thinking;
+                else if (data.delta.type === 'input_json_delta') partialJson[data.index] = (partialJson[data.index] || '') + data.delta.partial_json;
+                break;
+            }
+            case 'content_block_stop':
+                if (partialJson[data.index] !== undefined) {
+                    message.content[data.index].input = JSON.parse(partialJson[data.index] || '{}');
+                }
+                break;
+            case 'message_delta':
+                Object.assign(message, data.delta);
+                message.usage = { ...message.usage, ...data.usage };
+                break;
+            case 'error':
+                message = { ...message, error: data.error };
+                break;
+        }
+    }
+    return message;
+}
+
+/**
+ * Minimal stand-in for http.ServerResponse that collects what is written.
+ */
+export function createResponseRecorder() {
+    const listeners = {};
+    return {
+        statusCode: 200,
+        headers: {},
+        body: '',
+        writeHead(status, headers) {
+            this.statusCode = status;
+            Object.assign(this.headers, headers);
+        },
+        setHeader(name, value) {
+            this.headers[name] = value;
+        },
+        write(chunk) {
+            this.body += chunk;
+            return true;
+        },
+        end(chunk) {
+            if (chunk) this.body += chunk;
+            (listeners.close || []).forEach(fn => fn());
+        },
+        on(event, fn) {
+            (listeners[event] ||= []).push(fn);
+            return this;
+        },
+    };
+}
+
+/**
+ * Splits a string into chunks of `size` bytes, as a readable stream.
+ */
+export function chunkedStream(text, size) {
+    const buffer = Buffer.from(text);
+    const chunks = [];
+    for (let i = 0; i < buffer.length; i += size) chunks.push(buffer.subarray(i, i + size));
+    return Readable.from(chunks);
+}
+
+/**
+ * Loads every JSON fixture in a directory, sorted by file name.
+ * @returns {Array<object>} Fixtures with `file` set
+ */
+export function loadFixtures(dir) {
+    return fs.readdirSync(dir)
+        .filter(file => file.endsWith('.json'))
+        .sort()
+        .map(file => ({ file, ...JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')) }));
+}
@@ -0,0 +1,118 @@
+/**
+ * .cchelper.json: lookup, validation, precedence of explicit options, and a
+ * headless run that picks its profile and model from the project.
+ */
+
+import './setup.js';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { addProfile } from '../lib/profile.js';
+import { startMockUpstream } from '../lib/mock-upstream.js';
+import { applyProjectConfig, findProjectConfig, loadProjectConfig, validateProjectConfig } from '../lib/project-config.js';
+import { runClaudeHeadless } from '../lib/runner.js';
+
+const fakeClaude = fileURLToPath(new URL('./fixtures/bin/fake-claude', import.meta.url));
+
+function makeProject(config) {
+    const dir = fs.mkdtempSync(path.join(os.homedir(), 'project-')); // removed with the test HOME
+    if (config !== undefined) {
+        fs.writeFileSync(path.join(dir, '.cchelper.json'), typeof config === 'string' ? config : JSON.stringify(config));
+    }
+    return dir;
+}
+
+describe('project config', () => {
+    test('is found in the project or a parent directory', () => {
+        const root = makeProject({ profile: 'work' });
+        const nested = path.join(root, 'packages', 'api');
+        fs.mkdirSync(nested, { recursive: true });
+
+        assert.equal(findProjectConfig(nested), path.join(root, '.cchelper.json'));
+        assert.equal(loadProjectConfig(nested).profile, 'work');
+
+        fs.writeFileSync(path.join(nested, '.cchelper.json'), JSON.stringify({ profile: 'api' }));
+        assert.equal(loadProjectConfig(nested).profile, 'api', 'the nearest file wins');
+    });
+
+    test('reports invalid files with their path', () => {
+        assert.throws(() => loadProjectConfig(makeProject('{ nope')), /\.cchelper\.json: /);
+        assert.throws(() => validateProjectConfig({ role: 3 }), /role must be/);
+        assert.throws(() => validateProjectConfig({ rolePosition: 'middle' }), /rolePosition/);
+        assert.throws(() => validateProjectConfig({ models: { haiku: 'x' } }), /models\.haiku/);
+        assert.throws(() => validateProjectConfig({ mcp: 'context7' }), /mcp must be/);
+        assert.throws(() => validateProjectConfig({ env: { MAX_THINKING_TOKENS: 8000 } }), /env\.MAX_THINKING_TOKENS must be a string/);
+        assert.throws(() => validateProjectConfig({ ccswitch: 1 }), /ccswitch/);
+    });
+
+    // Keys that would send the API key elsewhere or run code inside Claude Code
+    const REJECTED_ENV_KEYS = [
+        'ANTHROPIC_BASE_URL', 'ANTHROPIC_API_KEY', 'ANTHROPIC_AUTH_TOKEN', 'CLAUDE_BASE_URL', 'CLAUDE_API_KEY',
+        'HTTPS_PROXY', 'HTTP_PROXY', 'https_proxy', 'ALL_PROXY', 'NODE_OPTIONS', 'NODE_EXTRA_CA_CERTS',
+        'ANTHROPIC_CUSTOM_HEADERS', 'CLAUDE_CODE_USE_BEDROCK', 'CLAUDE_CODE_USE_VERTEX',
+        'ANTHROPIC_BEDROCK_BASE_URL', 'ANTHROPIC_VERTEX_BASE_URL', 'LD_PRELOAD', 'PATH',
+    ];
+    for (const key of REJECTED_ENV_KEYS) {
+        test(`env may not set ${key}`, () => {
+            assert.throws(() => validateProjectConfig({ env: { [key]: 'x' } }), new RegExp(`env\\.${key} cannot be set from a project file`));
+        });
+    }
+
+    test('env takes the Claude Code tuning variables', () => {
+        validateProjectConfig({ env: { MAX_THINKING_TOKENS: '8000', BASH_DEFAULT_TIMEOUT_MS: '60000', DISABLE_TELEMETRY: '1' } });
+    });
+
+    test('fills only what the caller left open', () => {
+        const config = {
+            profile: 'work', role: ['reviewer'], rolePosition: 'bottom',
+            models: { opus: 'p-opus', sonnet: 'p-sonnet' }, mcp: ['context7'], env: { MAX_THINKING_TOKENS: '8000' },
+        };
+
+        assert.deepEqual(applyProjectConfig({ role: [] }, config), {
+            role: ['reviewer'], rolePosition: 'bottom', opusModel: 'p-opus', sonnetModel: 'p-sonnet',
+            sessionProfileName: 'work', mcpServices: ['context7'], projectEnv: { MAX_THINKING_TOKENS: '8000' },
+        });
+
+        const explicit = applyProjectConfig({ role: 'default', opusModel: 'cli-opus', sessionProfileName: 'cli', rolePosition: 'top' }, config);
+        assert.equal(explicit.role, 'default');
+        assert.equal(explicit.opusModel, 'cli-opus');
+        assert.equal(explicit.sessionProfileName, 'cli');
+        assert.equal(explicit.rolePosition, 'top');
+
+        const ccswitch = applyProjectConfig({}, { ...config, ccswitch: true });
+        assert.equal(ccswitch.configSource, 'ccswitch');
+        assert.equal(ccswitch.sessionProfileName, undefined);
+        assert.equal(applyProjectConfig({ configSource: 'cchelper' }, { ccswitch: true }).configSource, 'cchelper');
+    });
+});
+
+describe('project config in a headless run', () => {
+    const cwd = process.cwd();
+    let mock;
+
+    before(async () => {
+        mock = await startMockUpstream({ port: 0 });
+        const log = console.log;
+        console.log = () => { }; // the first profile becomes active with a message on stdout, where node:test reports
+        await addProfile({ name: 'global', url: 'http://127.0.0.1:9', key: 'k', format: 'openai-compat', retry: false });
+        await addProfile({ name: 'project', url: mock.url, key: 'k', format: 'openai-compat', retry: false });
+        console.log = log;
+    });
+
+    after(async () => {
+        process.chdir(cwd);
+        await mock.close();
+    });
+
+    test('uses the profile and model of .cchelper.json', async () => {
+        process.chdir(makeProject({ profile: 'project', models: { opus: 'pinned-opus' }, mcp: [] }));
+        const summary = await runClaudeHeadless({ command: fakeClaude, prompt: 'hi', outputFormat: 'json' });
+
+        assert.equal(summary.exitCode, 0);
+        assert.equal(summary.profile, 'project');
+        assert.deepEqual(summary.claude.args, ['-p', '--output-format', 'json', '--model', 'pinned-opus']);
+    });
+});
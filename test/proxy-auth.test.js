@@ -0,0 +1,164 @@
+/**
+ * Session-token checks of the adapter, the pass-through proxy and the
+ * Virtual Company web API.
+ */
+
+import './setup.js';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import axios from 'axios';
+import {
+    createProxyToken,
+    startAnthropicPassthroughProxy,
+    startOpenAIProxy,
+} from '../lib/adapter-proxy.js';
+import { startMockUpstream } from '../lib/mock-upstream.js';
+import { createLoginLink, startServer, stopServer } from '../lib/web-server.js';
+
+const REQUEST = { model: 'mock-model', max_tokens: 16, messages: [{ role: 'user', content: 'hi' }] };
+
+async function closeProxy(proxy) {
+    proxy.server.closeAllConnections();
+    await new Promise(resolve => proxy.server.close(resolve));
+}
+
+function post(url, headers) {
+    return axios.post(`${url}/v1/messages`, REQUEST, { headers, validateStatus: () => true });
+}
+
+describe('adapter session token', () => {
+    const token = createProxyToken();
+    let mock;
+    let proxy;
+
+    before(async () => {
+        mock = await startMockUpstream({ port: 0 });
+        proxy = await startOpenAIProxy({
+            port: 0,
+            targetUrl: mock.url,
+            apiKey: 'upstream-key',
+            format: 'openai-compat',
+            retry: false,
+            authToken: token,
+        });
+    });
+
+    after(async () => {
+        await closeProxy(proxy);
+        await mock.close();
+    });
+
+    test('rejects requests without the token', async () => {
+        const requestsBefore = mock.requests.length;
+        for (const headers of [{}, { 'x-api-key': 'upstream-key' }, { authorization: 'Bearer nope' }]) {
+            const response = await post(proxy.url, headers);
+            assert.equal(response.status, 401);
+            assert.equal(response.data.error.type, 'authentication_error');
+            assert.equal(response.headers['x-should-retry'], 'false');
+        }
+        assert.equal(mock.requests.length, requestsBefore);
+    });
+
+    test('accepts the token as a bearer token or as x-api-key', async () => {
+        for (const headers of [{ authorization: `Bearer ${token}` }, { 'x-api-key': token }]) {
+            const response = await post(proxy.url, headers);
+            assert.equal(response.status, 200);
+            assert.equal(mock.requests.at(-1).headers.authorization, 'Bearer upstream-key');
+        }
+    });
+});
+
+describe('pass-through session token', () => {
+    const token = createProxyToken();
+    let mock;
+    let proxy;
+
+    before(async () => {
+        mock = await startMockUpstream({ port: 0 });
+        proxy = await startAnthropicPassthroughProxy({
+            port: 0,
+            targetUrl: mock.url,
+            apiKey: 'upstream-key',
+            authToken: token,
+        });
+    });
+
+    after(async () => {
+        await closeProxy(proxy);
+        await mock.close();
+    });
+
+    test('rejects requests without the token', async () => {
+        const response = await post(proxy.url, { 'x-api-key': 'upstream-key' });
+        assert.equal(response.status, 401);
+    });
+
+    test('replaces the session token with the upstream key', async () => {
+        const response = await post(proxy.url, { authorization: `Bearer ${token}` });
+        assert.equal(response.status, 200);
+        const { headers } = mock.requests.at(-1);
+        assert.equal(headers['x-api-key'], 'upstream-key');
+        assert.equal(headers.authorization, undefined);
+    });
+});
+
+describe('web API token and origin checks', () => {
+    let web;
+
+    before(async () => {
+        web = await startServer(0);
+    });
+
+    after(() => stopServer());
+
+    const get = (path, headers = {}, options = {}) =>
+        axios.get(`${web.url}${path}`, { headers, validateStatus: () => true, ...options });
+
+    test('leaves the health check open', async () => {
+        assert.equal((await get('/api/health')).status, 200);
+    });
+
+    test('requires the token on the API', async () => {
+        assert.equal((await get('/api/workspaces')).status, 401);
+        assert.equal((await get('/api/workspaces', { authorization: 'Bearer nope' })).status, 401);
+        assert.equal((await get('/api/workspaces', { authorization: `Bearer ${web.token}` })).status, 200);
+        assert.equal((await get('/api/workspaces', { 'x-cchelper-token': web.token })).status, 200);
+        assert.equal((await get(`/api/workspaces?token=${web.token}`)).status, 200);
+        assert.equal((await get('/api/workspaces', { cookie: `cchelper_token=${web.token}` })).status, 200);
+    });
+
+    test('a login link sets the token cookie once and redirects', async () => {
+        const link = new URL(createLoginLink('http://127.0.0.1:3000/'));
+        const login = () => get(`${link.pathname}${link.search}`, {}, { maxRedirects: 0 });
+
+        const response = await login();
+        assert.equal(response.status, 302);
+        assert.equal(response.headers.location, 'http://127.0.0.1:3000/');
+        const cookie = response.headers['set-cookie'][0];
+        assert.match(cookie, /HttpOnly; SameSite=Strict/);
+        assert.equal((await get('/api/workspaces', { cookie: cookie.split(';')[0] })).status, 200);
+
+        assert.equal((await login()).status, 401, 'the code works once');
+        assert.equal((await get('/auth/login?code=guess', {}, { maxRedirects: 0 })).status, 401);
+    });
+
+    test('rejects foreign origins and hosts', async () => {
+        const auth = { authorization: `Bearer ${web.token}` };
+        assert.equal((await get('/api/health', { origin: 'https://evil.example' })).status, 403);
+        assert.equal((await get('/api/health', { origin: 'null' })).status, 403);
+        assert.equal((await get('/api/health', { host: 'evil.example' })).status, 403);
+
+        assert.equal((await get('/api/health', { origin: 'http://localhost:3001' })).status, 403, 'other local pages');
+    });
+
+    test('allows only its own origin and the frontend of the login link', async () => {
+        const auth = { authorization: `Bearer ${web.token}` };
+        assert.equal((await get('/api/workspaces', { ...auth, origin: web.url })).status, 200);
+
+        createLoginLink('http://127.0.0.1:3000/');
+        const response = await get('/api/workspaces', { ...auth, origin: 'http://127.0.0.1:3000' });
+        assert.equal(response.status, 200);
+        assert.equal(response.headers['access-control-allow-origin'], 'http://127.0.0.1:3000');
+        assert.equal((await get('/api/workspaces', { ...auth, origin: 'http://127.0.0.1:3002' })).status, 403);
+    });
+});
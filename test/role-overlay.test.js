@@ -0,0 +1,136 @@
+/**
+ * Role overlay: stacked roles in CLAUDE.local.md, leaving CLAUDE.md alone.
+ */
+
+import './setup.js';
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    loadRoles,
+    mergeRoleOverlay,
+    normalizeRoles,
+    removeRoleOverlay,
+    stripRoleOverlay,
+    writeRoleOverlay,
+} from '../lib/role-overlay.js';
+import { openSessionJournal } from '../lib/session-journal.js';
+
+const rolesDir = path.join(os.homedir(), '.claude', '.ccg', 'prompts', 'claude');
+const reviewer = { name: 'reviewer', content: 'Review every change.\n' };
+const security = { name: 'security', content: 'Look for injection bugs.\n' };
+
+let project;
+
+describe('role overlay', () => {
+    beforeEach(() => {
+        project = fs.mkdtempSync(path.join(os.homedir(), 'project-')); // removed with the test HOME
+        fs.writeFileSync(path.join(project, 'CLAUDE.md'), '# Project rules\n');
+    });
+
+    test('normalizeRoles accepts repeated and comma-separated roles', () => {
+        assert.deepEqual(normalizeRoles(['reviewer', 'security,reviewer', 'default']), ['reviewer', 'security']);
+        assert.deepEqual(normalizeRoles('default'), []);
+        assert.deepEqual(normalizeRoles(undefined), []);
+    });
+
+    test('loadRoles finds roles by name and reports missing ones', () => {
+        fs.mkdirSync(rolesDir, { recursive: true });
+        fs.writeFileSync(path.join(rolesDir, 'reviewer.md'), reviewer.content);
+        fs.writeFileSync(path.join(os.homedir(), '.claude', 'security.md'), security.content);
+
+        const { loaded, missing } = loadRoles(['reviewer', 'security', 'nobody']);
+        assert.deepEqual(loaded.map(r => r.name), ['reviewer', 'security']);
+        assert.equal(loaded[0].content, reviewer.content);
+        assert.deepEqual(missing, [path.join(rolesDir, 'nobody.md')]);
+    });
+
+    test('merges stacked roles above or below existing content', () => {
+        const own = '# My notes\n';
+        const top = mergeRoleOverlay(own, [reviewer, security], 'top');
+        assert.ok(top.endsWith(own));
+        assert.ok(top.indexOf('## Role: reviewer') < top.indexOf('## Role: security'));
+
+        const bottom = mergeRoleOverlay(own, [reviewer], 'bottom');
+        assert.ok(bottom.startsWith(own));
+        assert.match(bottom, /## Role: reviewer\n\nReview every change\.\n<!-- cchelper:roles end -->\n$/);
+
+        assert.equal(stripRoleOverlay(top), own);
+        assert.throws(() => mergeRoleOverlay(own, [reviewer], 'middle'), /Unknown role position/);
+    });
+
+    test('takes the block out byte for byte, whatever the file ends with', () => {
+        for (const own of ['# My notes', '# My notes\n', '# My notes\n\n\n', '\n# My notes', ' \n']) {
+            for (const position of ['top', 'bottom']) {
+                assert.equal(stripRoleOverlay(mergeRoleOverlay(own, [reviewer], position)), own, `${JSON.stringify(own)} (${position})`);
+            }
+        }
+    });
+
+    test('removeRoleOverlay restores a file without a trailing newline', () => {
+        const overlay = path.join(project, 'CLAUDE.local.md');
+        fs.writeFileSync(overlay, '# My notes');
+        writeRoleOverlay(project, [reviewer], { position: 'bottom' });
+        assert.match(fs.readFileSync(overlay, 'utf8'), /^# My notes\n<!-- cchelper:roles begin/);
+
+        removeRoleOverlay(project);
+        assert.equal(fs.readFileSync(overlay, 'utf8'), '# My notes');
+    });
+
+    test('replaces a stale role block instead of adding a second one', () => {
+        const once = mergeRoleOverlay('', [reviewer]);
+        const twice = mergeRoleOverlay(once, [security]);
+        assert.equal(twice.match(/cchelper:roles begin/g).length, 1);
+        assert.ok(!twice.includes('reviewer'));
+    });
+
+    test('writes CLAUDE.local.md through the journal and leaves CLAUDE.md alone', () => {
+        const overlay = path.join(project, 'CLAUDE.local.md');
+        fs.writeFileSync(overlay, '# My notes\n');
+        const journal = openSessionJournal(project);
+
+        writeRoleOverlay(project, [reviewer], { journal });
+        assert.match(fs.readFileSync(overlay, 'utf8'), /## Role: reviewer/);
+        assert.equal(fs.readFileSync(path.join(project, 'CLAUDE.md'), 'utf8'), '# Project rules\n');
+
+        journal.restore();
+        assert.equal(fs.readFileSync(overlay, 'utf8'), '# My notes\n');
+    });
+
+    test('removeRoleOverlay keeps what the session added and releases the journal', () => {
+        const overlay = path.join(project, 'CLAUDE.local.md');
+        const settingsLocal = path.join(project, 'settings.local.json');
+        fs.writeFileSync(overlay, '# My notes\n');
+        const journal = openSessionJournal(project);
+        writeRoleOverlay(project, [reviewer], { journal });
+        journal.backup(settingsLocal);
+        fs.writeFileSync(settingsLocal, '{}');
+        fs.appendFileSync(overlay, '\n- Remembered during the session\n');
+
+        removeRoleOverlay(project, { journal });
+        journal.restore();
+        assert.equal(fs.readFileSync(overlay, 'utf8'), '# My notes\n\n- Remembered during the session\n');
+        assert.equal(fs.existsSync(settingsLocal), false, 'other journaled files are still restored');
+    });
+
+    test('removeRoleOverlay leaves a file without a role block alone', () => {
+        const overlay = path.join(project, 'CLAUDE.local.md');
+        fs.writeFileSync(overlay, '');
+        removeRoleOverlay(project);
+        assert.equal(fs.existsSync(overlay), true);
+    });
+
+    test('removeRoleOverlay keeps other content and deletes an otherwise empty file', () => {
+        const overlay = path.join(project, 'CLAUDE.local.md');
+        writeRoleOverlay(project, [reviewer]);
+        removeRoleOverlay(project);
+        assert.equal(fs.existsSync(overlay), false);
+
+        writeRoleOverlay(project, [reviewer]);
+        fs.appendFileSync(overlay, '\nAdded during the session\n');
+        removeRoleOverlay(project);
+        assert.equal(fs.readFileSync(overlay, 'utf8'), 'Added during the session\n');
+    });
+});
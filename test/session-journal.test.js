@@ -0,0 +1,124 @@
+/**
+ * Session journal: normal restore, and recovery of sessions whose process died.
+ */
+
+import './setup.js';
+import { beforeEach, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+    findOrphanedSessions,
+    getJournalDir,
+    listSessions,
+    openSessionJournal,
+    recoverOrphanedSessions,
+} from '../lib/session-journal.js';
+
+let project;
+let claudeMd;
+let settingsLocal;
+
+// Starts a journaled session that changed both files, then pretends its process died
+function interruptedSession() {
+    const journal = openSessionJournal(project);
+    journal.backup(claudeMd);
+    fs.writeFileSync(claudeMd, 'role prompt');
+    journal.written(claudeMd);
+    journal.backup(settingsLocal);
+    fs.writeFileSync(settingsLocal, '{"env":{"ANTHROPIC_API_KEY":"sk-secret"}}');
+    journal.written(settingsLocal);
+
+    const manifestPath = path.join(getJournalDir(), journal.id, 'manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+    manifest.pid = spawnSync(process.execPath, ['-e', '']).pid;
+    fs.writeFileSync(manifestPath, JSON.stringify(manifest));
+    return journal;
+}
+
+describe('session journal', () => {
+    beforeEach(() => {
+        fs.rmSync(getJournalDir(), { recursive: true, force: true });
+        project = fs.mkdtempSync(path.join(os.homedir(), 'project-')); // removed with the test HOME
+        claudeMd = path.join(project, 'CLAUDE.md');
+        settingsLocal = path.join(project, '.claude', 'settings.local.json');
+        fs.mkdirSync(path.dirname(settingsLocal));
+        fs.writeFileSync(claudeMd, '# Project rules\n');
+    });
+
+    test('restore() puts originals back and removes files that did not exist', () => {
+        const journal = openSessionJournal(project);
+        journal.backup(claudeMd);
+        fs.writeFileSync(claudeMd, 'role prompt');
+        journal.written(claudeMd);
+        journal.backup(settingsLocal);
+        fs.writeFileSync(settingsLocal, '{}');
+        journal.written(settingsLocal);
+
+        assert.equal(listSessions().length, 1);
+        assert.equal(findOrphanedSessions().length, 0, 'a running session is not orphaned');
+
+        journal.restore();
+        assert.equal(fs.readFileSync(claudeMd, 'utf8'), '# Project rules\n');
+        assert.equal(fs.existsSync(settingsLocal), false);
+        assert.equal(listSessions().length, 0);
+    });
+
+    test('release() drops a file from the journal and keeps the others', () => {
+        const journal = openSessionJournal(project);
+        journal.backup(claudeMd);
+        fs.writeFileSync(claudeMd, 'cleaned up by the caller');
+        journal.backup(settingsLocal);
+        fs.writeFileSync(settingsLocal, '{}');
+
+        journal.release(claudeMd);
+        assert.deepEqual(listSessions()[0].files.map(f => f.path), [settingsLocal]);
+        journal.restore();
+        assert.equal(fs.readFileSync(claudeMd, 'utf8'), 'cleaned up by the caller');
+        assert.equal(fs.existsSync(settingsLocal), false);
+
+        const single = openSessionJournal(project);
+        single.backup(claudeMd);
+        single.release(claudeMd);
+        assert.equal(listSessions().length, 0, 'a journal without files is deleted');
+    });
+
+    test('a journal is only written once a file is backed up', () => {
+        openSessionJournal(project).restore();
+        assert.equal(fs.existsSync(getJournalDir()), false);
+    });
+
+    test('recovers an interrupted session', () => {
+        interruptedSession();
+        const [session, ...rest] = recoverOrphanedSessions({ project });
+
+        assert.equal(rest.length, 0);
+        assert.deepEqual(session.results.map(r => r.status), ['restored', 'removed']);
+        assert.equal(fs.readFileSync(claudeMd, 'utf8'), '# Project rules\n');
+        assert.equal(fs.existsSync(settingsLocal), false);
+        assert.equal(listSessions().length, 0);
+    });
+
+    test('keeps files edited after the session wrote them unless forced', () => {
+        interruptedSession();
+        fs.writeFileSync(claudeMd, 'role prompt\nplus a teammate edit\n');
+
+        const [session] = recoverOrphanedSessions({ project });
+        assert.deepEqual(session.results.map(r => r.status), ['modified', 'removed']);
+        assert.equal(fs.readFileSync(claudeMd, 'utf8'), 'role prompt\nplus a teammate edit\n');
+        assert.equal(findOrphanedSessions().length, 1, 'the journal is kept');
+
+        const [forced] = recoverOrphanedSessions({ project, force: true });
+        assert.deepEqual(forced.results.map(r => r.status), ['restored', 'unchanged']);
+        assert.equal(fs.readFileSync(claudeMd, 'utf8'), '# Project rules\n');
+        assert.equal(listSessions().length, 0);
+    });
+
+    test('only recovers sessions of the given project', () => {
+        interruptedSession();
+        assert.deepEqual(recoverOrphanedSessions({ project: os.tmpdir() }), []);
+        assert.equal(fs.readFileSync(claudeMd, 'utf8'), 'role prompt');
+    });
+});
@@ -0,0 +1,171 @@
+/**
+ * Auto-resume supervisor: policy checks, relaunch arguments and profile
+ * fallback, plus a headless run that fails over to a working upstream.
+ */
+
+import './setup.js';
+import { after, before, describe, test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { addProfile } from '../lib/profile.js';
+import { startMockUpstream } from '../lib/mock-upstream.js';
+import {
+    describeAutoResumePolicy,
+    isApiFailure,
+    normalizeAutoResumePolicy,
+    superviseClaude,
+} from '../lib/session-supervisor.js';
+
+const fakeClaude = fileURLToPath(new URL('./fixtures/bin/fake-claude', import.meta.url));
+const noSleep = async () => { };
+const quiet = () => { };
+
+const failed = (extra = {}) => ({
+    exitCode: 1,
+    lastSessionId: 'session-1',
+    proxyErrors: { lastError: { statusCode: 529, errorType: 'overloaded_error' }, consecutiveErrors: 1, isStreamInterrupted: false, ...extra },
+});
+const succeeded = { exitCode: 0, lastSessionId: 'session-1', proxyErrors: { lastError: null } };
+
+// Fake run(): returns the queued results in order and records the options of every launch
+function scriptedRun(results) {
+    const launches = [];
+    const run = async (options) => {
+        launches.push(options);
+        return results[launches.length - 1];
+    };
+    return { run, launches };
+}
+
+describe('auto-resume policy', () => {
+    test('fills in defaults and rejects invalid values', () => {
+        assert.deepEqual(normalizeAutoResumePolicy({ fallback: ['backup'] }),
+            { fallback: ['backup'], maxAttempts: 3, continue: 'interrupted', delaySeconds: 5 });
+        assert.throws(() => normalizeAutoResumePolicy({ maxAttempts: 0 }), /maxAttempts/);
+        assert.throws(() => normalizeAutoResumePolicy({ continue: 'sometimes' }), /continue/);
+        assert.throws(() => normalizeAutoResumePolicy({ fallback: 'backup' }), /fallback/);
+        assert.equal(describeAutoResumePolicy({ fallback: ['a', 'b'], maxAttempts: 2 }),
+            '2 attempt(s) via a → b, continue if interrupted, 5s delay');
+    });
+
+    test('only exits caused by upstream errors count as API failures', () => {
+        assert.equal(isApiFailure(failed()), true);
+        assert.equal(isApiFailure(failed({ consecutiveErrors: 0, isStreamInterrupted: true })), true);
+        assert.equal(isApiFailure({ exitCode: 1, proxyErrors: { lastError: null } }), false);
+        assert.equal(isApiFailure({ exitCode: 0, proxyErrors: failed().proxyErrors }), false);
+    });
+
+    test('an error the session recovered from does not count', () => {
+        assert.equal(isApiFailure(failed({ consecutiveErrors: 0 })), false);
+    });
+
+    test('exits by signal do not count', () => {
+        assert.equal(isApiFailure({ ...failed(), exitCode: null, signal: 'SIGINT' }), false);
+        assert.equal(isApiFailure({ ...failed(), exitCode: 130 }), false, 'SIGINT through the shell');
+        assert.equal(isApiFailure({ ...failed(), exitCode: 143 }), false, 'SIGTERM through the shell');
+    });
+});
+
+describe('superviseClaude', () => {
+    before(async () => {
+        const log = console.log;
+        console.log = () => { }; // addProfile announces the first active profile on stdout, where node:test reports
+        await addProfile({ name: 'main', url: 'http://127.0.0.1:9', key: 'k', format: 'openai-compat' });
+        await addProfile({ name: 'backup', url: 'http://127.0.0.1:9', key: 'k', format: 'openai-compat' });
+        await addProfile({ name: 'spare', url: 'http://127.0.0.1:9', key: 'k', format: 'openai-compat' });
+        console.log = log;
+    });
+
+    test('does not relaunch a run that succeeded', async () => {
+        const { run, launches } = scriptedRun([succeeded]);
+        const { attempts, gaveUp } = await superviseClaude({ args: [] }, { policy: {}, run, sleep: noSleep, log: quiet });
+        assert.equal(launches.length, 1);
+        assert.equal(attempts.length, 1);
+        assert.equal(gaveUp, false);
+    });
+
+    test('resumes on the fallback profiles in order and keeps the last one', async () => {
+        const { run, launches } = scriptedRun([failed(), failed(), failed(), succeeded]);
+        const launch = { sessionProfileName: 'main', opusModel: 'main-opus', args: ['--resume', 'old', '--verbose'] };
+        const { result, attempts } = await superviseClaude(launch, {
+            policy: { fallback: ['backup', 'spare'] }, run, sleep: noSleep, log: quiet,
+        });
+
+        assert.equal(result, succeeded);
+        assert.deepEqual(launches.map(l => l.sessionProfileName), ['main', 'backup', 'spare', 'spare']);
+        assert.deepEqual(launches[1].args, ['--verbose', '--resume', 'session-1']);
+        assert.equal(launches[1].opusModel, undefined, 'models of the first profile are dropped');
+        assert.deepEqual(attempts.map(a => a.exitCode), [1, 1, 1, 0]);
+    });
+
+    test('sends continue after an interrupted stream, or always when asked', async () => {
+        let script = scriptedRun([failed({ isStreamInterrupted: true }), failed(), succeeded]);
+        await superviseClaude({ args: [] }, { policy: {}, run: script.run, sleep: noSleep, log: quiet });
+        assert.deepEqual(script.launches[1].args, ['--resume', 'session-1', 'continue']);
+        assert.deepEqual(script.launches[2].args, ['--resume', 'session-1']);
+
+        script = scriptedRun([failed(), succeeded]);
+        await superviseClaude({ args: [] }, { policy: { continue: 'always' }, run: script.run, sleep: noSleep, log: quiet });
+        assert.deepEqual(script.launches[1].args, ['--resume', 'session-1', 'continue']);
+    });
+
+    test('gives up after maxAttempts and waits between relaunches', async () => {
+        const waits = [];
+        const { run, launches } = scriptedRun([failed(), failed(), failed()]);
+        const { gaveUp, attempts } = await superviseClaude({ args: [] }, {
+            policy: { maxAttempts: 2, delaySeconds: 1 }, run, sleep: async ms => waits.push(ms), log: quiet,
+        });
+        assert.equal(launches.length, 3);
+        assert.equal(attempts.length, 3);
+        assert.equal(gaveUp, true);
+        assert.deepEqual(waits, [1000, 1000]);
+    });
+
+    test('starts a new session when there is none to resume and skips unknown profiles', async () => {
+        const messages = [];
+        const { run, launches } = scriptedRun([{ ...failed(), lastSessionId: null }, succeeded]);
+        await superviseClaude({ args: ['--verbose'], sessionProfileName: 'main' }, {
+            policy: { fallback: ['gone', 'backup'] }, run, sleep: noSleep, log: m => messages.push(m),
+        });
+        assert.deepEqual(launches[1].args, ['--verbose']);
+        assert.equal(launches[1].sessionProfileName, 'backup');
+        assert.match(messages[0], /"gone" does not exist/);
+        assert.match(messages[1], /API error 529 overloaded_error, starting a new session on profile "backup"/);
+    });
+});
+
+describe('superviseClaude headless', () => {
+    const cwd = process.cwd();
+    let healthy;
+    let locked;
+
+    before(async () => {
+        healthy = await startMockUpstream({ port: 0 });
+        locked = await startMockUpstream({ port: 0, key: 'other-key' });
+        await addProfile({ name: 'broken', url: locked.url, key: 'wrong-key', format: 'openai-compat', retry: false });
+        await addProfile({ name: 'healthy', url: healthy.url, key: 'k', format: 'openai-compat', retry: false });
+        process.chdir(fs.mkdtempSync(path.join(os.homedir(), 'project-'))); // removed with the test HOME
+    });
+
+    after(async () => {
+        process.chdir(cwd);
+        await healthy.close();
+        await locked.close();
+    });
+
+    test('fails over to the fallback profile and resumes with a continue prompt', async () => {
+        const { result, attempts, gaveUp } = await superviseClaude(
+            { command: fakeClaude, prompt: 'do the task', outputFormat: 'json', sessionProfileName: 'broken' },
+            { policy: { fallback: ['healthy'], delaySeconds: 0 }, headless: true, log: quiet },
+        );
+
+        assert.equal(gaveUp, false);
+        assert.deepEqual(attempts.map(a => [a.profile, a.exitCode]), [['broken', 1], ['healthy', 0]]);
+        assert.equal(attempts[0].error.statusCode, 401);
+        assert.deepEqual(result.claude.args, ['-p', '--output-format', 'json', '--resume', 'fake-session']);
+        assert.match(result.result, /continue/);
+    });
+});
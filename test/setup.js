@@ -0,0 +1,18 @@
+/**
+ * Points the cc-helper config, usage ledger and statusline files at a
+ * throwaway directory. Import it before any lib/ module.
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const home = fs.mkdtempSync(path.join(os.tmpdir(), 'cchelper-test-'));
+process.env.HOME = home;
+process.env.USERPROFILE = home;
+process.env.XDG_CONFIG_HOME = path.join(home, '.config');
+process.env.APPDATA = path.join(home, 'AppData');
+
+process.on('exit', () => {
+    fs.rmSync(home, { recursive: true, force: true });
+});